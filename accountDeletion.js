@@ -0,0 +1,122 @@
+const db = require('./database');
+const { getBilling } = require('./billing');
+const { ApiError } = require('./errors');
+const { scheduleJob } = require('./jobs');
+const { logger } = require('./logger');
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10);
+const INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_DELETION_INTERVAL_MINUTES || '60', 10);
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+function isMissing(error) {
+  return error && (error.code === 'resource_missing' || error.statusCode === 404);
+}
+
+function hasLiveSubscription(subscription) {
+  return Boolean(subscription && subscription.stripe_subscription_id && !ENDED_STATUSES.includes(subscription.status));
+}
+
+// Schedule the account for deletion. A renewing subscription is set to cancel at
+// period end so nothing is charged during the undo window.
+async function requestDeletion(user) {
+  // Members would lose the plan the owner pays for, so the organization is handed on first
+  const organization = await db.getOwnedOrganization(user.id);
+  if (organization && await db.countOrganizationMembers(organization.id) > 1) {
+    throw new ApiError(409, 'Transfer ownership of your organization or remove its members first', { code: 'OWNS_ORGANIZATION' });
+  }
+
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const subscription = await db.getUserSubscription(user.id);
+  let canceledRenewal = false;
+
+  if (hasLiveSubscription(subscription) && !subscription.cancel_at_period_end) {
+    await getBilling().setCancelAtPeriodEnd(subscription.stripe_subscription_id, true);
+    await db.updateUserSubscription(user.id, { cancel_at_period_end: 1, updated_at: now.toISOString() });
+    canceledRenewal = true;
+  }
+
+  await db.updateUser(user.id, {
+    deletion_requested_at: now.toISOString(),
+    deletion_scheduled_for: scheduledFor,
+    deletion_canceled_renewal: canceledRenewal ? 1 : 0,
+    updated_at: now.toISOString()
+  });
+
+  logger.info('Account scheduled for deletion', { userId: user.id, scheduledFor });
+  return scheduledFor;
+}
+
+// Undo a deletion request, restoring the renewal only if the request turned it off
+async function cancelDeletion(user) {
+  const subscription = await db.getUserSubscription(user.id);
+
+  if (user.deletion_canceled_renewal && hasLiveSubscription(subscription) && subscription.cancel_at_period_end) {
+    await getBilling().setCancelAtPeriodEnd(subscription.stripe_subscription_id, false);
+    await db.updateUserSubscription(user.id, { cancel_at_period_end: 0, updated_at: new Date().toISOString() });
+  }
+
+  await db.updateUser(user.id, {
+    deletion_requested_at: null,
+    deletion_scheduled_for: null,
+    deletion_canceled_renewal: 0,
+    updated_at: new Date().toISOString()
+  });
+
+  logger.info('Account deletion canceled', { userId: user.id });
+}
+
+// End the user's Stripe relationship, then remove their data locally
+async function purgeAccount(user, billing = getBilling()) {
+  const subscription = await db.getUserSubscription(user.id);
+
+  if (hasLiveSubscription(subscription)) {
+    try {
+      await billing.cancelSubscription(subscription.stripe_subscription_id);
+    } catch (error) {
+      if (!isMissing(error)) throw error;
+    }
+  }
+
+  if (subscription && subscription.stripe_customer_id) {
+    try {
+      await billing.deleteCustomer(subscription.stripe_customer_id);
+    } catch (error) {
+      if (!isMissing(error)) throw error;
+    }
+  }
+
+  await db.purgeUser(user.id, subscription ? subscription.stripe_customer_id : null);
+  await db.createAuditEntry({
+    actorId: null,
+    action: 'account.deleted',
+    targetType: 'user',
+    targetId: user.id,
+    details: { requestedAt: user.deletion_requested_at }
+  });
+
+  logger.info('Account deleted', { userId: user.id });
+}
+
+// Purge every account whose undo window has passed; one failure doesn't stop the rest
+async function processDueDeletions() {
+  const users = await db.getUsersDueForDeletion(new Date().toISOString());
+  let deleted = 0;
+
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      deleted += 1;
+    } catch (error) {
+      logger.error('Account deletion failed', { userId: user.id, error });
+    }
+  }
+
+  return { due: users.length, deleted };
+}
+
+function start() {
+  return scheduleJob('account-deletion', INTERVAL_MINUTES * 60 * 1000, processDueDeletions);
+}
+
+module.exports = { GRACE_DAYS, requestDeletion, cancelDeletion, purgeAccount, processDueDeletions, start };
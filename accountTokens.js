@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const db = require('./database');
+const { hashToken } = require('./sessions');
+const { sendMail } = require('./mailer');
+const { ApiError } = require('./errors');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+const EMAIL_CHANGE_TTL_HOURS = parseInt(process.env.EMAIL_CHANGE_TTL_HOURS, 10) || 24;
+
+const TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  EMAIL_CHANGE: 'email_change'
+};
+
+class TokenError extends ApiError {
+  constructor(message) {
+    super(400, message, { code: 'INVALID_TOKEN' });
+    this.name = 'TokenError';
+  }
+}
+
+function frontendUrl(pathname, token) {
+  const base = process.env.FRONTEND_URL || 'http://localhost:5174';
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+// Create a token for the user, replacing any unused token of the same type
+async function createToken(user, type, ttlMs, email = user.email) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.invalidateUserTokens(user.id, type);
+  await db.createUserToken({
+    user_id: user.id,
+    type,
+    token_hash: hashToken(token),
+    email,
+    expires_at: new Date(Date.now() + ttlMs).toISOString()
+  });
+
+  return token;
+}
+
+// Look up a token and mark it used; each token works exactly once
+async function consumeToken(token, type) {
+  const record = await db.getUserTokenByHash(hashToken(token), type);
+
+  if (!record || record.used_at) {
+    throw new TokenError('Invalid or already used token');
+  }
+
+  if (record.expires_at <= new Date().toISOString()) {
+    throw new TokenError('Token has expired');
+  }
+
+  const result = await db.markUserTokenUsed(record.id);
+  if (result.changes === 0) {
+    throw new TokenError('Invalid or already used token');
+  }
+
+  return record;
+}
+
+async function sendVerificationEmail(user, email = user.email) {
+  const token = await createToken(user, TOKEN_TYPES.EMAIL_VERIFICATION, EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000, email);
+  const link = frontendUrl('/verify-email', token);
+
+  await sendMail({
+    to: email,
+    subject: 'Verify your MindQuest email address',
+    text: `Hi${user.name ? ` ${user.name}` : ''},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createToken(user, TOKEN_TYPES.PASSWORD_RESET, PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  const link = frontendUrl('/reset-password', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your MindQuest password',
+    text: `Someone asked to reset the password for this account.\n\nChoose a new password here:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If this wasn't you, ignore this email.`
+  });
+}
+
+// The token is sent to the new address; the old address only gets a heads-up
+async function sendEmailChangeEmail(user, newEmail) {
+  const token = await createToken(user, TOKEN_TYPES.EMAIL_CHANGE, EMAIL_CHANGE_TTL_HOURS * 60 * 60 * 1000, newEmail);
+  const link = frontendUrl('/confirm-email-change', token);
+
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new MindQuest email address',
+    text: `Hi${user.name ? ` ${user.name}` : ''},\n\nConfirm that you want to use this address for your MindQuest account:\n${link}\n\nThe link expires in ${EMAIL_CHANGE_TTL_HOURS} hours.`
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your MindQuest email address is being changed',
+    text: `Someone asked to change the email address for this account to ${newEmail}.\n\nNothing changes until the new address is confirmed. If this wasn't you, change your password now.`
+  });
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  TokenError,
+  frontendUrl,
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeEmail
+};
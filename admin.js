@@ -0,0 +1,588 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { authenticateToken, requireRole, getEffectiveRole } = require('./auth');
+const db = require('../database');
+const planCatalog = require('../planCatalog');
+const usagePeriods = require('../usagePeriods');
+const { JWT_SECRET } = require('../sessions');
+const { recordAdminAction } = require('../auditLog');
+const reconciliation = require('../reconciliation');
+const referralProgram = require('../referralProgram');
+const oidc = require('../oidc');
+const twoFactor = require('../twoFactor');
+const apiKeys = require('../apiKeys');
+const { ApiError, asyncHandler } = require('../errors');
+const { validate, rules } = require('../validation');
+
+const router = express.Router();
+
+const IMPERSONATION_TTL = process.env.IMPERSONATION_TTL || '15m';
+const ROLES = ['user', 'support', 'admin'];
+const SUBSCRIPTION_FIELDS = [
+  'stripe_customer_id',
+  'stripe_subscription_id',
+  'status',
+  'plan_type',
+  'current_period_start',
+  'current_period_end',
+  'payment_status',
+  'grace_period_ends_at'
+];
+
+const userParams = { id: rules.uuid };
+const reasonRule = { type: 'string', maxLength: 500 };
+
+// Every admin route needs a staff account; writes are further limited to admins
+router.use(authenticateToken, requireRole('support', 'admin'));
+
+function toPublicUser(user) {
+  const { password_hash, totp_secret, ...rest } = user;
+  return rest;
+}
+
+async function loadUser(req) {
+  const user = await db.getUserById(req.params.id);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  return user;
+}
+
+// Looking at a user's data is audited like changing it
+async function recordView(req, view, targetId, details = {}) {
+  await recordAdminAction(req, 'user.view', { targetType: 'user', targetId, details: { view, ...details } });
+}
+
+async function assertKnownPlan(planKey) {
+  if (!await db.getPlan(planKey)) {
+    throw new ApiError(400, 'Unknown plan', { code: 'UNKNOWN_PLAN' });
+  }
+}
+
+// Search users by email, name or ID
+router.get('/users', validate({
+  query: { ...rules.pagination, q: { type: 'string', maxLength: 254 } }
+}), asyncHandler(async (req, res) => {
+  const { limit, offset } = req.query;
+  const users = await db.searchUsers({ query: req.query.q, limit, offset });
+  await recordView(req, 'search', null, { query: req.query.q || null, userIds: users.map(user => user.id) });
+
+  res.json({ users: users.map(toPublicUser), limit, offset });
+}));
+
+// View a user with their subscription and effective plan
+router.get('/users/:id', validate({ params: userParams }), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+
+  const { plan, subscription, override, entitlement, organization } = await planCatalog.getUserPlan(user.id);
+  await recordView(req, 'profile', user.id);
+
+  res.json({
+    user: toPublicUser(user),
+    subscription: subscription || null,
+    plan: { key: plan.key, name: plan.name, limits: plan.limits },
+    entitlement,
+    planOverride: override,
+    organization,
+    identities: (await db.getLinkedIdentities(user.id)).map(oidc.formatIdentity)
+  });
+}));
+
+// View current-period usage and history
+router.get('/users/:id/usage', validate({ params: userParams }), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+
+  const { plan, periodSubscription } = await planCatalog.getUserPlan(user.id);
+  const period = await usagePeriods.getCurrentPeriod(user.id, periodSubscription);
+  await recordView(req, 'usage', user.id);
+
+  res.json({
+    planType: plan.key,
+    limits: plan.limits,
+    period,
+    usage: await db.getUserUsage(user.id, period.start),
+    history: await db.getUsageHistory(user.id, 12),
+    events: await db.getUsageEvents(user.id, { limit: 100 })
+  });
+}));
+
+// View the subscription row
+router.get('/users/:id/subscription', validate({ params: userParams }), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  await recordView(req, 'subscription', user.id);
+
+  res.json({ subscription: await db.getUserSubscription(user.id) || null });
+}));
+
+// Correct fields on a broken subscription row
+router.patch('/users/:id/subscription', requireRole('admin'), validate({
+  params: userParams,
+  body: {
+    stripe_customer_id: { type: 'string', pattern: /^cus_[A-Za-z0-9]+$/, patternMessage: 'must be a Stripe customer ID', nullable: true },
+    stripe_subscription_id: { type: 'string', pattern: /^sub_[A-Za-z0-9]+$/, patternMessage: 'must be a Stripe subscription ID', nullable: true },
+    status: {
+      type: 'string',
+      enum: ['active', 'canceled', 'past_due', 'trialing', 'incomplete', 'incomplete_expired', 'unpaid', 'paused']
+    },
+    plan_type: rules.planKey,
+    current_period_start: { type: 'string', format: 'date', nullable: true },
+    current_period_end: { type: 'string', format: 'date', nullable: true },
+    payment_status: { type: 'string', maxLength: 50 },
+    grace_period_ends_at: { type: 'string', format: 'date', nullable: true },
+    reason: reasonRule
+  }
+}), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+
+  const updates = {};
+  SUBSCRIPTION_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  if (Object.keys(updates).length === 0) {
+    throw new ApiError(400, `Provide at least one of: ${SUBSCRIPTION_FIELDS.join(', ')}`, { code: 'VALIDATION_ERROR' });
+  }
+
+  if (updates.plan_type) {
+    await assertKnownPlan(updates.plan_type);
+  }
+
+  const before = await db.getUserSubscription(user.id);
+  await db.updateUserSubscription(user.id, { ...updates, updated_at: new Date().toISOString() });
+
+  await recordAdminAction(req, 'subscription.update', {
+    targetType: 'user',
+    targetId: user.id,
+    details: { before: before || null, changes: updates, reason: req.body.reason }
+  });
+
+  res.json({ subscription: await db.getUserSubscription(user.id) });
+}));
+
+// Reset current-period usage, for one feature or all of them
+router.post('/users/:id/usage/reset', requireRole('admin'), validate({
+  params: userParams,
+  body: { feature: { ...rules.feature, required: false }, reason: reasonRule }
+}), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+
+  const period = await usagePeriods.getCurrentPeriod(user.id);
+  const { feature, reason } = req.body;
+
+  if (feature) {
+    const counter = await db.getFeatureUsage(user.id, feature, period.start);
+    if (counter && counter.usage_count > 0) {
+      await db.adjustUsage(user.id, feature, period, -counter.usage_count, { source: 'admin_reset', by: req.user.userId, reason });
+    }
+  } else {
+    await db.resetUserUsage(user.id, period.start);
+  }
+
+  await recordAdminAction(req, 'usage.reset', {
+    targetType: 'user',
+    targetId: user.id,
+    details: { feature: feature || null, periodStart: period.start, reason }
+  });
+
+  res.json({ message: 'Usage reset successfully', periodStart: period.start });
+}));
+
+// Add or remove usage in the current period
+router.post('/users/:id/usage/adjust', requireRole('admin'), validate({
+  params: userParams,
+  body: {
+    feature: rules.feature,
+    delta: { type: 'integer', required: true, check: value => (value === 0 ? 'must not be zero' : null) },
+    reason: reasonRule
+  }
+}), asyncHandler(async (req, res) => {
+  const { feature, delta, reason } = req.body;
+  const user = await loadUser(req);
+
+  const features = await planCatalog.getFeatures();
+  if (!features.includes(feature)) {
+    throw new ApiError(400, 'Invalid feature type', { code: 'UNKNOWN_FEATURE' });
+  }
+
+  const period = await usagePeriods.getCurrentPeriod(user.id);
+  const usage = await db.adjustUsage(user.id, feature, period, delta, {
+    source: 'admin_adjustment',
+    by: req.user.userId,
+    reason
+  });
+
+  await recordAdminAction(req, 'usage.adjust', {
+    targetType: 'user',
+    targetId: user.id,
+    details: { feature, delta, reason, periodStart: period.start }
+  });
+
+  res.json({ feature, usage, periodStart: period.start });
+}));
+
+// Recompute counters from the usage ledger
+router.post('/users/:id/usage/reconcile', requireRole('admin'), validate({ params: userParams }), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+
+  const period = await usagePeriods.getCurrentPeriod(user.id);
+  const drift = await db.reconcileUsage(user.id, period.start);
+
+  await recordAdminAction(req, 'usage.reconcile', {
+    targetType: 'user',
+    targetId: user.id,
+    details: { periodStart: period.start, corrected: drift }
+  });
+
+  res.json({ userId: user.id, periodStart: period.start, corrected: drift });
+}));
+
+// Grant a plan regardless of the subscription, optionally until a date
+router.put('/users/:id/plan-override', requireRole('admin'), validate({
+  params: userParams,
+  body: {
+    planKey: { ...rules.planKey, required: true },
+    expiresAt: {
+      type: 'string',
+      format: 'date',
+      nullable: true,
+      check: value => (new Date(value) <= new Date() ? 'must be in the future' : null)
+    },
+    reason: reasonRule
+  }
+}), asyncHandler(async (req, res) => {
+  const { planKey, expiresAt, reason } = req.body;
+  const user = await loadUser(req);
+
+  await assertKnownPlan(planKey);
+
+  const override = await db.setPlanOverride(user.id, {
+    planKey,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    reason,
+    grantedBy: req.user.userId
+  });
+
+  await recordAdminAction(req, 'plan_override.set', {
+    targetType: 'user',
+    targetId: user.id,
+    details: { planKey, expiresAt: override.expires_at, reason }
+  });
+
+  res.json({ planOverride: override });
+}));
+
+// Remove an active plan override
+router.delete('/users/:id/plan-override', requireRole('admin'), validate({ params: userParams }), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+
+  const result = await db.revokePlanOverrides(user.id);
+  if (result.changes === 0) {
+    throw new ApiError(404, 'No active plan override');
+  }
+
+  await recordAdminAction(req, 'plan_override.revoke', { targetType: 'user', targetId: user.id });
+
+  res.json({ message: 'Plan override removed' });
+}));
+
+// Change a user's role
+router.patch('/users/:id/role', requireRole('admin'), validate({
+  params: userParams,
+  body: { role: { type: 'string', required: true, enum: ROLES } }
+}), asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  const user = await loadUser(req);
+
+  if (user.id === req.user.userId) {
+    throw new ApiError(400, 'You cannot change your own role');
+  }
+
+  await db.updateUser(user.id, { role, updated_at: new Date().toISOString() });
+
+  await recordAdminAction(req, 'user.role_change', {
+    targetType: 'user',
+    targetId: user.id,
+    details: { from: user.role, to: role }
+  });
+
+  res.json({ user: toPublicUser(await db.getUserById(user.id)) });
+}));
+
+// Turn off two-factor authentication for a user who lost their device and recovery codes
+router.delete('/users/:id/2fa', requireRole('admin'), validate({
+  params: userParams,
+  body: { reason: reasonRule }
+}), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  if (!user.totp_enabled_at) {
+    throw new ApiError(409, 'Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' });
+  }
+
+  await twoFactor.disable(user);
+  await recordAdminAction(req, 'user.two_factor_reset', {
+    targetType: 'user',
+    targetId: user.id,
+    details: { reason: req.body.reason }
+  });
+
+  res.json({ message: 'Two-factor authentication disabled' });
+}));
+
+// Issue a short-lived, read-only token acting as the user
+router.post('/users/:id/impersonate', requireRole('admin'), validate({
+  params: userParams,
+  body: { reason: reasonRule }
+}), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+
+  if (getEffectiveRole(user) !== 'user') {
+    throw new ApiError(403, 'Staff accounts cannot be impersonated');
+  }
+
+  const token = jwt.sign(
+    { userId: user.id, email: user.email, impersonatedBy: req.user.userId, readOnly: true },
+    JWT_SECRET,
+    { expiresIn: IMPERSONATION_TTL }
+  );
+
+  await recordAdminAction(req, 'user.impersonate', {
+    targetType: 'user',
+    targetId: user.id,
+    details: { reason: req.body.reason }
+  });
+
+  res.json({ token, expiresIn: IMPERSONATION_TTL, readOnly: true });
+}));
+
+// A user's invoices as recorded from Stripe
+router.get('/users/:id/invoices', validate({
+  params: userParams,
+  query: { ...rules.pagination, status: { type: 'string', enum: ['draft', 'open', 'paid', 'uncollectible', 'void'] } }
+}), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  const { status, limit, offset } = req.query;
+  await recordView(req, 'invoices', user.id);
+
+  res.json({ invoices: await db.getInvoices({ userId: user.id, status, limit, offset }), limit, offset });
+}));
+
+// A user's notifications with the delivery state of each channel
+router.get('/users/:id/notifications', validate({ params: userParams, query: rules.pagination }), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  const { limit, offset } = req.query;
+
+  const notifications = await db.getNotificationsWithDeliveries(user.id, { limit, offset });
+  await recordView(req, 'notifications', user.id);
+
+  res.json({
+    notifications: notifications.map(notification => ({
+      ...notification,
+      data: notification.data ? JSON.parse(notification.data) : null
+    })),
+    limit,
+    offset
+  });
+}));
+
+// A user's referral code, who referred them and whom they referred
+router.get('/users/:id/referrals', validate({ params: userParams, query: rules.pagination }), asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  const { limit, offset } = req.query;
+
+  const referredBy = await db.getReferralByReferredId(user.id);
+  const referrals = await db.getReferrals({ referrerId: user.id, limit, offset });
+  await recordView(req, 'referrals', user.id);
+
+  res.json({
+    code: user.referral_code,
+    referredBy: referredBy ? { ...referralProgram.formatReferral(referredBy), referredName: user.name } : null,
+    stats: await db.getReferralStats(user.id),
+    referrals: referrals.map(referral => referralProgram.formatReferral(referral, { includeEmail: true })),
+    bonuses: await db.getActiveUsageBonuses(user.id),
+    limit,
+    offset
+  });
+}));
+
+// Referrals across all users
+router.get('/referrals', validate({
+  query: { ...rules.pagination, status: { type: 'string', enum: ['pending', 'rewarding', 'rewarded'] } }
+}), asyncHandler(async (req, res) => {
+  const { status, limit, offset } = req.query;
+  const referrals = await db.getReferrals({ status, limit, offset });
+
+  res.json({
+    stats: await db.getReferralStats(),
+    referrals: referrals.map(referral => referralProgram.formatReferral(referral, { includeEmail: true })),
+    limit,
+    offset
+  });
+}));
+
+// List Stripe reconciliation runs without their reports
+router.get('/reconciliation/runs', validate({ query: rules.pagination }), asyncHandler(async (req, res) => {
+  const { limit, offset } = req.query;
+  const runs = await db.getReconciliationRuns({ limit, offset });
+
+  res.json({ runs, limit, offset });
+}));
+
+// Latest reconciliation run with its drift report
+router.get('/reconciliation/runs/latest', asyncHandler(async (req, res) => {
+  const run = await db.getLatestReconciliationRun();
+  if (!run) {
+    throw new ApiError(404, 'No reconciliation runs yet');
+  }
+
+  res.json({ run: reconciliation.formatRun(run) });
+}));
+
+router.get('/reconciliation/runs/:runId', validate({ params: { runId: rules.uuid } }), asyncHandler(async (req, res) => {
+  const run = await db.getReconciliationRun(req.params.runId);
+  if (!run) {
+    throw new ApiError(404, 'Reconciliation run not found');
+  }
+
+  res.json({ run: reconciliation.formatRun(run) });
+}));
+
+// Compare local subscriptions with Stripe now, optionally fixing drift
+router.post('/reconciliation/runs', requireRole('admin'), validate({
+  body: {
+    fix: { type: 'boolean', default: false },
+    userId: { ...rules.uuid, required: false }
+  }
+}), asyncHandler(async (req, res) => {
+  const { fix, userId } = req.body;
+  const run = await reconciliation.runReconciliation({ fix, userId, triggeredBy: req.user.userId });
+
+  await recordAdminAction(req, 'reconciliation.run', {
+    targetType: 'reconciliation_run',
+    targetId: run.id,
+    details: { fix, userId: userId || null, drifted: run.drifted, fixed: run.fixed }
+  });
+
+  res.status(201).json({ run });
+}));
+
+const apiKeyParams = { keyId: rules.uuid };
+
+async function loadApiKey(req) {
+  const apiKey = await db.getApiKey(req.params.keyId);
+  if (!apiKey) {
+    throw new ApiError(404, 'API key not found');
+  }
+  return apiKey;
+}
+
+// List API keys for internal services; revoked keys only with includeRevoked
+router.get('/api-keys', validate({
+  query: { includeRevoked: { type: 'boolean', default: false } }
+}), asyncHandler(async (req, res) => {
+  const keys = await db.getApiKeys({ includeRevoked: req.query.includeRevoked });
+
+  res.json({ apiKeys: keys.map(apiKeys.formatKey), scopes: apiKeys.SCOPES });
+}));
+
+router.get('/api-keys/:keyId', validate({ params: apiKeyParams }), asyncHandler(async (req, res) => {
+  res.json({ apiKey: apiKeys.formatKey(await loadApiKey(req)) });
+}));
+
+// Create a key; the key itself is only returned here
+router.post('/api-keys', requireRole('admin'), validate({
+  body: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    scopes: {
+      type: 'array',
+      required: true,
+      items: { type: 'string', required: true, maxLength: 100 },
+      check: value => (value.length === 0 ? 'must not be empty' : null)
+    },
+    expiresAt: {
+      type: 'string',
+      format: 'date',
+      nullable: true,
+      check: value => (new Date(value) <= new Date() ? 'must be in the future' : null)
+    }
+  }
+}), asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+
+  const { apiKey, key } = await apiKeys.createKey({
+    name,
+    scopes,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    createdBy: req.user.userId
+  });
+
+  await recordAdminAction(req, 'api_key.create', {
+    targetType: 'api_key',
+    targetId: apiKey.id,
+    details: { name, prefix: apiKey.prefix, scopes: JSON.parse(apiKey.scopes), expiresAt: apiKey.expires_at }
+  });
+
+  res.status(201).json({ apiKey: apiKeys.formatKey(apiKey), key });
+}));
+
+// Replace a key with a new one holding the same scopes. The old key stops working
+// now, or after gracePeriodMinutes.
+router.post('/api-keys/:keyId/rotate', requireRole('admin'), validate({
+  params: apiKeyParams,
+  body: { gracePeriodMinutes: { type: 'integer', min: 0, max: 7 * 24 * 60, default: 0 } }
+}), asyncHandler(async (req, res) => {
+  const previous = await loadApiKey(req);
+  const { gracePeriodMinutes } = req.body;
+
+  const rotated = await apiKeys.rotateKey(previous, { gracePeriodMinutes, createdBy: req.user.userId });
+
+  await recordAdminAction(req, 'api_key.rotate', {
+    targetType: 'api_key',
+    targetId: previous.id,
+    details: { replacementId: rotated.apiKey.id, prefix: rotated.apiKey.prefix, gracePeriodMinutes }
+  });
+
+  res.status(201).json({
+    apiKey: apiKeys.formatKey(rotated.apiKey),
+    key: rotated.key,
+    previous: apiKeys.formatKey(rotated.previous)
+  });
+}));
+
+router.delete('/api-keys/:keyId', requireRole('admin'), validate({ params: apiKeyParams }), asyncHandler(async (req, res) => {
+  const apiKey = await loadApiKey(req);
+  await apiKeys.revokeKey(apiKey);
+
+  await recordAdminAction(req, 'api_key.revoke', { targetType: 'api_key', targetId: apiKey.id, details: { prefix: apiKey.prefix } });
+
+  res.json({ apiKey: apiKeys.formatKey(await db.getApiKey(apiKey.id)) });
+}));
+
+// Query the audit log
+router.get('/audit-log', requireRole('admin'), validate({
+  query: {
+    ...rules.pagination,
+    actorId: { ...rules.uuid, required: false },
+    targetId: { type: 'string', maxLength: 255 },
+    action: { type: 'string', maxLength: 100 }
+  }
+}), asyncHandler(async (req, res) => {
+  const { limit, offset } = req.query;
+  const entries = await db.getAuditEntries({
+    actorId: req.query.actorId,
+    targetId: req.query.targetId,
+    action: req.query.action,
+    limit,
+    offset
+  });
+
+  res.json({
+    entries: entries.map(entry => ({
+      ...entry,
+      details: entry.details ? JSON.parse(entry.details) : null
+    })),
+    limit,
+    offset
+  });
+}));
+
+module.exports = router;
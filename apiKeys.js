@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const db = require('./database');
+const planCatalog = require('./planCatalog');
+const { hashToken } = require('./sessions');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+// Keys look like mqk_<8 hex digits>_<secret>; the part before the secret is the
+// prefix shown in listings and logs
+const KEY_PREFIX = 'mqk_';
+
+// Scopes a key can hold. Each can be narrowed to one feature by appending it, e.g.
+// usage:increment:ai_insights
+const SCOPES = ['usage:read', 'usage:increment'];
+
+// last_used_at is written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+// The identifying part of a key, safe to log
+function getPrefix(key) {
+  return key.split('_').slice(0, 2).join('_');
+}
+
+function generateKey() {
+  const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  return { prefix, key: `${prefix}_${crypto.randomBytes(32).toString('base64url')}` };
+}
+
+function getStatus(apiKey) {
+  if (apiKey.revoked_at) return 'revoked';
+  if (apiKey.expires_at && apiKey.expires_at <= new Date().toISOString()) return 'expired';
+  return 'active';
+}
+
+function formatKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: JSON.parse(apiKey.scopes),
+    status: getStatus(apiKey),
+    created_by: apiKey.created_by,
+    rotated_from: apiKey.rotated_from,
+    expires_at: apiKey.expires_at,
+    last_used_at: apiKey.last_used_at,
+    revoked_at: apiKey.revoked_at,
+    created_at: apiKey.created_at
+  };
+}
+
+// Check requested scopes against SCOPES and the plan catalog's features
+async function normalizeScopes(scopes) {
+  const features = await planCatalog.getFeatures();
+
+  scopes.forEach(scope => {
+    const [resource, action, feature, ...rest] = scope.split(':');
+    const known = SCOPES.includes(`${resource}:${action}`) && rest.length === 0 &&
+      (feature === undefined || features.includes(feature));
+    if (!known) {
+      throw new ApiError(400, `Unknown scope: ${scope}`, { code: 'INVALID_SCOPE', details: { scope, scopes: SCOPES, features } });
+    }
+  });
+
+  return [...new Set(scopes)];
+}
+
+// A granted scope covers itself and anything narrower, so usage:increment covers
+// usage:increment:ai_insights
+function hasScope(granted, required) {
+  return granted.some(scope => required === scope || required.startsWith(`${scope}:`));
+}
+
+async function createKey({ name, scopes, expiresAt = null, createdBy = null, rotatedFrom = null }) {
+  const { prefix, key } = generateKey();
+  const apiKey = await db.createApiKey({
+    name,
+    prefix,
+    keyHash: hashToken(key),
+    scopes: await normalizeScopes(scopes),
+    createdBy,
+    rotatedFrom,
+    expiresAt
+  });
+
+  logger.info('API key created', { apiKeyId: apiKey.id, apiKeyPrefix: prefix, rotatedFrom });
+  return { apiKey, key };
+}
+
+// Issue a replacement with the same name and scopes. The old key stops working now,
+// or after the grace period so services can switch over without failed calls.
+async function rotateKey(apiKey, { gracePeriodMinutes = 0, createdBy = null } = {}) {
+  if (getStatus(apiKey) !== 'active') {
+    throw new ApiError(409, 'Only active API keys can be rotated', { code: 'API_KEY_INACTIVE' });
+  }
+
+  const replacement = await createKey({
+    name: apiKey.name,
+    scopes: JSON.parse(apiKey.scopes),
+    expiresAt: apiKey.expires_at,
+    createdBy,
+    rotatedFrom: apiKey.id
+  });
+
+  if (gracePeriodMinutes > 0) {
+    const graceEnd = new Date(Date.now() + gracePeriodMinutes * 60 * 1000).toISOString();
+    if (!apiKey.expires_at || graceEnd < apiKey.expires_at) {
+      await db.updateApiKey(apiKey.id, { expires_at: graceEnd });
+    }
+  } else {
+    await db.revokeApiKey(apiKey.id);
+  }
+
+  return { ...replacement, previous: await db.getApiKey(apiKey.id) };
+}
+
+async function revokeKey(apiKey) {
+  const result = await db.revokeApiKey(apiKey.id);
+  if (result.changes === 0) {
+    throw new ApiError(409, 'API key is already revoked', { code: 'API_KEY_REVOKED' });
+  }
+  logger.info('API key revoked', { apiKeyId: apiKey.id, apiKeyPrefix: apiKey.prefix });
+}
+
+// The active key behind a call, or a 401
+async function verifyKey(key) {
+  const apiKey = await db.getApiKeyByHash(hashToken(key));
+  if (!apiKey || getStatus(apiKey) !== 'active') {
+    logger.warn('API key rejected', { apiKeyPrefix: getPrefix(key), status: apiKey ? getStatus(apiKey) : 'unknown' });
+    throw new ApiError(401, 'Invalid, expired or revoked API key', { code: 'INVALID_API_KEY' });
+  }
+
+  await db.touchApiKey(apiKey.id, LAST_USED_INTERVAL_MS);
+  return apiKey;
+}
+
+function assertScope(apiKey, scope) {
+  if (!hasScope(JSON.parse(apiKey.scopes), scope)) {
+    logger.warn('API key lacks scope', { apiKeyId: apiKey.id, apiKeyPrefix: apiKey.prefix, scope });
+    throw new ApiError(403, `API key lacks the ${scope} scope`, { code: 'INSUFFICIENT_SCOPE', details: { required: scope } });
+  }
+}
+
+// Calls made with a key always act for one user, named in X-User-Id
+async function resolveUser(userId) {
+  if (!userId) {
+    throw new ApiError(400, 'Calls with an API key must name the user in X-User-Id', { code: 'USER_ID_REQUIRED' });
+  }
+  if (!UUID_PATTERN.test(userId)) {
+    throw new ApiError(400, 'X-User-Id must be a user ID', { code: 'VALIDATION_ERROR' });
+  }
+
+  const user = await db.getUserById(userId);
+  if (!user || user.deleted_at) {
+    throw new ApiError(404, 'User not found', { code: 'USER_NOT_FOUND' });
+  }
+  return user;
+}
+
+module.exports = {
+  SCOPES,
+  isApiKey,
+  getPrefix,
+  formatKey,
+  createKey,
+  rotateKey,
+  revokeKey,
+  verifyKey,
+  assertScope,
+  resolveUser
+};
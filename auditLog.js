@@ -0,0 +1,15 @@
+const db = require('./database');
+
+// Record an action taken by a staff member against another user or resource
+async function recordAdminAction(req, action, { targetType = null, targetId = null, details = null } = {}) {
+  await db.createAuditEntry({
+    actorId: req.user?.userId || null,
+    action,
+    targetType,
+    targetId,
+    details,
+    ipAddress: req.ip || null
+  });
+}
+
+module.exports = { recordAdminAction };
@@ -2,79 +2,144 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const db = require('../database');
+const sessions = require('../sessions');
+const accountTokens = require('../accountTokens');
+const referralProgram = require('../referralProgram');
+const accountDeletion = require('../accountDeletion');
+const oidc = require('../oidc');
+const oauthProviders = require('../oauthProviders');
+const twoFactor = require('../twoFactor');
+const apiKeys = require('../apiKeys');
+const requestContext = require('../requestContext');
+const { getBilling } = require('../billing');
+const { ApiError, asyncHandler } = require('../errors');
+const { validate, rules } = require('../validation');
+const { logger } = require('../logger');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const { JWT_SECRET } = sessions;
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const providerParams = {
+  provider: { type: 'string', required: true, pattern: /^[a-z0-9_-]+$/, patternMessage: 'must be a provider name' }
+};
+const callbackBody = { code: { type: 'string', required: true, maxLength: 2048 }, state: rules.token };
+const confirmPasswordRule = { ...rules.password, required: false };
+const twoFactorCode = { type: 'string', required: true, maxLength: 32 };
 
-// Register endpoint
-router.post('/register', async (req, res) => {
-  try {
-    const { email, password, name } = req.body;
+// Emails in ADMIN_EMAILS are always admins, so the first admin can be bootstrapped
+function getEffectiveRole(user) {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+  return adminEmails.includes(user.email.toLowerCase()) ? 'admin' : user.role || 'user';
+}
 
-    // Check if user already exists
-    const existingUser = await db.getUserByEmail(email);
-    if (existingUser) {
-      return res.status(409).json({ error: 'User already exists' });
-    }
+// Register endpoint
+router.post('/register', validate({
+  body: { email: rules.email, password: rules.newPassword, name: rules.name, referralCode: rules.referralCode }
+}), asyncHandler(async (req, res) => {
+  const { email, password, name, referralCode } = req.body;
 
-    // Hash password
-    const passwordHash = await bcrypt.hash(password, 10);
+  // Check if user already exists
+  const existingUser = await db.getUserByEmail(email);
+  if (existingUser) {
+    throw new ApiError(409, 'User already exists', { code: 'USER_EXISTS' });
+  }
 
-    // Create user
-    const user = await db.createUser(email, passwordHash, name);
+  const referrer = referralCode ? await referralProgram.findReferrer(referralCode) : null;
 
-    // Create JWT token
-    const token = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
+  // Hash password
+  const passwordHash = await bcrypt.hash(password, 10);
 
-    res.status(201).json({
-      message: 'User created successfully',
-      user: { id: user.id, email: user.email, name: user.name },
-      token
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  // Create user
+  const user = await db.createUser(email, passwordHash, name);
+
+  if (referrer) {
+    await db.createReferral(referrer.id, user.id);
   }
-});
+
+  // Send the verification email without failing the registration
+  accountTokens.sendVerificationEmail(user).catch(error => {
+    logger.error('Verification email failed', { userId: user.id, error });
+  });
+
+  // Create access and refresh tokens
+  const tokens = await sessions.issueTokens(user, req);
+
+  res.status(201).json({
+    message: 'User created successfully',
+    user: { id: user.id, email: user.email, name: user.name, emailVerified: false },
+    ...tokens
+  });
+}));
+
+// With two-factor authentication on, a correct first factor only earns a challenge
+// token that /login/2fa exchanges for real tokens
+function twoFactorChallenge(user) {
+  return {
+    message: 'Two-factor authentication required',
+    twoFactorRequired: true,
+    challengeToken: twoFactor.createChallenge(user),
+    expiresIn: twoFactor.CHALLENGE_TTL
+  };
+}
 
 // Login endpoint
-router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+router.post('/login', validate({
+  body: { email: rules.email, password: rules.password }
+}), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+  // Find user
+  const user = await db.getUserByEmail(email);
+  if (!user) {
+    throw new ApiError(401, 'Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+  }
 
-    // Find user
-    const user = await db.getUserByEmail(email);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+  // Verify password; accounts created through a sign-in provider may not have one
+  const isValidPassword = user.password_hash && await bcrypt.compare(password, user.password_hash);
+  if (!isValidPassword) {
+    throw new ApiError(401, 'Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+  }
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+  if (user.totp_enabled_at) {
+    return res.json(twoFactorChallenge(user));
+  }
 
-    // Create JWT token
-    const token = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
+  // Create access and refresh tokens
+  const tokens = await sessions.issueTokens(user, req);
 
-    res.json({
-      message: 'Login successful',
-      user: { id: user.id, email: user.email, name: user.name },
-      token
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  res.json({
+    message: 'Login successful',
+    user: { id: user.id, email: user.email, name: user.name, emailVerified: Boolean(user.email_verified_at) },
+    ...tokens
+  });
+}));
+
+// Finish a login with a TOTP or recovery code
+router.post('/login/2fa', validate({
+  body: { challengeToken: rules.token, code: twoFactorCode }
+}), asyncHandler(async (req, res) => {
+  const challenge = twoFactor.verifyChallenge(req.body.challengeToken);
+  const user = await db.getUserById(challenge.userId);
+
+  // A credential change since the challenge was issued voids it
+  if (!user || user.deleted_at || !user.totp_enabled_at || await sessions.isAccessTokenRevoked(challenge, user)) {
+    throw new ApiError(401, 'Login challenge is invalid or has expired', { code: 'INVALID_CHALLENGE' });
   }
-});
+
+  const result = await twoFactor.verifyCode(user, req.body.code);
+  const tokens = await sessions.issueTokens(user, req);
+
+  res.json({
+    message: 'Login successful',
+    user: { id: user.id, email: user.email, name: user.name, emailVerified: Boolean(user.email_verified_at) },
+    recoveryCodesRemaining: result.recoveryCodesRemaining,
+    ...tokens
+  });
+}));
 
 // Middleware to verify JWT token
 const authenticateToken = (req, res, next) => {
@@ -82,33 +147,469 @@ const authenticateToken = (req, res, next) => {
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    return next(new ApiError(401, 'Access token required', { code: 'TOKEN_REQUIRED' }));
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, payload) => {
     if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+      return next(new ApiError(403, 'Invalid or expired token', { code: 'INVALID_TOKEN' }));
+    }
+
+    try {
+      const user = await db.getUserById(payload.userId);
+      if (!user || user.deleted_at || await sessions.isAccessTokenRevoked(payload, user)) {
+        return next(new ApiError(401, 'Token has been revoked', { code: 'TOKEN_REVOKED' }));
+      }
+
+      // Impersonation tokens can only read
+      if (payload.readOnly && !READ_ONLY_METHODS.includes(req.method)) {
+        return next(new ApiError(403, 'Impersonation sessions are read-only', { code: 'READ_ONLY_SESSION' }));
+      }
+
+      req.user = { ...payload, role: getEffectiveRole(user) };
+      next();
+    } catch (error) {
+      next(error);
     }
-    req.user = user;
-    next();
   });
 };
 
+// Middleware for routes internal services may also call with an API key. The key
+// needs scope (a string, or a function of the request) and acts for the user named
+// in X-User-Id. Every log line written during the call carries the key's ID.
+const authenticateTokenOrApiKey = scope => (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!apiKeys.isApiKey(token)) {
+    return authenticateToken(req, res, next);
+  }
+
+  apiKeys.verifyKey(token)
+    .then(async apiKey => {
+      // Set before the remaining checks so refused calls are attributed too
+      req.apiKey = { id: apiKey.id, prefix: apiKey.prefix, name: apiKey.name };
+      apiKeys.assertScope(apiKey, typeof scope === 'function' ? scope(req) : scope);
+      const user = await apiKeys.resolveUser(req.get('X-User-Id'));
+
+      req.user = { userId: user.id, role: 'service', apiKeyId: apiKey.id };
+      requestContext.run({ apiKeyId: apiKey.id, apiKeyPrefix: apiKey.prefix, onBehalfOf: user.id }, next);
+    })
+    .catch(next);
+};
+
+async function requireCurrentUser(req) {
+  const user = await db.getUserById(req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  return user;
+}
+
+// Re-check the password before sensitive account changes. Accounts that only sign in
+// through a provider have no password, so they must have signed in recently instead.
+async function confirmPassword(user, password, session) {
+  if (!user.password_hash) {
+    sessions.assertRecentLogin(session);
+    return;
+  }
+
+  if (password === undefined) {
+    throw new ApiError(400, 'Current password is required', { code: 'PASSWORD_REQUIRED' });
+  }
+  if (!await bcrypt.compare(password, user.password_hash)) {
+    throw new ApiError(403, 'Current password is incorrect', { code: 'INVALID_PASSWORD' });
+  }
+}
+
+// Middleware to restrict a route to users holding one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || req.user.readOnly || !roles.includes(req.user.role)) {
+    return next(new ApiError(403, 'Insufficient permissions'));
+  }
+  next();
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', validate({
+  body: { refreshToken: rules.token }
+}), asyncHandler(async (req, res) => {
+  const { user, tokens } = await sessions.rotateRefreshToken(req.body.refreshToken, req);
+
+  res.json({
+    user: { id: user.id, email: user.email, name: user.name },
+    ...tokens
+  });
+}));
+
+// Log out the session a refresh token belongs to
+router.post('/logout', validate({
+  body: { refreshToken: rules.token }
+}), asyncHandler(async (req, res) => {
+  await sessions.revokeRefreshToken(req.body.refreshToken);
+
+  res.json({ message: 'Logged out successfully' });
+}));
+
+// Log out every session of the current user
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  await db.revokeUserSessions(req.user.userId, 'logout_all');
+
+  res.json({ message: 'Logged out of all sessions' });
+}));
+
+// Request a password reset email
+router.post('/forgot-password', validate({
+  body: { email: rules.email }
+}), asyncHandler(async (req, res) => {
+  // Same response whether or not the account exists
+  const user = await db.getUserByEmail(req.body.email);
+  if (user) {
+    await accountTokens.sendPasswordResetEmail(user);
+  }
+
+  res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+}));
+
+// Set a new password with a reset token
+router.post('/reset-password', validate({
+  body: { token: rules.token, password: rules.newPassword }
+}), asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const record = await accountTokens.consumeToken(token, accountTokens.TOKEN_TYPES.PASSWORD_RESET);
+  const user = await db.getUserById(record.user_id);
+  if (!user) {
+    throw new accountTokens.TokenError('Invalid or already used token');
+  }
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  const updates = { password_hash: passwordHash, updated_at: new Date().toISOString() };
+
+  // Following the emailed link proves ownership of the address
+  if (!user.email_verified_at && record.email === user.email) {
+    updates.email_verified_at = new Date().toISOString();
+  }
+
+  await db.updateUser(user.id, updates);
+  await sessions.revokeAllForUser(user.id, 'password_reset');
+
+  res.json({ message: 'Password has been reset. Please log in again.' });
+}));
+
+// Confirm an email address with a verification token
+router.post('/verify-email', validate({
+  body: { token: rules.token }
+}), asyncHandler(async (req, res) => {
+  const record = await accountTokens.consumeToken(req.body.token, accountTokens.TOKEN_TYPES.EMAIL_VERIFICATION);
+  const user = await db.getUserById(record.user_id);
+
+  // The token only verifies the address it was sent to
+  if (!user || record.email !== user.email) {
+    throw new accountTokens.TokenError('Invalid or already used token');
+  }
+
+  await db.updateUser(user.id, {
+    email_verified_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  });
+
+  res.json({ message: 'Email verified successfully' });
+}));
+
+// Send a new verification email to the current user
+router.post('/resend-verification', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await db.getUserById(req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  if (user.email_verified_at) {
+    throw new ApiError(400, 'Email is already verified', { code: 'ALREADY_VERIFIED' });
+  }
+
+  await accountTokens.sendVerificationEmail(user);
+
+  res.json({ message: 'Verification email sent' });
+}));
+
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    emailVerified: Boolean(user.email_verified_at),
+    role: getEffectiveRole(user),
+    hasPassword: Boolean(user.password_hash),
+    twoFactorEnabled: Boolean(user.totp_enabled_at),
+    deletionScheduledFor: user.deletion_scheduled_for || null
+  };
+}
+
 // Get current user
-router.get('/me', authenticateToken, async (req, res) => {
-  try {
-    const user = await db.getUserById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireCurrentUser(req);
+
+  res.json({
+    user: toPublicUser(user),
+    impersonatedBy: req.user.impersonatedBy || undefined
+  });
+}));
+
+// Update profile fields
+router.patch('/me', authenticateToken, validate({
+  body: { name: { ...rules.name, nullable: true } }
+}), asyncHandler(async (req, res) => {
+  if (req.body.name === undefined) {
+    throw new ApiError(400, 'Nothing to update', { code: 'NO_CHANGES' });
+  }
+
+  await requireCurrentUser(req);
+  await db.updateUser(req.user.userId, { name: req.body.name, updated_at: new Date().toISOString() });
+
+  res.json({ user: toPublicUser(await db.getUserById(req.user.userId)) });
+}));
+
+// Change or set the password; other sessions are logged out and this one gets new tokens
+router.post('/me/password', authenticateToken, validate({
+  body: { currentPassword: confirmPasswordRule, newPassword: rules.newPassword }
+}), asyncHandler(async (req, res) => {
+  const user = await requireCurrentUser(req);
+  await confirmPassword(user, req.body.currentPassword, req.user);
+
+  const passwordHash = await bcrypt.hash(req.body.newPassword, 10);
+  await db.updateUser(user.id, { password_hash: passwordHash, updated_at: new Date().toISOString() });
+  await sessions.revokeAllForUser(user.id, 'password_change');
+
+  const tokens = await sessions.issueTokens(user, req);
+
+  res.json({ message: 'Password changed. Other sessions have been logged out.', ...tokens });
+}));
+
+// Start an email change; the address only changes once the new one is confirmed
+router.post('/me/email', authenticateToken, validate({
+  body: { email: rules.email, password: confirmPasswordRule }
+}), asyncHandler(async (req, res) => {
+  const user = await requireCurrentUser(req);
+  await confirmPassword(user, req.body.password, req.user);
+  const { email } = req.body;
+
+  if (email.toLowerCase() === user.email.toLowerCase()) {
+    throw new ApiError(400, 'That is already your email address', { code: 'NO_CHANGES' });
+  }
+  if (await db.getUserByEmail(email)) {
+    throw new ApiError(409, 'Email address is already in use', { code: 'EMAIL_IN_USE' });
+  }
+
+  await accountTokens.sendEmailChangeEmail(user, email);
+
+  res.json({ message: `Confirmation email sent to ${email}` });
+}));
+
+// Confirm an email change with the token sent to the new address
+router.post('/confirm-email-change', validate({
+  body: { token: rules.token }
+}), asyncHandler(async (req, res) => {
+  const record = await accountTokens.consumeToken(req.body.token, accountTokens.TOKEN_TYPES.EMAIL_CHANGE);
+  const user = await db.getUserById(record.user_id);
+  if (!user || user.deleted_at) {
+    throw new accountTokens.TokenError('Invalid or already used token');
+  }
+
+  if (await db.getUserByEmail(record.email)) {
+    throw new ApiError(409, 'Email address is already in use', { code: 'EMAIL_IN_USE' });
+  }
+
+  await db.updateUser(user.id, {
+    email: record.email,
+    email_verified_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  });
 
-    res.json({
-      user: { id: user.id, email: user.email, name: user.name }
+  // Keep receipts going to the new address
+  const subscription = await db.getUserSubscription(user.id);
+  if (subscription && subscription.stripe_customer_id) {
+    getBilling().updateCustomer(subscription.stripe_customer_id, { email: record.email }).catch(error => {
+      logger.error('Stripe customer email update failed', { customerId: subscription.stripe_customer_id, error });
     });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Internal server error' });
   }
+
+  res.json({ message: 'Email address changed successfully' });
+}));
+
+// Download everything stored about the current user
+router.get('/me/export', authenticateToken, asyncHandler(async (req, res) => {
+  await requireCurrentUser(req);
+  const data = await db.exportUserData(req.user.userId);
+
+  res.attachment(`mindquest-export-${req.user.userId}.json`);
+  res.json({ exportedAt: new Date().toISOString(), ...data });
+}));
+
+// Schedule the account for deletion after an undo window
+router.delete('/me', authenticateToken, validate({
+  body: { password: confirmPasswordRule }
+}), asyncHandler(async (req, res) => {
+  const user = await requireCurrentUser(req);
+  await confirmPassword(user, req.body.password, req.user);
+  if (user.deletion_scheduled_for) {
+    throw new ApiError(409, 'Account deletion is already scheduled', { code: 'DELETION_SCHEDULED' });
+  }
+
+  const scheduledFor = await accountDeletion.requestDeletion(user);
+
+  res.json({
+    message: `Your account will be deleted on ${scheduledFor}. You can cancel until then.`,
+    deletionScheduledFor: scheduledFor
+  });
+}));
+
+// Keep the account after all
+router.post('/me/cancel-deletion', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireCurrentUser(req);
+  if (!user.deletion_scheduled_for) {
+    throw new ApiError(409, 'Account deletion is not scheduled', { code: 'DELETION_NOT_SCHEDULED' });
+  }
+
+  await accountDeletion.cancelDeletion(user);
+
+  res.json({ message: 'Account deletion canceled' });
+}));
+
+// Two-factor status of the current user
+router.get('/me/2fa', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireCurrentUser(req);
+
+  res.json({
+    enabled: Boolean(user.totp_enabled_at),
+    enabledAt: user.totp_enabled_at || null,
+    recoveryCodesRemaining: user.totp_enabled_at ? await db.countRecoveryCodes(user.id) : 0
+  });
+}));
+
+// Start enrolling an authenticator app; the otpauth URL is meant to be shown as a QR code
+router.post('/me/2fa/setup', authenticateToken, validate({
+  body: { password: confirmPasswordRule }
+}), asyncHandler(async (req, res) => {
+  const user = await requireCurrentUser(req);
+  await confirmPassword(user, req.body.password, req.user);
+
+  res.json(await twoFactor.beginSetup(user));
+}));
+
+// Confirm enrollment with a code from the app; returns the recovery codes once
+router.post('/me/2fa/verify', authenticateToken, validate({
+  body: { code: twoFactorCode }
+}), asyncHandler(async (req, res) => {
+  const user = await requireCurrentUser(req);
+  const recoveryCodes = await twoFactor.enable(user, req.body.code);
+
+  res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+}));
+
+// Turn two-factor authentication off
+router.post('/me/2fa/disable', authenticateToken, validate({
+  body: { password: confirmPasswordRule, code: twoFactorCode }
+}), asyncHandler(async (req, res) => {
+  const user = await requireCurrentUser(req);
+  await confirmPassword(user, req.body.password, req.user);
+  if (!user.totp_enabled_at) {
+    throw new ApiError(409, 'Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' });
+  }
+
+  await twoFactor.verifyCode(user, req.body.code);
+  await twoFactor.disable(user);
+
+  res.json({ message: 'Two-factor authentication disabled' });
+}));
+
+// Replace the recovery codes, e.g. after using several of them
+router.post('/me/2fa/recovery-codes', authenticateToken, validate({
+  body: { code: twoFactorCode }
+}), asyncHandler(async (req, res) => {
+  const user = await requireCurrentUser(req);
+  if (!user.totp_enabled_at) {
+    throw new ApiError(409, 'Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' });
+  }
+
+  await twoFactor.verifyCode(user, req.body.code);
+
+  res.json({ recoveryCodes: await twoFactor.generateRecoveryCodes(user) });
+}));
+
+// Sign-in providers that are configured
+router.get('/oauth/providers', (req, res) => {
+  res.json({ providers: oauthProviders.listProviders() });
+});
+
+// Start signing in with a provider; the client sends the browser to authorizationUrl
+router.post('/oauth/:provider/start', validate({ params: providerParams }), asyncHandler(async (req, res) => {
+  res.json(await oidc.startAuthorization(req.params.provider, { purpose: 'login' }));
+}));
+
+// Finish signing in with the code and state the provider redirected back with
+router.post('/oauth/callback', validate({ body: callbackBody }), asyncHandler(async (req, res) => {
+  const { provider, claims } = await oidc.completeAuthorization(req.body, 'login');
+  const { user, created } = await oidc.signIn(provider, claims);
+  if (user.totp_enabled_at) {
+    return res.json(twoFactorChallenge(user));
+  }
+
+  const tokens = await sessions.issueTokens(user, req);
+
+  res.status(created ? 201 : 200).json({
+    message: 'Login successful',
+    user: { id: user.id, email: user.email, name: user.name, emailVerified: Boolean(user.email_verified_at) },
+    created,
+    ...tokens
+  });
+}));
+
+// Providers using response_mode=form_post post here; pass the result on to the frontend
+router.post('/oauth/form-post', (req, res) => {
+  const target = new URL(oauthProviders.defaultRedirectUrl());
+  ['code', 'state', 'error', 'error_description'].forEach(key => {
+    if (typeof req.body[key] === 'string') {
+      target.searchParams.set(key, req.body[key]);
+    }
+  });
+
+  res.redirect(303, target.toString());
 });
 
-module.exports = { router, authenticateToken };
\ No newline at end of file
+// Provider accounts linked to the current user
+router.get('/me/identities', authenticateToken, asyncHandler(async (req, res) => {
+  const identities = await db.getLinkedIdentities(req.user.userId);
+  res.json({ identities: identities.map(oidc.formatIdentity) });
+}));
+
+// Start linking a provider account to the current user
+router.post('/me/identities/:provider/start', authenticateToken, validate({
+  params: providerParams
+}), asyncHandler(async (req, res) => {
+  res.json(await oidc.startAuthorization(req.params.provider, { purpose: 'link', userId: req.user.userId }));
+}));
+
+// Finish linking; the state must have been started by the same user
+router.post('/me/identities/callback', authenticateToken, validate({ body: callbackBody }), asyncHandler(async (req, res) => {
+  const { provider, claims, userId } = await oidc.completeAuthorization(req.body, 'link');
+  if (userId !== req.user.userId) {
+    throw new ApiError(400, 'Sign-in request is invalid or has expired', { code: 'INVALID_OAUTH_STATE' });
+  }
+
+  const identity = await oidc.linkIdentity(req.user.userId, provider, claims);
+
+  res.status(201).json({ identity: oidc.formatIdentity(identity) });
+}));
+
+// Unlink a provider account
+router.delete('/me/identities/:id', authenticateToken, validate({
+  params: { id: rules.uuid }
+}), asyncHandler(async (req, res) => {
+  const user = await requireCurrentUser(req);
+  const identity = await oidc.unlinkIdentity(user, req.params.id);
+
+  res.json({ message: `Unlinked ${identity.provider} account` });
+}));
+
+module.exports = { router, authenticateToken, authenticateTokenOrApiKey, requireRole, getEffectiveRole };
@@ -0,0 +1,35 @@
+const { StripeProvider } = require('./stripe');
+const { LocalProvider } = require('./local');
+
+let provider = null;
+
+// BILLING_PROVIDER=stripe (the default) talks to Stripe; local simulates billing in
+// the database for development and is refused in production
+function createProvider(name = process.env.BILLING_PROVIDER || 'stripe') {
+  if (name === 'stripe') {
+    return new StripeProvider();
+  }
+
+  if (name === 'local') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The local billing provider cannot be used in production');
+    }
+    return new LocalProvider();
+  }
+
+  throw new Error(`Unknown BILLING_PROVIDER "${name}"; use stripe or local`);
+}
+
+function getBilling() {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+}
+
+// Replace the shared provider, e.g. with a fake in tests
+function setBilling(nextProvider) {
+  provider = nextProvider;
+}
+
+module.exports = { createProvider, getBilling, setBilling };
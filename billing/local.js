@@ -0,0 +1,816 @@
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const db = require('../database');
+const { ApiError } = require('../errors');
+const { logger } = require('../logger');
+
+const DAY = 24 * 60 * 60;
+const API_VERSION = '2023-10-16';
+// Used when STRIPE_WEBHOOK_SECRET is unset, so local billing needs no Stripe config
+const DEFAULT_WEBHOOK_SECRET = 'whsec_local';
+const DELIVERY_TIMEOUT_MS = 10000;
+// Stripe's defaults: reminders three days ahead, four payment attempts three days apart
+const REMINDER_SECONDS = 3 * DAY;
+const RETRY_SECONDS = 3 * DAY;
+const MAX_PAYMENT_ATTEMPTS = 4;
+// Guards against an advance that never runs out of work
+const MAX_CLOCK_STEPS = 1000;
+const DECLINE_MESSAGE = 'Your card was declined.';
+
+// Monthly prices created for the default paid plans when they have none
+const DEFAULT_PRICES = { pro: 999, premium: 2999 };
+
+// Cards accepted on the simulated checkout page. 0341 is saved but every later
+// charge on it fails; 0002 is declined outright.
+const TEST_CARDS = [
+  { number: '4242424242424242', label: 'Visa 4242 (succeeds)', card: 'succeeds' },
+  { number: '4000000000000341', label: 'Visa 0341 (later charges decline)', card: 'fails_charges' },
+  { number: '4000000000000002', label: 'Visa 0002 (declined)', card: 'declined' }
+];
+const CARD_BEHAVIORS = ['succeeds', 'fails_charges'];
+
+let sequence = 0;
+
+// Stripe-style IDs that sort by creation time
+function newId(prefix) {
+  sequence = (sequence + 1) % 1296;
+  const time = Date.now().toString(36).padStart(9, '0') + sequence.toString(36).padStart(2, '0');
+  return `${prefix}_${time}${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function realNow() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function missing(type, id) {
+  const error = new Error(`No such ${type}: '${id}'`);
+  error.type = 'StripeInvalidRequestError';
+  error.code = 'resource_missing';
+  error.statusCode = 404;
+  return error;
+}
+
+function parseJson(value) {
+  return value ? JSON.parse(value) : {};
+}
+
+function addInterval(seconds, interval) {
+  const date = new Date(seconds * 1000);
+  if (interval === 'day') date.setUTCDate(date.getUTCDate() + 1);
+  else if (interval === 'week') date.setUTCDate(date.getUTCDate() + 7);
+  else if (interval === 'year') date.setUTCFullYear(date.getUTCFullYear() + 1);
+  else date.setUTCMonth(date.getUTCMonth() + 1);
+  return Math.floor(date.getTime() / 1000);
+}
+
+function toPrice(row) {
+  return {
+    id: row.stripe_price_id,
+    object: 'price',
+    active: true,
+    currency: row.currency || 'usd',
+    unit_amount: row.unit_amount || 0,
+    recurring: { interval: row.billing_interval || 'month', interval_count: 1 },
+    lookup_key: row.lookup_key,
+    product: row.stripe_product_id,
+    metadata: { plan_key: row.plan_key }
+  };
+}
+
+function toCustomer(row) {
+  if (row.deleted_at) {
+    return { id: row.id, object: 'customer', deleted: true };
+  }
+  return {
+    id: row.id,
+    object: 'customer',
+    email: row.email,
+    name: row.name,
+    metadata: parseJson(row.metadata),
+    balance: row.balance,
+    created: row.created,
+    livemode: false
+  };
+}
+
+function toSubscription(row, price) {
+  return {
+    id: row.id,
+    object: 'subscription',
+    customer: row.customer_id,
+    status: row.status,
+    metadata: parseJson(row.metadata),
+    items: {
+      object: 'list',
+      data: [{ id: `si_${row.id.slice(4)}`, object: 'subscription_item', price, quantity: row.quantity }]
+    },
+    current_period_start: row.current_period_start,
+    current_period_end: row.current_period_end,
+    trial_end: row.trial_end,
+    cancel_at_period_end: Boolean(row.cancel_at_period_end),
+    canceled_at: row.canceled_at,
+    schedule: row.schedule_id,
+    pause_collection: null,
+    created: row.created,
+    livemode: false
+  };
+}
+
+function toInvoice(row) {
+  return {
+    id: row.id,
+    object: 'invoice',
+    customer: row.customer_id,
+    subscription: row.subscription_id,
+    status: row.status,
+    billing_reason: row.billing_reason,
+    currency: row.currency,
+    amount_due: row.amount_due,
+    amount_paid: row.amount_paid,
+    amount_remaining: row.amount_due - row.amount_paid,
+    attempt_count: row.attempt_count,
+    attempted: row.attempt_count > 0,
+    next_payment_attempt: row.next_payment_attempt,
+    payment_intent: row.amount_due > 0 ? `pi_${row.id.slice(3)}` : null,
+    hosted_invoice_url: null,
+    invoice_pdf: null,
+    period_start: row.period_start,
+    period_end: row.period_end,
+    status_transitions: { paid_at: row.paid_at },
+    lines: {
+      object: 'list',
+      data: [{
+        type: 'subscription',
+        description: row.billing_reason,
+        amount: row.amount_due,
+        proration: row.billing_reason === 'subscription_update',
+        period: { start: row.period_start, end: row.period_end }
+      }]
+    },
+    created: row.created,
+    livemode: false
+  };
+}
+
+// Billing simulated in the database for local development. Objects are shaped like
+// Stripe's and every change is sent as a signed event to the Stripe webhook route,
+// so the rest of the app can't tell the difference. A clock that only moves when
+// advanceClock() is called drives trials, renewals and payment retries.
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.requiredConfig = [];
+    // Events are delivered one at a time, in the order they were emitted
+    this.deliveries = Promise.resolve();
+  }
+
+  get baseUrl() {
+    return (process.env.LOCAL_BILLING_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+  }
+
+  get webhookUrl() {
+    return process.env.LOCAL_BILLING_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3001}/api/webhooks/stripe`;
+  }
+
+  get webhookSecret() {
+    return process.env.STRIPE_WEBHOOK_SECRET || DEFAULT_WEBHOOK_SECRET;
+  }
+
+  // Give the default paid plans a price so checkout works on a fresh database
+  async prepare() {
+    for (const [planKey, unitAmount] of Object.entries(DEFAULT_PRICES)) {
+      if (await db.getPlan(planKey) && (await db.getPlanPrices(planKey)).length === 0) {
+        await db.addPlanPrice(planKey, {
+          stripe_price_id: `price_local${planKey}`,
+          currency: 'usd',
+          billing_interval: 'month',
+          unit_amount: unitAmount
+        });
+      }
+    }
+
+    logger.warn('Using the local billing provider; no real payments are taken', { webhookUrl: this.webhookUrl });
+  }
+
+  // Clock methods
+  async now() {
+    return realNow() + await db.getLocalBillingClockOffset();
+  }
+
+  async getClock() {
+    const offsetSeconds = await db.getLocalBillingClockOffset();
+    return { now: realNow() + offsetSeconds, offsetSeconds };
+  }
+
+  // The clock never moves backwards
+  async setClock(seconds) {
+    const offset = seconds - realNow();
+    if (offset > await db.getLocalBillingClockOffset()) {
+      await db.setLocalBillingClockOffset(offset);
+    }
+  }
+
+  // Move the clock forward, running every trial end, renewal and payment retry that
+  // falls due on the way in time order. Resolves once their events are delivered.
+  async advanceClock(seconds) {
+    const target = await this.now() + seconds;
+    const actions = [];
+
+    for (let step = 0; step < MAX_CLOCK_STEPS; step++) {
+      const next = await this.nextAction(target);
+      if (!next) break;
+
+      await this.setClock(next.at);
+      await next.run();
+      actions.push({ type: next.type, id: next.id, at: next.at });
+    }
+
+    await this.setClock(target);
+    await this.flush();
+
+    logger.info('Local billing clock advanced', { now: target, actions: actions.length });
+    return { now: target, actions };
+  }
+
+  // The earliest piece of work due by target. Ties run in the order listed, so a
+  // trial reminder goes out before the renewal it warns about.
+  async nextAction(target) {
+    const candidates = [];
+
+    for (const row of await db.getLiveLocalSubscriptions()) {
+      if (row.status === 'trialing' && row.trial_end && !row.trial_will_end_sent) {
+        candidates.push({ at: row.trial_end - REMINDER_SECONDS, type: 'trial_will_end', id: row.id, run: () => this.sendTrialReminder(row.id) });
+      }
+      if (row.status === 'past_due') continue;
+
+      if (!row.cancel_at_period_end && row.upcoming_sent_for !== row.current_period_end) {
+        candidates.push({ at: row.current_period_end - REMINDER_SECONDS, type: 'invoice_upcoming', id: row.id, run: () => this.sendUpcomingInvoice(row.id) });
+      }
+      candidates.push({
+        at: row.current_period_end,
+        type: row.cancel_at_period_end ? 'cancel' : 'renew',
+        id: row.id,
+        run: () => this.renewSubscription(row.id)
+      });
+    }
+
+    for (const row of await db.getRetryingLocalInvoices()) {
+      candidates.push({ at: row.next_payment_attempt, type: 'payment_retry', id: row.id, run: () => this.retryInvoice(row.id) });
+    }
+
+    const due = candidates.filter(candidate => candidate.at <= target).sort((a, b) => a.at - b.at);
+    return due[0] || null;
+  }
+
+  // Event methods
+  async emit(type, object) {
+    const event = {
+      id: newId('evt'),
+      object: 'event',
+      api_version: API_VERSION,
+      created: await this.now(),
+      livemode: false,
+      pending_webhooks: 1,
+      request: { id: null, idempotency_key: null },
+      type,
+      data: { object }
+    };
+    const payload = JSON.stringify(event, null, 2);
+
+    await db.createLocalBillingObject('event', { id: event.id, type, payload, created: event.created });
+    this.deliveries = this.deliveries
+      .then(() => this.deliver(event.id, payload))
+      .catch(error => logger.error('Local billing event delivery failed', { eventId: event.id, error }));
+  }
+
+  // POST the event the way Stripe does, signed with the current real time
+  async deliver(eventId, payload) {
+    const timestamp = realNow();
+    const signature = crypto.createHmac('sha256', this.webhookSecret).update(`${timestamp}.${payload}`).digest('hex');
+    const result = { delivery_status: null, delivery_error: null, delivered_at: new Date().toISOString() };
+
+    try {
+      const response = await fetch(this.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Stripe-Signature': `t=${timestamp},v1=${signature}` },
+        body: payload,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+      result.delivery_status = response.status;
+      if (!response.ok) {
+        result.delivery_error = (await response.text()).slice(0, 500);
+        logger.warn('Local billing event was rejected', { eventId, status: response.status });
+      }
+    } catch (error) {
+      result.delivery_error = error.message;
+      logger.warn('Local billing event could not be delivered', { eventId, webhookUrl: this.webhookUrl, error });
+    }
+
+    await db.updateLocalBillingObject('event', eventId, result);
+  }
+
+  // Resolves once every event emitted so far has been delivered
+  flush() {
+    return this.deliveries;
+  }
+
+  getEvents(options) {
+    return db.getLocalBillingEvents(options);
+  }
+
+  // Checks signatures with Stripe's own verifier, so events signed here are known
+  // to match what Stripe sends
+  constructEvent(payload, signature) {
+    return Stripe.webhooks.constructEvent(payload, signature, this.webhookSecret);
+  }
+
+  // Lookups
+  async requireCustomer(customerId) {
+    const row = await db.getLocalBillingObject('customer', customerId);
+    if (!row || row.deleted_at) throw missing('customer', customerId);
+    return row;
+  }
+
+  async requireSubscription(subscriptionId) {
+    const row = await db.getLocalBillingObject('subscription', subscriptionId);
+    if (!row) throw missing('subscription', subscriptionId);
+    return row;
+  }
+
+  async loadPrice(priceId) {
+    const row = await db.findPlanPrice({ priceId });
+    if (!row) throw missing('price', priceId);
+    return toPrice(row);
+  }
+
+  async serializeSubscription(row) {
+    return toSubscription(row, await this.loadPrice(row.price_id));
+  }
+
+  // Customer methods
+  async createCustomer({ email, name, metadata }) {
+    const row = await db.createLocalBillingObject('customer', {
+      id: newId('cus'),
+      email,
+      name: name || null,
+      metadata: JSON.stringify(metadata || {}),
+      created: await this.now()
+    });
+    return toCustomer(row);
+  }
+
+  async retrieveCustomer(customerId) {
+    const row = await db.getLocalBillingObject('customer', customerId);
+    if (!row) throw missing('customer', customerId);
+    return toCustomer(row);
+  }
+
+  async updateCustomer(customerId, { email }) {
+    await this.requireCustomer(customerId);
+    return toCustomer(await db.updateLocalBillingObject('customer', customerId, { email }));
+  }
+
+  // Deleting a customer cancels their subscriptions straight away, as in Stripe
+  async deleteCustomer(customerId) {
+    await this.requireCustomer(customerId);
+
+    const subscription = await db.getLatestLocalSubscription(customerId);
+    if (subscription && ['trialing', 'active', 'past_due'].includes(subscription.status)) {
+      await this.endSubscription(subscription, await this.now());
+    }
+
+    const row = await db.updateLocalBillingObject('customer', customerId, { deleted_at: await this.now() });
+    await this.flush();
+    return toCustomer(row);
+  }
+
+  // Idempotency keys are not simulated
+  async creditCustomer(customerId, { amount }) {
+    const row = await this.requireCustomer(customerId);
+    return toCustomer(await db.updateLocalBillingObject('customer', customerId, { balance: row.balance - amount }));
+  }
+
+  // Set whether charges on the customer's saved card succeed
+  async setCardBehavior(customerId, card) {
+    if (!CARD_BEHAVIORS.includes(card)) {
+      throw new ApiError(400, `card must be one of: ${CARD_BEHAVIORS.join(', ')}`, { code: 'VALIDATION_ERROR' });
+    }
+    await this.requireCustomer(customerId);
+    return toCustomer(await db.updateLocalBillingObject('customer', customerId, { card }));
+  }
+
+  // Checkout and portal methods
+  async findPromotionCode() {
+    // Promotion codes are not simulated, so every code is unknown
+    return null;
+  }
+
+  async createCheckoutSession({ customerId, userId, priceId, quantity = 1, trialDays, successUrl, cancelUrl }) {
+    await this.requireCustomer(customerId);
+    const price = await db.findPlanPrice({ priceId });
+    if (!price) {
+      throw new ApiError(400, 'Price not found', { code: 'UNKNOWN_PRICE' });
+    }
+
+    const row = await db.createLocalBillingObject('checkoutSession', {
+      id: newId('cs'),
+      customer_id: customerId,
+      client_reference_id: userId,
+      price_id: priceId,
+      quantity,
+      trial_days: trialDays || 0,
+      metadata: JSON.stringify({ userId }),
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      created: await this.now()
+    });
+
+    return { id: row.id, url: `${this.baseUrl}/api/billing/local/checkout/${row.id}` };
+  }
+
+  // What the checkout page shows, or null for an unknown session
+  async getCheckoutSession(sessionId) {
+    const session = await db.getLocalBillingObject('checkoutSession', sessionId);
+    if (!session) return null;
+
+    const [price, customer] = await Promise.all([
+      this.loadPrice(session.price_id),
+      db.getLocalBillingObject('customer', session.customer_id)
+    ]);
+    return { session, price, customer };
+  }
+
+  // Pay for a checkout session with one of the test cards. Resolves with the URL to
+  // send the customer to once the subscription's events have been delivered.
+  async completeCheckout(sessionId, cardNumber) {
+    const session = await db.getLocalBillingObject('checkoutSession', sessionId);
+    if (!session) throw missing('checkout session', sessionId);
+    if (session.status !== 'open') {
+      throw new ApiError(409, 'This checkout session is no longer open', { code: 'CHECKOUT_NOT_OPEN' });
+    }
+
+    const testCard = TEST_CARDS.find(card => card.number === cardNumber);
+    if (!testCard) {
+      throw new ApiError(400, 'Use one of the listed test cards', { code: 'VALIDATION_ERROR' });
+    }
+
+    const customer = await this.requireCustomer(session.customer_id);
+    const price = await this.loadPrice(session.price_id);
+    const now = await this.now();
+    const trialEnd = session.trial_days > 0 ? now + session.trial_days * DAY : null;
+    const amount = price.unit_amount * session.quantity;
+    const firstCharge = trialEnd ? 0 : Math.max(0, amount + Math.min(0, customer.balance));
+
+    if (testCard.card === 'declined' || (firstCharge > 0 && testCard.card !== 'succeeds')) {
+      throw new ApiError(402, DECLINE_MESSAGE, { code: 'CARD_DECLINED' });
+    }
+
+    await db.updateLocalBillingObject('customer', customer.id, { card: testCard.card });
+    const subscription = await db.createLocalBillingObject('subscription', {
+      id: newId('sub'),
+      customer_id: customer.id,
+      price_id: price.id,
+      quantity: session.quantity,
+      status: trialEnd ? 'trialing' : 'active',
+      metadata: session.metadata,
+      current_period_start: now,
+      current_period_end: trialEnd || addInterval(now, price.recurring.interval),
+      trial_end: trialEnd,
+      created: now
+    });
+    const completed = await db.updateLocalBillingObject('checkoutSession', session.id, {
+      status: 'complete',
+      subscription_id: subscription.id
+    });
+
+    // checkout.session.completed links the subscription to the user, so it goes first
+    await this.emit('checkout.session.completed', {
+      id: completed.id,
+      object: 'checkout.session',
+      mode: 'subscription',
+      status: 'complete',
+      payment_status: firstCharge > 0 ? 'paid' : 'no_payment_required',
+      customer: customer.id,
+      customer_details: { email: customer.email },
+      client_reference_id: completed.client_reference_id,
+      metadata: parseJson(completed.metadata),
+      subscription: subscription.id,
+      url: null
+    });
+    await this.emit('customer.subscription.created', toSubscription(subscription, price));
+    await this.collect(await this.createInvoice(subscription, price, 'subscription_create', trialEnd ? 0 : amount));
+    await this.flush();
+
+    return completed.success_url.replace('{CHECKOUT_SESSION_ID}', completed.id);
+  }
+
+  async createPortalSession({ customerId, returnUrl }) {
+    await this.requireCustomer(customerId);
+    const row = await db.createLocalBillingObject('portalSession', {
+      id: newId('bps'),
+      customer_id: customerId,
+      return_url: returnUrl,
+      created: await this.now()
+    });
+    return { url: `${this.baseUrl}/api/billing/local/portal/${row.id}` };
+  }
+
+  // What the portal page shows, or null for an unknown session
+  async getPortalSession(sessionId) {
+    const session = await db.getLocalBillingObject('portalSession', sessionId);
+    if (!session) return null;
+
+    const row = await db.getLatestLocalSubscription(session.customer_id);
+    return { session, subscription: row ? await this.serializeSubscription(row) : null };
+  }
+
+  // Price and subscription methods
+  retrievePrice(priceId) {
+    return this.loadPrice(priceId);
+  }
+
+  async retrieveSubscription(subscriptionId) {
+    return this.serializeSubscription(await this.requireSubscription(subscriptionId));
+  }
+
+  async findLatestSubscription(customerId) {
+    const row = await db.getLatestLocalSubscription(customerId);
+    return row ? this.serializeSubscription(row) : null;
+  }
+
+  async setCancelAtPeriodEnd(subscriptionId, cancelAtPeriodEnd) {
+    const row = await this.requireSubscription(subscriptionId);
+    const updated = await db.updateLocalBillingObject('subscription', row.id, {
+      cancel_at_period_end: cancelAtPeriodEnd ? 1 : 0
+    });
+
+    const subscription = await this.serializeSubscription(updated);
+    await this.emit('customer.subscription.updated', subscription);
+    await this.flush();
+    return subscription;
+  }
+
+  // Seats take effect on the next renewal's invoice; prorations are not simulated
+  async updateQuantity(subscriptionId, quantity) {
+    const row = await this.requireSubscription(subscriptionId);
+    const updated = await db.updateLocalBillingObject('subscription', row.id, { quantity });
+
+    const subscription = await this.serializeSubscription(updated);
+    await this.emit('customer.subscription.updated', subscription);
+    await this.flush();
+    return subscription;
+  }
+
+  async applyPromotionCode() {
+    throw new ApiError(400, 'Promotion codes are not simulated by the local billing provider', { code: 'PROMOTION_CODE_NOT_APPLICABLE' });
+  }
+
+  async cancelSubscription(subscriptionId) {
+    const row = await this.requireSubscription(subscriptionId);
+    const ended = await this.endSubscription(row, await this.now());
+    await this.flush();
+    return ended;
+  }
+
+  async endSubscription(row, canceledAt) {
+    const updated = await db.updateLocalBillingObject('subscription', row.id, {
+      status: 'canceled',
+      canceled_at: canceledAt,
+      cancel_at_period_end: 0,
+      schedule_id: null,
+      scheduled_price_id: null
+    });
+
+    const subscription = await this.serializeSubscription(updated);
+    await this.emit('customer.subscription.deleted', subscription);
+    return subscription;
+  }
+
+  // Plan change methods
+  async prorate(row, priceId, prorationDate) {
+    const [current, next] = await Promise.all([this.loadPrice(row.price_id), this.loadPrice(priceId)]);
+    const period = row.current_period_end - row.current_period_start;
+    // Callers pass real time, which is behind the simulated clock once it has been advanced
+    const from = Math.max(prorationDate, await this.now());
+    const remaining = Math.min(1, Math.max(0, (row.current_period_end - from) / period));
+
+    return {
+      next,
+      lines: [
+        { description: `Unused time on ${current.id}`, amount: -Math.round(current.unit_amount * row.quantity * remaining), proration: true },
+        { description: `Remaining time on ${next.id}`, amount: Math.round(next.unit_amount * row.quantity * remaining), proration: true }
+      ]
+    };
+  }
+
+  async previewPriceChange(subscription, item, priceId, { prorate, prorationDate }) {
+    const row = await this.requireSubscription(subscription.id);
+
+    let currency;
+    let lines;
+    if (prorate) {
+      const proration = await this.prorate(row, priceId, prorationDate);
+      currency = proration.next.currency;
+      lines = proration.lines;
+    } else {
+      const next = await this.loadPrice(priceId);
+      currency = next.currency;
+      lines = [{ description: `Next period on ${next.id}`, amount: next.unit_amount * row.quantity, proration: false }];
+    }
+
+    const total = lines.reduce((sum, line) => sum + line.amount, 0);
+    return { object: 'invoice', currency, amount_due: Math.max(0, total), lines: { object: 'list', data: lines } };
+  }
+
+  // Like Stripe's pending_if_incomplete: when the prorated charge fails the price is
+  // left alone and pending_update is set
+  async changePrice(subscription, item, priceId, prorationDate) {
+    const row = await this.requireSubscription(subscription.id);
+    const customer = await this.requireCustomer(row.customer_id);
+    const { next, lines } = await this.prorate(row, priceId, prorationDate);
+    const amount = Math.max(0, lines.reduce((sum, line) => sum + line.amount, 0));
+
+    if (!this.canPay(customer, amount)) {
+      return { ...await this.serializeSubscription(row), pending_update: { subscription_items: [{ price: priceId }] } };
+    }
+
+    const updated = await db.updateLocalBillingObject('subscription', row.id, {
+      price_id: next.id,
+      schedule_id: null,
+      scheduled_price_id: null
+    });
+    const result = toSubscription(updated, next);
+
+    await this.emit('customer.subscription.updated', result);
+    if (amount > 0) {
+      await this.collect(await this.createInvoice(updated, next, 'subscription_update', amount));
+    }
+    await this.flush();
+    return result;
+  }
+
+  async schedulePriceChange(subscription, item, priceId) {
+    const row = await this.requireSubscription(subscription.id);
+    await this.loadPrice(priceId);
+
+    const updated = await db.updateLocalBillingObject('subscription', row.id, {
+      schedule_id: row.schedule_id || newId('sub_sched'),
+      scheduled_price_id: priceId
+    });
+
+    await this.emit('customer.subscription.updated', await this.serializeSubscription(updated));
+    await this.flush();
+    return updated.schedule_id;
+  }
+
+  async releaseSchedule(scheduleId) {
+    const row = await db.getLocalSubscriptionBySchedule(scheduleId);
+    if (!row) throw missing('subscription schedule', scheduleId);
+
+    const updated = await db.updateLocalBillingObject('subscription', row.id, { schedule_id: null, scheduled_price_id: null });
+    await this.emit('customer.subscription.updated', await this.serializeSubscription(updated));
+    await this.flush();
+  }
+
+  // Payment methods
+  async getPaymentFailureReason(paymentIntentId) {
+    const invoice = await db.getLocalBillingObject('invoice', `in_${paymentIntentId.slice(3)}`);
+    if (!invoice) throw missing('payment intent', paymentIntentId);
+    return invoice.failure_reason;
+  }
+
+  canPay(customer, amount) {
+    return amount <= 0 || customer.card === 'succeeds';
+  }
+
+  // An open invoice for amount, less any credit on the customer's balance
+  async createInvoice(subscription, price, billingReason, amount) {
+    const customer = await this.requireCustomer(subscription.customer_id);
+    const credit = Math.min(Math.max(0, -customer.balance), amount);
+    if (credit > 0) {
+      await db.updateLocalBillingObject('customer', customer.id, { balance: customer.balance + credit });
+    }
+
+    return db.createLocalBillingObject('invoice', {
+      id: newId('in'),
+      customer_id: customer.id,
+      subscription_id: subscription.id,
+      status: 'open',
+      billing_reason: billingReason,
+      currency: price.currency,
+      amount_due: amount - credit,
+      period_start: subscription.current_period_start,
+      period_end: subscription.current_period_end,
+      created: await this.now()
+    });
+  }
+
+  // Attempt payment of an open invoice. Returns whether it was paid.
+  async collect(invoice) {
+    const customer = await db.getLocalBillingObject('customer', invoice.customer_id);
+    const now = await this.now();
+    const attemptCount = invoice.attempt_count + 1;
+
+    if (attemptCount === 1) {
+      await this.emit('invoice.finalized', toInvoice(invoice));
+    }
+
+    if (customer && this.canPay(customer, invoice.amount_due)) {
+      const paid = await db.updateLocalBillingObject('invoice', invoice.id, {
+        status: 'paid',
+        amount_paid: invoice.amount_due,
+        attempt_count: attemptCount,
+        next_payment_attempt: null,
+        paid_at: now
+      });
+      await this.emit('invoice.paid', toInvoice(paid));
+      await this.emit('invoice.payment_succeeded', toInvoice(paid));
+      return true;
+    }
+
+    const finalAttempt = attemptCount >= MAX_PAYMENT_ATTEMPTS;
+    const failed = await db.updateLocalBillingObject('invoice', invoice.id, {
+      status: finalAttempt ? 'uncollectible' : 'open',
+      attempt_count: attemptCount,
+      next_payment_attempt: finalAttempt ? null : now + RETRY_SECONDS,
+      failure_reason: DECLINE_MESSAGE
+    });
+    await this.emit('invoice.payment_failed', toInvoice(failed));
+    if (finalAttempt) {
+      await this.emit('invoice.marked_uncollectible', toInvoice(failed));
+    }
+    return false;
+  }
+
+  // Clock actions
+  async sendTrialReminder(subscriptionId) {
+    const row = await db.updateLocalBillingObject('subscription', subscriptionId, { trial_will_end_sent: 1 });
+    await this.emit('customer.subscription.trial_will_end', await this.serializeSubscription(row));
+  }
+
+  async sendUpcomingInvoice(subscriptionId) {
+    const current = await this.requireSubscription(subscriptionId);
+    const row = await db.updateLocalBillingObject('subscription', subscriptionId, { upcoming_sent_for: current.current_period_end });
+    const price = await this.loadPrice(row.scheduled_price_id || row.price_id);
+
+    // Like Stripe's upcoming invoice, this one has no ID
+    await this.emit('invoice.upcoming', {
+      object: 'invoice',
+      customer: row.customer_id,
+      subscription: row.id,
+      status: 'draft',
+      billing_reason: 'upcoming',
+      currency: price.currency,
+      amount_due: price.unit_amount * row.quantity,
+      next_payment_attempt: row.current_period_end,
+      period_start: row.current_period_start,
+      period_end: row.current_period_end,
+      livemode: false
+    });
+  }
+
+  // At the end of a period: cancel if asked to, otherwise start the next period on
+  // the scheduled price and charge for it. A failed charge leaves it past_due.
+  async renewSubscription(subscriptionId) {
+    const row = await this.requireSubscription(subscriptionId);
+    if (row.cancel_at_period_end) {
+      await this.endSubscription(row, row.current_period_end);
+      return;
+    }
+
+    const price = await this.loadPrice(row.scheduled_price_id || row.price_id);
+    const updated = await db.updateLocalBillingObject('subscription', row.id, {
+      price_id: price.id,
+      status: 'active',
+      current_period_start: row.current_period_end,
+      current_period_end: addInterval(row.current_period_end, price.recurring.interval),
+      schedule_id: null,
+      scheduled_price_id: null
+    });
+
+    const invoice = await this.createInvoice(updated, price, 'subscription_cycle', price.unit_amount * updated.quantity);
+    const customer = await this.requireCustomer(row.customer_id);
+    const status = this.canPay(customer, invoice.amount_due) ? 'active' : 'past_due';
+    const renewed = status === 'active' ? updated : await db.updateLocalBillingObject('subscription', row.id, { status });
+
+    await this.emit('customer.subscription.updated', toSubscription(renewed, price));
+    await this.collect(invoice);
+  }
+
+  // A retry that succeeds brings the subscription back; the last failed one ends it
+  async retryInvoice(invoiceId) {
+    const invoice = await db.getLocalBillingObject('invoice', invoiceId);
+    const paid = await this.collect(invoice);
+    const row = invoice.subscription_id && await db.getLocalBillingObject('subscription', invoice.subscription_id);
+    if (!row || row.status !== 'past_due') return;
+
+    if (paid) {
+      const updated = await db.updateLocalBillingObject('subscription', row.id, { status: 'active' });
+      await this.emit('customer.subscription.updated', await this.serializeSubscription(updated));
+    } else if (invoice.attempt_count + 1 >= MAX_PAYMENT_ATTEMPTS) {
+      await this.endSubscription(row, await this.now());
+    }
+  }
+}
+
+module.exports = { LocalProvider, TEST_CARDS, CARD_BEHAVIORS };
@@ -0,0 +1,219 @@
+const { getStripe } = require('../stripeClient');
+const { ApiError } = require('../errors');
+
+function scheduleId(subscription) {
+  if (!subscription.schedule) return null;
+  return typeof subscription.schedule === 'string' ? subscription.schedule : subscription.schedule.id;
+}
+
+// Billing backed by the Stripe API. The client comes from stripeClient on every call,
+// so a client swapped in with setStripe() is used straight away.
+class StripeProvider {
+  constructor() {
+    this.name = 'stripe';
+    this.requiredConfig = ['STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET'];
+  }
+
+  get stripe() {
+    return getStripe();
+  }
+
+  async prepare() {}
+
+  // Customer methods
+  createCustomer({ email, name, metadata }) {
+    return this.stripe.customers.create({ email, name, metadata });
+  }
+
+  retrieveCustomer(customerId) {
+    return this.stripe.customers.retrieve(customerId);
+  }
+
+  updateCustomer(customerId, { email }) {
+    return this.stripe.customers.update(customerId, { email });
+  }
+
+  deleteCustomer(customerId) {
+    return this.stripe.customers.del(customerId);
+  }
+
+  // Credit applied to the customer's next invoices
+  creditCustomer(customerId, { amount, currency, description, metadata, idempotencyKey }) {
+    return this.stripe.customers.createBalanceTransaction(customerId, {
+      amount: -amount,
+      currency,
+      description,
+      metadata
+    }, { idempotencyKey });
+  }
+
+  // Checkout and portal methods
+  async findPromotionCode(code) {
+    const { data } = await this.stripe.promotionCodes.list({ code, active: true, limit: 1 });
+    return data[0] || null;
+  }
+
+  async createCheckoutSession({ customerId, userId, priceId, quantity = 1, trialDays, promotionCodeId, successUrl, cancelUrl }) {
+    const subscriptionData = { metadata: { userId } };
+    if (trialDays > 0) {
+      subscriptionData.trial_period_days = trialDays;
+    }
+
+    // Stripe accepts either a preapplied discount or a code field on the checkout page
+    const discountOptions = promotionCodeId
+      ? { discounts: [{ promotion_code: promotionCodeId }] }
+      : { allow_promotion_codes: true };
+
+    const session = await this.stripe.checkout.sessions.create({
+      ...discountOptions,
+      customer: customerId,
+      client_reference_id: userId,
+      metadata: { userId },
+      payment_method_types: ['card'],
+      line_items: [{ price: priceId, quantity }],
+      mode: 'subscription',
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      subscription_data: subscriptionData
+    });
+
+    return { id: session.id, url: session.url };
+  }
+
+  async createPortalSession({ customerId, returnUrl }) {
+    const session = await this.stripe.billingPortal.sessions.create({ customer: customerId, return_url: returnUrl });
+    return { url: session.url };
+  }
+
+  // Price and subscription methods
+  retrievePrice(priceId) {
+    return this.stripe.prices.retrieve(priceId, { expand: ['product'] });
+  }
+
+  retrieveSubscription(subscriptionId) {
+    return this.stripe.subscriptions.retrieve(subscriptionId);
+  }
+
+  // The customer's most recent subscription in any status
+  async findLatestSubscription(customerId) {
+    const { data } = await this.stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 1 });
+    return data[0] || null;
+  }
+
+  setCancelAtPeriodEnd(subscriptionId, cancelAtPeriodEnd) {
+    return this.stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: cancelAtPeriodEnd });
+  }
+
+  async applyPromotionCode(subscriptionId, promotionCodeId) {
+    try {
+      return await this.stripe.subscriptions.update(subscriptionId, { promotion_code: promotionCodeId });
+    } catch (error) {
+      // e.g. a first-time-only code or one restricted to other customers
+      if (error.type === 'StripeInvalidRequestError') {
+        throw new ApiError(400, error.message, { code: 'PROMOTION_CODE_NOT_APPLICABLE' });
+      }
+      throw error;
+    }
+  }
+
+  // Seats on team plans; the difference is prorated onto the next invoice. While a
+  // plan change is scheduled the schedule owns the items, so its phases are updated.
+  async updateQuantity(subscriptionId, quantity) {
+    const subscription = await this.retrieveSubscription(subscriptionId);
+    const existingSchedule = scheduleId(subscription);
+
+    if (existingSchedule) {
+      const schedule = await this.stripe.subscriptionSchedules.retrieve(existingSchedule);
+      await this.stripe.subscriptionSchedules.update(existingSchedule, {
+        proration_behavior: 'create_prorations',
+        phases: schedule.phases.map(phase => ({
+          items: phase.items.map(item => ({ price: typeof item.price === 'string' ? item.price : item.price.id, quantity })),
+          start_date: phase.start_date,
+          end_date: phase.end_date,
+          proration_behavior: phase.proration_behavior
+        }))
+      });
+      return this.retrieveSubscription(subscriptionId);
+    }
+
+    return this.stripe.subscriptions.update(subscriptionId, {
+      items: [{ id: subscription.items.data[0].id, quantity }],
+      proration_behavior: 'create_prorations'
+    });
+  }
+
+  cancelSubscription(subscriptionId) {
+    return this.stripe.subscriptions.cancel(subscriptionId);
+  }
+
+  // Plan change methods. Upgrades are invoiced now with proration, downgrades wait
+  // for the end of the period in a subscription schedule.
+  previewPriceChange(subscription, item, priceId, { customerId, prorate, prorationDate }) {
+    return this.stripe.invoices.retrieveUpcoming({
+      customer: customerId,
+      subscription: subscription.id,
+      subscription_items: [{ id: item.id, price: priceId }],
+      subscription_proration_behavior: prorate ? 'always_invoice' : 'none',
+      subscription_proration_date: prorationDate
+    });
+  }
+
+  // The change is dropped, and pending_update set, if the prorated invoice cannot be paid
+  async changePrice(subscription, item, priceId, prorationDate) {
+    const existingSchedule = scheduleId(subscription);
+    if (existingSchedule) {
+      await this.stripe.subscriptionSchedules.release(existingSchedule);
+    }
+
+    return this.stripe.subscriptions.update(subscription.id, {
+      items: [{ id: item.id, price: priceId }],
+      proration_behavior: 'always_invoice',
+      proration_date: prorationDate,
+      payment_behavior: 'pending_if_incomplete'
+    });
+  }
+
+  // Returns the ID of the schedule that will move the subscription to priceId
+  async schedulePriceChange(subscription, item, priceId) {
+    const schedule = scheduleId(subscription)
+      ? await this.stripe.subscriptionSchedules.retrieve(scheduleId(subscription))
+      : await this.stripe.subscriptionSchedules.create({ from_subscription: subscription.id });
+
+    const quantity = item.quantity || 1;
+    await this.stripe.subscriptionSchedules.update(schedule.id, {
+      end_behavior: 'release',
+      phases: [
+        {
+          items: [{ price: item.price.id, quantity }],
+          start_date: schedule.current_phase?.start_date || subscription.current_period_start,
+          end_date: subscription.current_period_end,
+          proration_behavior: 'none'
+        },
+        {
+          items: [{ price: priceId, quantity }],
+          iterations: 1,
+          proration_behavior: 'none'
+        }
+      ]
+    });
+
+    return schedule.id;
+  }
+
+  releaseSchedule(scheduleId) {
+    return this.stripe.subscriptionSchedules.release(scheduleId);
+  }
+
+  // Payment and webhook methods
+  async getPaymentFailureReason(paymentIntentId) {
+    const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+    return paymentIntent.last_payment_error?.message || null;
+  }
+
+  // Verifies the Stripe-Signature header; throws if it doesn't match
+  constructEvent(payload, signature) {
+    return this.stripe.webhooks.constructEvent(payload, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  }
+}
+
+module.exports = { StripeProvider };
@@ -1,130 +1,158 @@
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { Migrator } = require('./migrator');
+const { createAdapter } = require('./db');
+const { logger } = require('./logger');
+const requestContext = require('./requestContext');
+const metrics = require('./metrics');
 
 const DB_PATH = path.join(__dirname, 'mindquest.db');
+const SLOW_QUERY_MS = parseInt(process.env.DB_SLOW_QUERY_MS || '500', 10);
+const OPERATIONS = ['select', 'insert', 'update', 'delete', 'create', 'alter', 'drop'];
 
+// The statement type used to label query metrics
+function sqlOperation(sql) {
+  const keyword = sql.trimStart().split(/\s/, 1)[0].toLowerCase();
+  return OPERATIONS.includes(keyword) ? keyword : 'other';
+}
+
+function compactSql(sql) {
+  return sql.replace(/\s+/g, ' ').trim().slice(0, 500);
+}
+
+// Tables behind the local billing provider, by the kind of object they hold
+const LOCAL_BILLING_TABLES = {
+  customer: 'local_billing_customers',
+  checkoutSession: 'local_billing_checkout_sessions',
+  portalSession: 'local_billing_portal_sessions',
+  subscription: 'local_billing_subscriptions',
+  invoice: 'local_billing_invoices',
+  event: 'local_billing_events'
+};
+
+// Plans created on an empty database; edit them afterwards through /api/plans
+const DEFAULT_PLANS = [
+  {
+    key: 'free',
+    name: 'Free',
+    limits: { assessment: 2, journal_entry: 5, habit_tracking: 3, ai_insights: 1 }
+  },
+  {
+    key: 'pro',
+    name: 'Pro',
+    priceId: process.env.STRIPE_PRO_PRICE_ID,
+    limits: { assessment: 10, journal_entry: 50, habit_tracking: 20, ai_insights: 10 }
+  },
+  {
+    key: 'premium',
+    name: 'Premium',
+    priceId: process.env.STRIPE_PREMIUM_PRICE_ID,
+    limits: { assessment: -1, journal_entry: -1, habit_tracking: -1, ai_insights: -1 }
+  }
+];
+
+// Repository methods for the whole app. Statements go through a storage adapter
+// (db/sqlite.js or db/postgres.js) chosen by DATABASE_URL, so both share the SQL below.
 class Database {
   constructor() {
-    this.db = null;
+    this.adapter = null;
   }
 
   async init() {
-    return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(DB_PATH, (err) => {
-        if (err) {
-          console.error('Error opening database:', err);
-          reject(err);
-        } else {
-          console.log('📊 Connected to SQLite database');
-          this.createTables().then(resolve).catch(reject);
-        }
-      });
-    });
+    await this.connect();
+
+    const migrator = new Migrator(this, { log: (message, fields) => logger.info(message, fields) });
+    const applied = await migrator.up();
+    if (applied.length > 0) {
+      logger.info('Applied database migrations', { count: applied.length });
+    }
+
+    await this.seedDefaultPlans();
+  }
+
+  // Use a specific adapter instead of the one DATABASE_URL names, e.g. in-memory SQLite in tests
+  setAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  async connect() {
+    if (!this.adapter) {
+      this.adapter = createAdapter(process.env.DATABASE_URL, { defaultPath: DB_PATH });
+    }
+    await this.adapter.connect();
+  }
+
+  async close() {
+    if (this.adapter) {
+      await this.adapter.close();
+    }
+  }
+
+  // Run fn inside BEGIN/COMMIT, rolling back if it throws. Every statement made while
+  // fn runs is part of the transaction, including nested transaction() calls.
+  transaction(fn) {
+    return this.adapter.transaction(() => fn(this));
+  }
+
+  // Populate the plan catalog on first start so existing limits keep working
+  async seedDefaultPlans() {
+    const existing = await this.get('SELECT COUNT(*) AS count FROM plans');
+    if (existing.count > 0) {
+      return;
+    }
+
+    for (const [index, plan] of DEFAULT_PLANS.entries()) {
+      await this.createPlan({ key: plan.key, name: plan.name, sort_order: index });
+      for (const [feature, limit] of Object.entries(plan.limits)) {
+        await this.setPlanLimit(plan.key, feature, limit);
+      }
+      if (plan.priceId) {
+        await this.addPlanPrice(plan.key, { stripe_price_id: plan.priceId });
+      }
+    }
+
+    logger.info('Default plans created');
   }
 
-  async createTables() {
-    const queries = [
-      // Users table
-      `CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT,
-        name TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // User subscriptions table
-      `CREATE TABLE IF NOT EXISTS user_subscriptions (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        stripe_customer_id TEXT,
-        stripe_subscription_id TEXT UNIQUE,
-        status TEXT DEFAULT 'free' CHECK (status IN ('free', 'active', 'canceled', 'past_due', 'trialing')),
-        plan_type TEXT DEFAULT 'free' CHECK (plan_type IN ('free', 'pro', 'premium')),
-        current_period_start DATETIME,
-        current_period_end DATETIME,
-        last_payment_date DATETIME,
-        payment_status TEXT DEFAULT 'active' CHECK (payment_status IN ('active', 'failed', 'pending')),
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users (id)
-      )`,
-
-      // User usage table
-      `CREATE TABLE IF NOT EXISTS user_usage (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        feature_type TEXT NOT NULL CHECK (feature_type IN ('assessment', 'journal_entry', 'habit_tracking', 'ai_insights')),
-        usage_count INTEGER DEFAULT 0,
-        last_reset_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users (id),
-        UNIQUE(user_id, feature_type)
-      )`,
-
-      // Create indexes
-      `CREATE INDEX IF NOT EXISTS idx_user_subscriptions_user_id ON user_subscriptions(user_id)`,
-      `CREATE INDEX IF NOT EXISTS idx_user_subscriptions_stripe_customer ON user_subscriptions(stripe_customer_id)`,
-      `CREATE INDEX IF NOT EXISTS idx_user_subscriptions_stripe_subscription ON user_subscriptions(stripe_subscription_id)`,
-      `CREATE INDEX IF NOT EXISTS idx_user_usage_user_id ON user_usage(user_id)`,
-      `CREATE INDEX IF NOT EXISTS idx_user_usage_feature_type ON user_usage(feature_type)`
-    ];
-
-    for (const query of queries) {
-      await this.run(query);
-    }
-
-    console.log('✅ Database tables created successfully');
+  // Every statement passes through here to be timed; failures and slow statements are
+  // logged with the request that made them
+  async execute(method, sql, params) {
+    const operation = sqlOperation(sql);
+    const stopTimer = metrics.dbQueryDuration.startTimer({ operation });
+
+    try {
+      return await this.adapter[method](sql, params);
+    } catch (error) {
+      metrics.dbQueryErrors.inc({ operation });
+      logger.error('Database query failed', { operation, sql: compactSql(sql), error });
+      throw error;
+    } finally {
+      const durationMs = stopTimer() * 1000;
+      if (durationMs >= SLOW_QUERY_MS) {
+        logger.warn('Slow database query', { operation, sql: compactSql(sql), durationMs: Math.round(durationMs) });
+      }
+    }
   }
 
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          console.error('Database error:', err);
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
-        }
-      });
-    });
+    return this.execute('run', sql, params);
   }
 
   get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) {
-          console.error('Database error:', err);
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+    return this.execute('get', sql, params);
   }
 
   all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          console.error('Database error:', err);
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    return this.execute('all', sql, params);
   }
 
   // User methods
+  // Emails are stored in lower case and looked up without regard to case
   async createUser(email, passwordHash, name) {
     const id = uuidv4();
     await this.run(
       'INSERT INTO users (id, email, password_hash, name) VALUES (?, ?, ?, ?)',
-      [id, email, passwordHash, name]
+      [id, email.toLowerCase(), passwordHash, name]
     );
     return this.getUserById(id);
   }
@@ -134,7 +162,360 @@ class Database {
   }
 
   async getUserByEmail(email) {
-    return this.get('SELECT * FROM users WHERE email = ?', [email]);
+    return this.get('SELECT * FROM users WHERE LOWER(email) = LOWER(?)', [email]);
+  }
+
+  async updateUser(userId, userData) {
+    const updates = Object.keys(userData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(userData);
+    values.push(userId);
+
+    return this.run(`UPDATE users SET ${updates} WHERE id = ?`, values);
+  }
+
+  async searchUsers({ query, limit = 50, offset = 0 } = {}) {
+    if (query) {
+      const pattern = `%${query.toLowerCase()}%`;
+      return this.all(
+        `SELECT * FROM users WHERE LOWER(email) LIKE ? OR LOWER(name) LIKE ? OR id = ?
+         ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+        [pattern, pattern, query, limit, offset]
+      );
+    }
+    return this.all('SELECT * FROM users ORDER BY created_at DESC LIMIT ? OFFSET ?', [limit, offset]);
+  }
+
+  // Two-factor methods
+  // Accept a TOTP time step only once, so an observed code can't be replayed
+  async claimTotpStep(userId, step) {
+    return this.run(
+      'UPDATE users SET totp_last_used_step = ? WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)',
+      [step, userId, step]
+    );
+  }
+
+  async replaceRecoveryCodes(userId, codeHashes) {
+    return this.transaction(async () => {
+      await this.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+      for (const codeHash of codeHashes) {
+        await this.run(
+          'INSERT INTO recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+          [uuidv4(), userId, codeHash]
+        );
+      }
+    });
+  }
+
+  async useRecoveryCode(userId, codeHash) {
+    return this.run(
+      'UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [new Date().toISOString(), userId, codeHash]
+    );
+  }
+
+  async countRecoveryCodes(userId) {
+    const row = await this.get(
+      'SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    return row.count;
+  }
+
+  // Linked identity methods
+  async getLinkedIdentity(provider, subject) {
+    return this.get('SELECT * FROM linked_identities WHERE provider = ? AND subject = ?', [provider, subject]);
+  }
+
+  async getLinkedIdentities(userId) {
+    return this.all('SELECT * FROM linked_identities WHERE user_id = ? ORDER BY created_at', [userId]);
+  }
+
+  async createLinkedIdentity({ userId, provider, subject, email = null }) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    await this.run(
+      `INSERT INTO linked_identities (id, user_id, provider, subject, email, created_at, last_login_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, provider, subject, email, now, now]
+    );
+    return this.get('SELECT * FROM linked_identities WHERE id = ?', [id]);
+  }
+
+  async touchLinkedIdentity(id, email) {
+    return this.run(
+      'UPDATE linked_identities SET email = COALESCE(?, email), last_login_at = ? WHERE id = ?',
+      [email || null, new Date().toISOString(), id]
+    );
+  }
+
+  async deleteLinkedIdentity(userId, id) {
+    return this.run('DELETE FROM linked_identities WHERE id = ? AND user_id = ?', [id, userId]);
+  }
+
+  async createOAuthState(stateData) {
+    const id = uuidv4();
+    const columns = ['id', ...Object.keys(stateData)];
+    const placeholders = columns.map(() => '?').join(', ');
+
+    // Abandoned sign-ins are cleaned up as new ones start
+    await this.run('DELETE FROM oauth_states WHERE expires_at <= ?', [new Date().toISOString()]);
+    await this.run(
+      `INSERT INTO oauth_states (${columns.join(', ')}) VALUES (${placeholders})`,
+      [id, ...Object.values(stateData)]
+    );
+    return id;
+  }
+
+  // Each state works once; a concurrent callback with the same state gets nothing
+  async consumeOAuthState(stateHash) {
+    const state = await this.get('SELECT * FROM oauth_states WHERE state_hash = ?', [stateHash]);
+    if (!state) return null;
+
+    const result = await this.run('DELETE FROM oauth_states WHERE id = ?', [state.id]);
+    return result.changes > 0 ? state : null;
+  }
+
+  // Account data methods
+  // Everything stored about a user, for a data export
+  async exportUserData(userId) {
+    const user = await this.get(
+      `SELECT id, email, name, role, email_verified_at, referral_code, totp_enabled_at, created_at, updated_at,
+              deletion_requested_at, deletion_scheduled_for
+       FROM users WHERE id = ?`,
+      [userId]
+    );
+
+    return {
+      user,
+      subscription: await this.getUserSubscription(userId) || null,
+      usage: await this.all('SELECT * FROM user_usage WHERE user_id = ? ORDER BY period_start, feature_type', [userId]),
+      usageEvents: await this.all('SELECT * FROM usage_events WHERE user_id = ? ORDER BY created_at', [userId]),
+      usageBonuses: await this.all('SELECT * FROM usage_bonuses WHERE user_id = ? ORDER BY created_at', [userId]),
+      planOverrides: await this.all('SELECT * FROM plan_overrides WHERE user_id = ? ORDER BY created_at', [userId]),
+      organizationMembership: await this.getOrganizationMembership(userId) || null,
+      linkedIdentities: await this.getLinkedIdentities(userId),
+      invoices: await this.all('SELECT * FROM invoices WHERE user_id = ? ORDER BY invoice_created_at', [userId]),
+      notifications: await this.all('SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at', [userId]),
+      notificationPreferences: await this.getNotificationPreferences(userId),
+      referrals: await this.all(
+        'SELECT * FROM referrals WHERE referrer_id = ? OR referred_id = ? ORDER BY created_at',
+        [userId, userId]
+      ),
+      sessions: await this.all(
+        `SELECT id, user_agent, ip_address, created_at, expires_at, revoked_at, revoked_reason
+         FROM sessions WHERE user_id = ? ORDER BY created_at`,
+        [userId]
+      )
+    };
+  }
+
+  async getUsersDueForDeletion(now, limit = 50) {
+    return this.all(
+      `SELECT * FROM users WHERE deleted_at IS NULL AND deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= ?
+       ORDER BY deletion_scheduled_for LIMIT ?`,
+      [now, limit]
+    );
+  }
+
+  // Delete a user's personal data and anonymize the user row. Invoices and the audit
+  // log are kept for accounting and security but no longer point at a person.
+  async purgeUser(userId, stripeCustomerId = null) {
+    return this.transaction(async () => {
+      const now = new Date().toISOString();
+
+      await this.run(
+        `DELETE FROM notification_deliveries WHERE notification_id IN
+         (SELECT id FROM notifications WHERE user_id = ?)`,
+        [userId]
+      );
+      // An owner's organization goes with them; members just leave theirs
+      const ownedOrganization = await this.getOwnedOrganization(userId);
+      if (ownedOrganization) {
+        await this.deleteOrganization(ownedOrganization.id);
+      }
+
+      const userTables = [
+        'organization_members',
+        'notifications',
+        'notification_preferences',
+        'notification_webhooks',
+        'sessions',
+        'user_tokens',
+        'linked_identities',
+        'oauth_states',
+        'recovery_codes',
+        'user_usage',
+        'usage_events',
+        'usage_bonuses',
+        'plan_overrides',
+        'user_subscriptions'
+      ];
+      for (const table of userTables) {
+        await this.run(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+      }
+      await this.run('DELETE FROM referrals WHERE referrer_id = ? OR referred_id = ?', [userId, userId]);
+      await this.run('DELETE FROM organization_invitations WHERE email = (SELECT LOWER(email) FROM users WHERE id = ?)', [userId]);
+      await this.run('UPDATE invoices SET user_id = NULL, hosted_invoice_url = NULL, invoice_pdf = NULL WHERE user_id = ?', [userId]);
+
+      // Stripe payloads carry the customer's name and email
+      if (stripeCustomerId) {
+        await this.run(
+          'UPDATE webhook_events SET payload = ? WHERE payload LIKE ?',
+          [JSON.stringify({ redacted: true }), `%"${stripeCustomerId}"%`]
+        );
+      }
+
+      await this.run(
+        `UPDATE users SET email = ?, name = NULL, password_hash = NULL, referral_code = NULL,
+           totp_secret = NULL, totp_enabled_at = NULL, email_verified_at = NULL,
+           deletion_scheduled_for = NULL, deleted_at = ?, credentials_changed_at = ?, updated_at = ?
+         WHERE id = ?`,
+        [`deleted-${userId}@deleted.invalid`, now, now, now, userId]
+      );
+    });
+  }
+
+  // Session methods
+  async createSession(sessionData) {
+    const id = uuidv4();
+    const columns = ['id', ...Object.keys(sessionData)];
+    const placeholders = columns.map(() => '?').join(', ');
+
+    await this.run(
+      `INSERT INTO sessions (${columns.join(', ')}) VALUES (${placeholders})`,
+      [id, ...Object.values(sessionData)]
+    );
+    return this.get('SELECT * FROM sessions WHERE id = ?', [id]);
+  }
+
+  async getSessionByTokenHash(tokenHash) {
+    return this.get('SELECT * FROM sessions WHERE token_hash = ?', [tokenHash]);
+  }
+
+  // Revoke one session unless it was already revoked; changes is 0 when it was
+  async revokeSession(sessionId, reason, replacedBy = null) {
+    return this.run(
+      'UPDATE sessions SET revoked_at = ?, revoked_reason = ?, replaced_by = ? WHERE id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), reason, replacedBy, sessionId]
+    );
+  }
+
+  async revokeSessionFamily(familyId, reason) {
+    return this.run(
+      'UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE family_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), reason, familyId]
+    );
+  }
+
+  async revokeUserSessions(userId, reason) {
+    return this.run(
+      'UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), reason, userId]
+    );
+  }
+
+  async isSessionFamilyActive(familyId) {
+    const row = await this.get(
+      'SELECT id FROM sessions WHERE family_id = ? AND revoked_at IS NULL AND expires_at > ? LIMIT 1',
+      [familyId, new Date().toISOString()]
+    );
+    return Boolean(row);
+  }
+
+  // User token methods (password reset, email verification)
+  async createUserToken(tokenData) {
+    const id = uuidv4();
+    const columns = ['id', ...Object.keys(tokenData)];
+    const placeholders = columns.map(() => '?').join(', ');
+
+    await this.run(
+      `INSERT INTO user_tokens (${columns.join(', ')}) VALUES (${placeholders})`,
+      [id, ...Object.values(tokenData)]
+    );
+    return id;
+  }
+
+  async getUserTokenByHash(tokenHash, type) {
+    return this.get('SELECT * FROM user_tokens WHERE token_hash = ? AND type = ?', [tokenHash, type]);
+  }
+
+  // Mark a token used; changes is 0 if it was already used
+  async markUserTokenUsed(tokenId) {
+    return this.run(
+      'UPDATE user_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [new Date().toISOString(), tokenId]
+    );
+  }
+
+  async invalidateUserTokens(userId, type) {
+    return this.run(
+      'UPDATE user_tokens SET used_at = ? WHERE user_id = ? AND type = ? AND used_at IS NULL',
+      [new Date().toISOString(), userId, type]
+    );
+  }
+
+  // Plan override methods
+  async getActivePlanOverride(userId) {
+    return this.get(
+      `SELECT * FROM plan_overrides
+       WHERE user_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId, new Date().toISOString()]
+    );
+  }
+
+  // Replace any active override with a new one
+  async setPlanOverride(userId, { planKey, expiresAt = null, reason = null, grantedBy = null }) {
+    return this.transaction(async () => {
+      await this.revokePlanOverrides(userId);
+
+      const id = uuidv4();
+      await this.run(
+        'INSERT INTO plan_overrides (id, user_id, plan_key, expires_at, reason, granted_by) VALUES (?, ?, ?, ?, ?, ?)',
+        [id, userId, planKey, expiresAt, reason, grantedBy]
+      );
+      return this.get('SELECT * FROM plan_overrides WHERE id = ?', [id]);
+    });
+  }
+
+  async revokePlanOverrides(userId) {
+    return this.run(
+      'UPDATE plan_overrides SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), userId]
+    );
+  }
+
+  // Audit log methods
+  async createAuditEntry({ actorId, action, targetType = null, targetId = null, details = null, ipAddress = null }) {
+    return this.run(
+      `INSERT INTO audit_log (id, actor_id, action, target_type, target_id, details, ip_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), actorId, action, targetType, targetId, details ? JSON.stringify(details) : null, ipAddress]
+    );
+  }
+
+  async getAuditEntries({ actorId, targetId, action, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (actorId) {
+      conditions.push('actor_id = ?');
+      values.push(actorId);
+    }
+    if (targetId) {
+      conditions.push('target_id = ?');
+      values.push(targetId);
+    }
+    if (action) {
+      conditions.push('action = ?');
+      values.push(action);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.all(
+      `SELECT * FROM audit_log ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      [...values, limit, offset]
+    );
   }
 
   // Subscription methods
@@ -174,6 +555,18 @@ class Database {
     );
   }
 
+  // Start the dunning grace period unless one is already running
+  async startGracePeriod(stripeSubscriptionId, endsAt) {
+    return this.run(
+      'UPDATE user_subscriptions SET grace_period_ends_at = ? WHERE stripe_subscription_id = ? AND grace_period_ends_at IS NULL',
+      [endsAt, stripeSubscriptionId]
+    );
+  }
+
+  async getSubscriptionByCustomerId(stripeCustomerId) {
+    return this.get('SELECT * FROM user_subscriptions WHERE stripe_customer_id = ?', [stripeCustomerId]);
+  }
+
   async getSubscriptionByStripeId(stripeSubscriptionId) {
     return this.get('SELECT * FROM user_subscriptions WHERE stripe_subscription_id = ?', [stripeSubscriptionId]);
   }
@@ -182,45 +575,928 @@ class Database {
     return this.get('SELECT * FROM user_subscriptions WHERE user_id = ?', [userId]);
   }
 
+  // Subscriptions linked to Stripe, optionally for one user
+  async getStripeLinkedSubscriptions(userId = null) {
+    const linked = '(stripe_customer_id IS NOT NULL OR stripe_subscription_id IS NOT NULL)';
+    if (userId) {
+      return this.all(`SELECT * FROM user_subscriptions WHERE ${linked} AND user_id = ?`, [userId]);
+    }
+    return this.all(`SELECT * FROM user_subscriptions WHERE ${linked} ORDER BY updated_at`);
+  }
+
   // Usage methods
-  async incrementUsage(userId, featureType) {
-    const existing = await this.get(
-      'SELECT * FROM user_usage WHERE user_id = ? AND feature_type = ?',
-      [userId, featureType]
-    );
+  // Check the limit and record usage in one transaction so concurrent requests
+  // cannot overshoot it. Counters are kept per period; a limit of -1 means unlimited.
+  // With organizationId the limit applies to the organization's pooled counter and
+  // the user's own counter only keeps track; usage is then the pooled count.
+  async consumeUsage(userId, featureType, limit, period, { quantity = 1, idempotencyKey = null, metadata = null, organizationId = null } = {}) {
+    return this.transaction(async () => {
+      // The ledger row goes in first so a concurrent request with the same key waits
+      // on it and then finds the duplicate, instead of both passing a lookup
+      const eventId = uuidv4();
+      const recorded = await this.run(
+        `INSERT INTO usage_events (id, user_id, feature_type, quantity, idempotency_key, metadata, period_start)
+         VALUES (?, ?, ?, ?, ?, ?, ?) ON CONFLICT(user_id, idempotency_key) DO NOTHING`,
+        [eventId, userId, featureType, quantity, idempotencyKey, metadata ? JSON.stringify(metadata) : null, period.start]
+      );
+      if (recorded.changes === 0) {
+        const existing = await this.get(
+          'SELECT * FROM usage_events WHERE user_id = ? AND idempotency_key = ?',
+          [userId, idempotencyKey]
+        );
+        const counter = organizationId
+          ? await this.getOrganizationFeatureUsage(organizationId, existing.feature_type, existing.period_start)
+          : await this.getFeatureUsage(userId, existing.feature_type, existing.period_start);
+        return { allowed: true, duplicate: true, usage: counter ? counter.usage_count : 0 };
+      }
+      const refuse = async (usage) => {
+        await this.run('DELETE FROM usage_events WHERE id = ?', [eventId]);
+        return { allowed: false, duplicate: false, usage };
+      };
+
+      let pooledUsage = null;
+      if (organizationId) {
+        const pooled = await this.run(
+          `INSERT INTO organization_usage (id, organization_id, feature_type, usage_count, period_start, period_end)
+           SELECT ?, ?, ?, CAST(? AS INTEGER), ?, ? WHERE CAST(? AS INTEGER) = -1 OR CAST(? AS INTEGER) <= CAST(? AS INTEGER)
+           ON CONFLICT(organization_id, feature_type, period_start) DO UPDATE
+             SET usage_count = organization_usage.usage_count + excluded.usage_count, updated_at = CURRENT_TIMESTAMP
+             WHERE ? = -1 OR organization_usage.usage_count + excluded.usage_count <= ?`,
+          [uuidv4(), organizationId, featureType, quantity, period.start, period.end, limit, quantity, limit, limit, limit]
+        );
+        const pooledCounter = await this.getOrganizationFeatureUsage(organizationId, featureType, period.start);
+        pooledUsage = pooledCounter ? pooledCounter.usage_count : 0;
+        if (pooled.changes === 0) {
+          return refuse(pooledUsage);
+        }
+      }
+
+      const userLimit = organizationId ? -1 : limit;
+      const result = await this.run(
+        `INSERT INTO user_usage (id, user_id, feature_type, usage_count, period_start, period_end)
+         SELECT ?, ?, ?, CAST(? AS INTEGER), ?, ? WHERE CAST(? AS INTEGER) = -1 OR CAST(? AS INTEGER) <= CAST(? AS INTEGER)
+         ON CONFLICT(user_id, feature_type, period_start) DO UPDATE
+           SET usage_count = user_usage.usage_count + excluded.usage_count, updated_at = CURRENT_TIMESTAMP
+           WHERE ? = -1 OR user_usage.usage_count + excluded.usage_count <= ?`,
+        [uuidv4(), userId, featureType, quantity, period.start, period.end, userLimit, quantity, userLimit, userLimit, userLimit]
+      );
+
+      const counter = await this.getFeatureUsage(userId, featureType, period.start);
+      const usage = counter ? counter.usage_count : 0;
+
+      if (result.changes === 0) {
+        return refuse(usage);
+      }
+
+      return { allowed: true, duplicate: false, usage: organizationId ? pooledUsage : usage };
+    });
+  }
+
+  // Add (or with a negative delta, remove) usage outside the limit check, recording
+  // the applied adjustment in the ledger. Counters never go below zero.
+  async adjustUsage(userId, featureType, period, delta, metadata) {
+    return this.transaction(async () => {
+      const counter = await this.getFeatureUsage(userId, featureType, period.start);
+      const applied = Math.max(delta, -(counter ? counter.usage_count : 0));
 
-    if (existing) {
       await this.run(
-        'UPDATE user_usage SET usage_count = usage_count + 1, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND feature_type = ?',
-        [userId, featureType]
+        `INSERT INTO user_usage (id, user_id, feature_type, usage_count, period_start, period_end)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(user_id, feature_type, period_start) DO UPDATE
+           SET usage_count = user_usage.usage_count + ?, updated_at = CURRENT_TIMESTAMP`,
+        [uuidv4(), userId, featureType, applied, period.start, period.end, applied]
       );
-      return existing.usage_count + 1;
-    } else {
+
+      if (applied !== 0) {
+        await this.run(
+          `INSERT INTO usage_events (id, user_id, feature_type, quantity, metadata, period_start)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [uuidv4(), userId, featureType, applied, JSON.stringify({ ...metadata, requested: delta }), period.start]
+        );
+      }
+
+      return counter ? counter.usage_count + applied : applied;
+    });
+  }
+
+  async getFeatureUsage(userId, featureType, periodStart) {
+    return this.get(
+      'SELECT * FROM user_usage WHERE user_id = ? AND feature_type = ? AND period_start = ?',
+      [userId, featureType, periodStart]
+    );
+  }
+
+  async getUsageEvents(userId, { featureType, limit = 50, offset = 0 } = {}) {
+    if (featureType) {
+      return this.all(
+        'SELECT * FROM usage_events WHERE user_id = ? AND feature_type = ? ORDER BY created_at DESC LIMIT ? OFFSET ?',
+        [userId, featureType, limit, offset]
+      );
+    }
+    return this.all(
+      'SELECT * FROM usage_events WHERE user_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?',
+      [userId, limit, offset]
+    );
+  }
+
+  // Recompute a period's counters from the ledger since each counter's last
+  // reset and return the ones that had drifted
+  async reconcileUsage(userId, periodStart) {
+    return this.transaction(async () => {
+      const counters = await this.getUserUsage(userId, periodStart);
+      const drift = [];
+
+      for (const counter of counters) {
+        const row = await this.get(
+          `SELECT COALESCE(SUM(quantity), 0) AS total FROM usage_events
+           WHERE user_id = ? AND feature_type = ? AND period_start = ? AND created_at >= ?`,
+          [userId, counter.feature_type, periodStart, counter.last_reset_date]
+        );
+
+        if (row.total !== counter.usage_count) {
+          drift.push({ feature: counter.feature_type, counter: counter.usage_count, ledger: row.total });
+          await this.run(
+            'UPDATE user_usage SET usage_count = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [row.total, counter.id]
+          );
+        }
+      }
+
+      return drift;
+    });
+  }
+
+  // Counters for one usage period
+  async getUserUsage(userId, periodStart) {
+    return this.all('SELECT * FROM user_usage WHERE user_id = ? AND period_start = ?', [userId, periodStart]);
+  }
+
+  // Counters for the most recent periods, newest first
+  async getUsageHistory(userId, periodCount = 6) {
+    return this.all(
+      `SELECT * FROM user_usage WHERE user_id = ? AND period_start IN (
+         SELECT DISTINCT period_start FROM user_usage WHERE user_id = ? ORDER BY period_start DESC LIMIT ?
+       ) ORDER BY period_start DESC, feature_type`,
+      [userId, userId, periodCount]
+    );
+  }
+
+  async resetUserUsage(userId, periodStart) {
+    return this.run(
+      'UPDATE user_usage SET usage_count = 0, last_reset_date = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND period_start = ?',
+      [userId, periodStart]
+    );
+  }
+
+  // Plan methods
+  async getPlans({ includeInactive = false } = {}) {
+    if (includeInactive) {
+      return this.all('SELECT * FROM plans ORDER BY sort_order, key');
+    }
+    return this.all('SELECT * FROM plans WHERE is_active = 1 ORDER BY sort_order, key');
+  }
+
+  async getPlan(planKey) {
+    return this.get('SELECT * FROM plans WHERE key = ?', [planKey]);
+  }
+
+  async createPlan({ key, name, description = null, sort_order = 0, max_seats = 1, usage_pooling = 'per_seat' }) {
+    await this.run(
+      'INSERT INTO plans (key, name, description, sort_order, max_seats, usage_pooling) VALUES (?, ?, ?, ?, ?, ?)',
+      [key, name, description, sort_order, max_seats, usage_pooling]
+    );
+    return this.getPlan(key);
+  }
+
+  async updatePlan(planKey, planData) {
+    const updates = Object.keys(planData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(planData);
+    values.push(planKey);
+
+    return this.run(`UPDATE plans SET ${updates} WHERE key = ?`, values);
+  }
+
+  async getPlanLimits(planKey) {
+    return this.all('SELECT * FROM plan_limits WHERE plan_key = ? ORDER BY feature_type', [planKey]);
+  }
+
+  async getPlanFeatures() {
+    const rows = await this.all('SELECT DISTINCT feature_type FROM plan_limits ORDER BY feature_type');
+    return rows.map(row => row.feature_type);
+  }
+
+  async setPlanLimit(planKey, featureType, limitValue) {
+    return this.run(
+      `INSERT INTO plan_limits (id, plan_key, feature_type, limit_value) VALUES (?, ?, ?, ?)
+       ON CONFLICT(plan_key, feature_type) DO UPDATE SET limit_value = excluded.limit_value, updated_at = CURRENT_TIMESTAMP`,
+      [uuidv4(), planKey, featureType, limitValue]
+    );
+  }
+
+  async deletePlanLimit(planKey, featureType) {
+    return this.run('DELETE FROM plan_limits WHERE plan_key = ? AND feature_type = ?', [planKey, featureType]);
+  }
+
+  async getPlanPrices(planKey) {
+    return this.all('SELECT * FROM plan_prices WHERE plan_key = ? ORDER BY created_at', [planKey]);
+  }
+
+  async addPlanPrice(planKey, priceData) {
+    const id = uuidv4();
+    const columns = ['id', 'plan_key', ...Object.keys(priceData)];
+    const placeholders = columns.map(() => '?').join(', ');
+
+    await this.run(
+      `INSERT INTO plan_prices (${columns.join(', ')}) VALUES (${placeholders})`,
+      [id, planKey, ...Object.values(priceData)]
+    );
+    return this.get('SELECT * FROM plan_prices WHERE id = ?', [id]);
+  }
+
+  async deletePlanPrice(planKey, priceMappingId) {
+    return this.run('DELETE FROM plan_prices WHERE plan_key = ? AND id = ?', [planKey, priceMappingId]);
+  }
+
+  async findPlanPrice({ priceId, lookupKey, productId }) {
+    if (priceId) {
+      const row = await this.get('SELECT * FROM plan_prices WHERE stripe_price_id = ?', [priceId]);
+      if (row) return row;
+    }
+    if (lookupKey) {
+      const row = await this.get('SELECT * FROM plan_prices WHERE lookup_key = ?', [lookupKey]);
+      if (row) return row;
+    }
+    if (productId) {
+      return this.get('SELECT * FROM plan_prices WHERE stripe_product_id = ?', [productId]);
+    }
+    return undefined;
+  }
+
+  // Webhook event methods
+  async recordWebhookEvent(event) {
+    const result = await this.run(
+      `INSERT INTO webhook_events (id, type, object_id, event_created, payload, request_id)
+       VALUES (?, ?, ?, ?, ?, ?) ON CONFLICT(id) DO NOTHING`,
+      [event.id, event.type, event.data?.object?.id || null, event.created, JSON.stringify(event), requestContext.getRequestId()]
+    );
+    return result.changes > 0;
+  }
+
+  async getWebhookEvent(eventId) {
+    return this.get('SELECT * FROM webhook_events WHERE id = ?', [eventId]);
+  }
+
+  async getWebhookEvents({ status, limit = 50 } = {}) {
+    if (status) {
+      return this.all(
+        'SELECT * FROM webhook_events WHERE status = ? ORDER BY event_created DESC LIMIT ?',
+        [status, limit]
+      );
+    }
+    return this.all('SELECT * FROM webhook_events ORDER BY event_created DESC LIMIT ?', [limit]);
+  }
+
+  // request_id points at the delivery or replay that made the latest attempt
+  async markWebhookEventProcessing(eventId) {
+    return this.run(
+      `UPDATE webhook_events SET status = 'processing', attempts = attempts + 1, error = NULL, request_id = ? WHERE id = ?`,
+      [requestContext.getRequestId(), eventId]
+    );
+  }
+
+  async updateWebhookEvent(eventId, eventData) {
+    const updates = Object.keys(eventData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(eventData);
+    values.push(eventId);
+
+    return this.run(`UPDATE webhook_events SET ${updates} WHERE id = ?`, values);
+  }
+
+  // Creation time of the newest event already applied to a Stripe object
+  async getLastAppliedEventCreated(objectId, typePrefix) {
+    const row = await this.get(
+      `SELECT MAX(event_created) AS event_created FROM webhook_events
+       WHERE object_id = ? AND status = 'processed' AND type LIKE ?`,
+      [objectId, `${typePrefix}%`]
+    );
+    return row ? row.event_created : null;
+  }
+
+  // Reconciliation run methods
+  async createReconciliationRun({ mode, triggeredBy = null }) {
+    const id = uuidv4();
+    await this.run(
+      'INSERT INTO reconciliation_runs (id, mode, triggered_by, started_at) VALUES (?, ?, ?, ?)',
+      [id, mode, triggeredBy, new Date().toISOString()]
+    );
+    return this.getReconciliationRun(id);
+  }
+
+  async updateReconciliationRun(runId, runData) {
+    const updates = Object.keys(runData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(runData);
+    values.push(runId);
+
+    return this.run(`UPDATE reconciliation_runs SET ${updates} WHERE id = ?`, values);
+  }
+
+  async getReconciliationRun(runId) {
+    return this.get('SELECT * FROM reconciliation_runs WHERE id = ?', [runId]);
+  }
+
+  async getLatestReconciliationRun() {
+    return this.get('SELECT * FROM reconciliation_runs ORDER BY started_at DESC LIMIT 1');
+  }
+
+  async getReconciliationRuns({ limit = 20, offset = 0 } = {}) {
+    return this.all(
+      `SELECT id, mode, status, triggered_by, checked, drifted, fixed, failed, error, started_at, finished_at
+       FROM reconciliation_runs ORDER BY started_at DESC LIMIT ? OFFSET ?`,
+      [limit, offset]
+    );
+  }
+
+  // Invoice methods
+  // Insert or refresh an invoice; paid and void invoices are final, so a late event
+  // for an earlier state cannot reopen them
+  async upsertInvoice(invoiceData) {
+    const columns = ['id', ...Object.keys(invoiceData)];
+    const placeholders = columns.map(() => '?').join(', ');
+    const updates = Object.keys(invoiceData)
+      .filter(key => key !== 'stripe_invoice_id')
+      .map(key => `${key} = excluded.${key}`)
+      .join(', ');
+
+    await this.run(
+      `INSERT INTO invoices (${columns.join(', ')}) VALUES (${placeholders})
+       ON CONFLICT(stripe_invoice_id) DO UPDATE SET ${updates}
+       WHERE invoices.status NOT IN ('paid', 'void')`,
+      [uuidv4(), ...Object.values(invoiceData)]
+    );
+    return this.get('SELECT * FROM invoices WHERE stripe_invoice_id = ?', [invoiceData.stripe_invoice_id]);
+  }
+
+  // Look up a user's invoice by our ID or Stripe's
+  async getUserInvoice(userId, invoiceId) {
+    return this.get(
+      'SELECT * FROM invoices WHERE user_id = ? AND (id = ? OR stripe_invoice_id = ?)',
+      [userId, invoiceId, invoiceId]
+    );
+  }
+
+  async getInvoices({ userId, status, from, to, limit = 50, offset = 0 } = {}) {
+    const conditions = ['user_id = ?'];
+    const values = [userId];
+
+    if (status) {
+      conditions.push('status = ?');
+      values.push(status);
+    }
+    if (from) {
+      conditions.push('invoice_created_at >= ?');
+      values.push(from);
+    }
+    if (to) {
+      conditions.push('invoice_created_at < ?');
+      values.push(to);
+    }
+
+    return this.all(
+      `SELECT * FROM invoices WHERE ${conditions.join(' AND ')}
+       ORDER BY invoice_created_at DESC LIMIT ? OFFSET ?`,
+      [...values, limit, offset]
+    );
+  }
+
+  // Notification methods
+  // Create a notification and queue its deliveries together; returns null when the
+  // dedupe key was already used, so one event never notifies twice
+  async createNotification({ userId, type, title, body, data = null, dedupeKey, inApp = true }, channels = []) {
+    return this.transaction(async () => {
       const id = uuidv4();
-      await this.run(
-        'INSERT INTO user_usage (id, user_id, feature_type, usage_count) VALUES (?, ?, ?, 1)',
-        [id, userId, featureType]
+      const now = new Date().toISOString();
+
+      const result = await this.run(
+        `INSERT INTO notifications (id, user_id, type, title, body, data, dedupe_key, in_app, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT(dedupe_key) DO NOTHING`,
+        [id, userId, type, title, body, data ? JSON.stringify(data) : null, dedupeKey, inApp ? 1 : 0, now]
+      );
+      if (result.changes === 0) {
+        return null;
+      }
+
+      for (const channel of channels) {
+        await this.run(
+          'INSERT INTO notification_deliveries (id, notification_id, channel, next_attempt_at) VALUES (?, ?, ?, ?)',
+          [uuidv4(), id, channel, now]
+        );
+      }
+
+      return this.get('SELECT * FROM notifications WHERE id = ?', [id]);
+    });
+  }
+
+  async getInboxNotifications(userId, { unreadOnly = false, limit = 50, offset = 0 } = {}) {
+    const unread = unreadOnly ? 'AND read_at IS NULL' : '';
+    return this.all(
+      `SELECT * FROM notifications WHERE user_id = ? AND in_app = 1 ${unread}
+       ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      [userId, limit, offset]
+    );
+  }
+
+  async countUnreadNotifications(userId) {
+    const row = await this.get(
+      'SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND in_app = 1 AND read_at IS NULL',
+      [userId]
+    );
+    return row.count;
+  }
+
+  async markNotificationRead(userId, notificationId) {
+    return this.run(
+      'UPDATE notifications SET read_at = COALESCE(read_at, ?) WHERE id = ? AND user_id = ? AND in_app = 1',
+      [new Date().toISOString(), notificationId, userId]
+    );
+  }
+
+  async markAllNotificationsRead(userId) {
+    return this.run(
+      'UPDATE notifications SET read_at = ? WHERE user_id = ? AND in_app = 1 AND read_at IS NULL',
+      [new Date().toISOString(), userId]
+    );
+  }
+
+  // Notifications with every channel's delivery state, for support
+  async getNotificationsWithDeliveries(userId, { limit = 50, offset = 0 } = {}) {
+    const notifications = await this.all(
+      'SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?',
+      [userId, limit, offset]
+    );
+    for (const notification of notifications) {
+      notification.deliveries = await this.all(
+        `SELECT channel, status, attempts, last_error, next_attempt_at, sent_at
+         FROM notification_deliveries WHERE notification_id = ? ORDER BY channel`,
+        [notification.id]
       );
-      return 1;
     }
+    return notifications;
+  }
+
+  // Deliveries that are due, plus any stuck in sending since before staleBefore
+  async getDueNotificationDeliveries(now, staleBefore, limit = 50) {
+    return this.all(
+      `SELECT d.*, n.user_id, n.type, n.title, n.body, n.data, n.created_at AS notification_created_at
+       FROM notification_deliveries d JOIN notifications n ON n.id = d.notification_id
+       WHERE (d.status = 'pending' AND d.next_attempt_at <= ?) OR (d.status = 'sending' AND d.locked_at < ?)
+       ORDER BY d.next_attempt_at LIMIT ?`,
+      [now, staleBefore, limit]
+    );
+  }
+
+  // Take a delivery for sending; changes is 0 if another worker has it
+  async claimNotificationDelivery(deliveryId, now, staleBefore) {
+    return this.run(
+      `UPDATE notification_deliveries SET status = 'sending', locked_at = ?
+       WHERE id = ? AND (status = 'pending' OR (status = 'sending' AND locked_at < ?))`,
+      [now, deliveryId, staleBefore]
+    );
   }
 
-  async getUserUsage(userId) {
-    return this.all('SELECT * FROM user_usage WHERE user_id = ?', [userId]);
+  async updateNotificationDelivery(deliveryId, deliveryData) {
+    const updates = Object.keys(deliveryData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(deliveryData);
+    values.push(deliveryId);
+
+    return this.run(`UPDATE notification_deliveries SET ${updates} WHERE id = ?`, values);
+  }
+
+  async getNotificationPreferences(userId) {
+    return this.all('SELECT type, channel, enabled FROM notification_preferences WHERE user_id = ?', [userId]);
+  }
+
+  async setNotificationPreference(userId, type, channel, enabled) {
+    return this.run(
+      `INSERT INTO notification_preferences (user_id, type, channel, enabled, updated_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(user_id, type, channel) DO UPDATE SET enabled = excluded.enabled, updated_at = excluded.updated_at`,
+      [userId, type, channel, enabled ? 1 : 0, new Date().toISOString()]
+    );
+  }
+
+  async getNotificationWebhook(userId) {
+    return this.get('SELECT * FROM notification_webhooks WHERE user_id = ?', [userId]);
   }
 
-  async resetUserUsage(userId) {
+  async setNotificationWebhook(userId, url, secret) {
     return this.run(
-      'UPDATE user_usage SET usage_count = 0, last_reset_date = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+      `INSERT INTO notification_webhooks (user_id, url, secret, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET url = excluded.url, secret = excluded.secret, updated_at = excluded.updated_at`,
+      [userId, url, secret, new Date().toISOString()]
+    );
+  }
+
+  async deleteNotificationWebhook(userId) {
+    return this.run('DELETE FROM notification_webhooks WHERE user_id = ?', [userId]);
+  }
+
+  // Referral methods
+  // Set a user's referral code once; changes is 0 if they already have one
+  async setReferralCode(userId, code) {
+    return this.run('UPDATE users SET referral_code = ? WHERE id = ? AND referral_code IS NULL', [code, userId]);
+  }
+
+  async getUserByReferralCode(code) {
+    return this.get('SELECT * FROM users WHERE referral_code = ?', [code]);
+  }
+
+  async createReferral(referrerId, referredId) {
+    const id = uuidv4();
+    await this.run(
+      'INSERT INTO referrals (id, referrer_id, referred_id) VALUES (?, ?, ?)',
+      [id, referrerId, referredId]
+    );
+    return this.get('SELECT * FROM referrals WHERE id = ?', [id]);
+  }
+
+  async getReferralByReferredId(referredId) {
+    return this.get('SELECT * FROM referrals WHERE referred_id = ?', [referredId]);
+  }
+
+  // Move a pending referral to rewarding; changes is 0 if another worker got there first
+  async claimReferral(referralId) {
+    return this.run("UPDATE referrals SET status = 'rewarding' WHERE id = ? AND status = 'pending'", [referralId]);
+  }
+
+  async updateReferral(referralId, referralData) {
+    const updates = Object.keys(referralData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(referralData);
+    values.push(referralId);
+
+    return this.run(`UPDATE referrals SET ${updates} WHERE id = ?`, values);
+  }
+
+  async getReferrals({ referrerId, status, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (referrerId) {
+      conditions.push('r.referrer_id = ?');
+      values.push(referrerId);
+    }
+    if (status) {
+      conditions.push('r.status = ?');
+      values.push(status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.all(
+      `SELECT r.*, u.name AS referred_name, u.email AS referred_email
+       FROM referrals r JOIN users u ON u.id = r.referred_id
+       ${where} ORDER BY r.created_at DESC LIMIT ? OFFSET ?`,
+      [...values, limit, offset]
+    );
+  }
+
+  // Referral counts by status, for one referrer or everyone
+  async getReferralStats(referrerId = null) {
+    const rows = referrerId
+      ? await this.all('SELECT status, COUNT(*) AS count FROM referrals WHERE referrer_id = ? GROUP BY status', [referrerId])
+      : await this.all('SELECT status, COUNT(*) AS count FROM referrals GROUP BY status');
+
+    const stats = { total: 0, pending: 0, rewarded: 0 };
+    rows.forEach(row => {
+      const key = row.status === 'rewarding' ? 'pending' : row.status;
+      stats[key] += row.count;
+      stats.total += row.count;
+    });
+    return stats;
+  }
+
+  // Usage bonus methods
+  async addUsageBonus({ userId, featureType, amount, reason = null, sourceId = null, expiresAt = null }) {
+    const id = uuidv4();
+    await this.run(
+      `INSERT INTO usage_bonuses (id, user_id, feature_type, amount, reason, source_id, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, featureType, amount, reason, sourceId, expiresAt]
+    );
+    return this.get('SELECT * FROM usage_bonuses WHERE id = ?', [id]);
+  }
+
+  async getUsageBonusBySource(userId, sourceId) {
+    return this.get('SELECT * FROM usage_bonuses WHERE user_id = ? AND source_id = ?', [userId, sourceId]);
+  }
+
+  async getActiveUsageBonuses(userId) {
+    return this.all(
+      `SELECT * FROM usage_bonuses WHERE user_id = ? AND (expires_at IS NULL OR expires_at > ?)
+       ORDER BY created_at`,
+      [userId, new Date().toISOString()]
+    );
+  }
+
+  // Organization methods
+  // Create an organization with its owner as the first member
+  async createOrganization({ name, ownerId }) {
+    const id = uuidv4();
+    await this.transaction(async () => {
+      await this.run('INSERT INTO organizations (id, name, owner_id) VALUES (?, ?, ?)', [id, name, ownerId]);
+      await this.run(
+        "INSERT INTO organization_members (id, organization_id, user_id, role) VALUES (?, ?, ?, 'owner')",
+        [uuidv4(), id, ownerId]
+      );
+    });
+    return this.getOrganization(id);
+  }
+
+  async getOrganization(organizationId) {
+    return this.get('SELECT * FROM organizations WHERE id = ?', [organizationId]);
+  }
+
+  async getOwnedOrganization(userId) {
+    return this.get('SELECT * FROM organizations WHERE owner_id = ?', [userId]);
+  }
+
+  async updateOrganization(organizationId, organizationData) {
+    const updates = Object.keys(organizationData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(organizationData);
+    values.push(organizationId);
+
+    return this.run(`UPDATE organizations SET ${updates} WHERE id = ?`, values);
+  }
+
+  async deleteOrganization(organizationId) {
+    return this.transaction(async () => {
+      for (const table of ['organization_usage', 'organization_invitations', 'organization_members']) {
+        await this.run(`DELETE FROM ${table} WHERE organization_id = ?`, [organizationId]);
+      }
+      await this.run('DELETE FROM organizations WHERE id = ?', [organizationId]);
+    });
+  }
+
+  // The user's membership with the organization's name and owner, if they have one
+  async getOrganizationMembership(userId) {
+    return this.get(
+      `SELECT m.*, o.name AS organization_name, o.owner_id FROM organization_members m
+       JOIN organizations o ON o.id = m.organization_id WHERE m.user_id = ?`,
       [userId]
     );
   }
 
-  async resetAllUsage() {
+  async getOrganizationMembers(organizationId) {
+    return this.all(
+      `SELECT m.*, u.email, u.name FROM organization_members m JOIN users u ON u.id = m.user_id
+       WHERE m.organization_id = ? ORDER BY CASE m.role WHEN 'owner' THEN 0 ELSE 1 END, m.joined_at, u.email`,
+      [organizationId]
+    );
+  }
+
+  async countOrganizationMembers(organizationId) {
+    const row = await this.get('SELECT COUNT(*) AS count FROM organization_members WHERE organization_id = ?', [organizationId]);
+    return Number(row.count);
+  }
+
+  // Fails on the unique user_id if the user already belongs to an organization
+  async addOrganizationMember(organizationId, userId) {
+    return this.run(
+      "INSERT INTO organization_members (id, organization_id, user_id, role) VALUES (?, ?, ?, 'member')",
+      [uuidv4(), organizationId, userId]
+    );
+  }
+
+  // Owners are never removed this way; changes is 0 if the user was not a member
+  async removeOrganizationMember(organizationId, userId) {
+    return this.run(
+      "DELETE FROM organization_members WHERE organization_id = ? AND user_id = ? AND role = 'member'",
+      [organizationId, userId]
+    );
+  }
+
+  async transferOrganizationOwnership(organizationId, fromUserId, toUserId) {
+    return this.transaction(async () => {
+      await this.run(
+        "UPDATE organization_members SET role = 'member' WHERE organization_id = ? AND user_id = ?",
+        [organizationId, fromUserId]
+      );
+      await this.run(
+        "UPDATE organization_members SET role = 'owner' WHERE organization_id = ? AND user_id = ?",
+        [organizationId, toUserId]
+      );
+      await this.run(
+        'UPDATE organizations SET owner_id = ?, updated_at = ? WHERE id = ?',
+        [toUserId, new Date().toISOString(), organizationId]
+      );
+    });
+  }
+
+  async createOrganizationInvitation({ organizationId, email, tokenHash, invitedBy, expiresAt }) {
+    const id = uuidv4();
+    await this.run(
+      `INSERT INTO organization_invitations (id, organization_id, email, token_hash, invited_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, organizationId, email, tokenHash, invitedBy, expiresAt]
+    );
+    return this.get('SELECT * FROM organization_invitations WHERE id = ?', [id]);
+  }
+
+  async getOrganizationInvitationByHash(tokenHash) {
+    return this.get('SELECT * FROM organization_invitations WHERE token_hash = ?', [tokenHash]);
+  }
+
+  // Unexpired pending invitations, newest first
+  async getPendingOrganizationInvitations(organizationId) {
+    return this.all(
+      `SELECT * FROM organization_invitations WHERE organization_id = ? AND status = 'pending' AND expires_at > ?
+       ORDER BY created_at DESC`,
+      [organizationId, new Date().toISOString()]
+    );
+  }
+
+  // Close a pending invitation; changes is 0 if it was no longer pending
+  async respondToOrganizationInvitation(invitationId, status) {
+    return this.run(
+      "UPDATE organization_invitations SET status = ?, responded_at = ? WHERE id = ? AND status = 'pending'",
+      [status, new Date().toISOString(), invitationId]
+    );
+  }
+
+  async revokeOrganizationInvitations(organizationId, { invitationId = null, email = null } = {}) {
+    const conditions = ['organization_id = ?', "status = 'pending'"];
+    const values = [new Date().toISOString(), organizationId];
+    if (invitationId) {
+      conditions.push('id = ?');
+      values.push(invitationId);
+    }
+    if (email) {
+      conditions.push('email = ?');
+      values.push(email);
+    }
+
+    return this.run(
+      `UPDATE organization_invitations SET status = 'revoked', responded_at = ? WHERE ${conditions.join(' AND ')}`,
+      values
+    );
+  }
+
+  async getOrganizationFeatureUsage(organizationId, featureType, periodStart) {
+    return this.get(
+      'SELECT * FROM organization_usage WHERE organization_id = ? AND feature_type = ? AND period_start = ?',
+      [organizationId, featureType, periodStart]
+    );
+  }
+
+  async getOrganizationUsage(organizationId, periodStart) {
+    return this.all('SELECT * FROM organization_usage WHERE organization_id = ? AND period_start = ?', [organizationId, periodStart]);
+  }
+
+  // API key methods
+  async createApiKey({ name, prefix, keyHash, scopes, createdBy = null, rotatedFrom = null, expiresAt = null }) {
+    const id = uuidv4();
+    await this.run(
+      `INSERT INTO api_keys (id, name, prefix, key_hash, scopes, created_by, rotated_from, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, name, prefix, keyHash, JSON.stringify(scopes), createdBy, rotatedFrom, expiresAt]
+    );
+    return this.getApiKey(id);
+  }
+
+  async getApiKey(keyId) {
+    return this.get('SELECT * FROM api_keys WHERE id = ?', [keyId]);
+  }
+
+  async getApiKeyByHash(keyHash) {
+    return this.get('SELECT * FROM api_keys WHERE key_hash = ?', [keyHash]);
+  }
+
+  async getApiKeys({ includeRevoked = false } = {}) {
+    const where = includeRevoked ? '' : 'WHERE revoked_at IS NULL';
+    return this.all(`SELECT * FROM api_keys ${where} ORDER BY created_at DESC`);
+  }
+
+  async updateApiKey(keyId, keyData) {
+    const updates = Object.keys(keyData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(keyData);
+    values.push(keyId);
+
+    return this.run(`UPDATE api_keys SET ${updates} WHERE id = ?`, values);
+  }
+
+  // Revoke a key unless it was already revoked; changes is 0 when it was
+  async revokeApiKey(keyId) {
+    return this.run('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [new Date().toISOString(), keyId]);
+  }
+
+  // Record use at most once per interval, so busy keys don't write on every call
+  async touchApiKey(keyId, intervalMs) {
+    const now = new Date();
+    return this.run(
+      'UPDATE api_keys SET last_used_at = ? WHERE id = ? AND (last_used_at IS NULL OR last_used_at < ?)',
+      [now.toISOString(), keyId, new Date(now.getTime() - intervalMs).toISOString()]
+    );
+  }
+
+  // Rate limit methods (expiry times are epoch milliseconds)
+  async incrementRateLimit(key, ttlMs, now = Date.now()) {
+    return this.transaction(async () => {
+      await this.run(
+        `INSERT INTO rate_limits (key, value, expires_at) VALUES (?, 1, ?)
+         ON CONFLICT(key) DO UPDATE SET
+           value = CASE WHEN rate_limits.expires_at <= ? THEN 1 ELSE rate_limits.value + 1 END,
+           expires_at = CASE WHEN rate_limits.expires_at <= ? THEN ? ELSE rate_limits.expires_at END`,
+        [key, now + ttlMs, now, now, now + ttlMs]
+      );
+      const row = await this.get('SELECT value FROM rate_limits WHERE key = ?', [key]);
+      return row.value;
+    });
+  }
+
+  async getRateLimit(key, now = Date.now()) {
+    const row = await this.get('SELECT value FROM rate_limits WHERE key = ? AND expires_at > ?', [key, now]);
+    return row ? row.value : 0;
+  }
+
+  async setRateLimit(key, value, expiresAt) {
+    return this.run(
+      `INSERT INTO rate_limits (key, value, expires_at) VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`,
+      [key, value, expiresAt]
+    );
+  }
+
+  async deleteRateLimit(key) {
+    return this.run('DELETE FROM rate_limits WHERE key = ?', [key]);
+  }
+
+  async pruneRateLimits(now = Date.now()) {
+    return this.run('DELETE FROM rate_limits WHERE expires_at <= ?', [now]);
+  }
+
+  // Local billing methods (BILLING_PROVIDER=local; times are epoch seconds)
+  async getLocalBillingClockOffset() {
+    const row = await this.get('SELECT offset_seconds FROM local_billing_clock WHERE id = 1');
+    return row ? Number(row.offset_seconds) : 0;
+  }
+
+  async setLocalBillingClockOffset(offsetSeconds) {
     return this.run(
-      'UPDATE user_usage SET usage_count = 0, last_reset_date = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP'
+      `INSERT INTO local_billing_clock (id, offset_seconds) VALUES (1, ?)
+       ON CONFLICT(id) DO UPDATE SET offset_seconds = excluded.offset_seconds`,
+      [offsetSeconds]
+    );
+  }
+
+  async createLocalBillingObject(kind, objectData) {
+    const columns = Object.keys(objectData);
+    const placeholders = columns.map(() => '?').join(', ');
+
+    await this.run(
+      `INSERT INTO ${LOCAL_BILLING_TABLES[kind]} (${columns.join(', ')}) VALUES (${placeholders})`,
+      Object.values(objectData)
+    );
+    return this.getLocalBillingObject(kind, objectData.id);
+  }
+
+  async getLocalBillingObject(kind, id) {
+    return this.get(`SELECT * FROM ${LOCAL_BILLING_TABLES[kind]} WHERE id = ?`, [id]);
+  }
+
+  async updateLocalBillingObject(kind, id, objectData) {
+    const updates = Object.keys(objectData).map(key => `${key} = ?`).join(', ');
+    const values = Object.values(objectData);
+    values.push(id);
+
+    await this.run(`UPDATE ${LOCAL_BILLING_TABLES[kind]} SET ${updates} WHERE id = ?`, values);
+    return this.getLocalBillingObject(kind, id);
+  }
+
+  async getLatestLocalSubscription(customerId) {
+    return this.get(
+      'SELECT * FROM local_billing_subscriptions WHERE customer_id = ? ORDER BY created DESC, id DESC LIMIT 1',
+      [customerId]
+    );
+  }
+
+  async getLocalSubscriptionBySchedule(scheduleId) {
+    return this.get('SELECT * FROM local_billing_subscriptions WHERE schedule_id = ?', [scheduleId]);
+  }
+
+  // Subscriptions the simulated clock still has work for
+  async getLiveLocalSubscriptions() {
+    return this.all(
+      "SELECT * FROM local_billing_subscriptions WHERE status IN ('trialing', 'active', 'past_due') ORDER BY created"
+    );
+  }
+
+  // Unpaid invoices with a payment retry scheduled
+  async getRetryingLocalInvoices() {
+    return this.all(
+      "SELECT * FROM local_billing_invoices WHERE status = 'open' AND next_payment_attempt IS NOT NULL ORDER BY next_payment_attempt"
     );
   }
+
+  async getLocalBillingEvents({ limit = 50 } = {}) {
+    return this.all('SELECT * FROM local_billing_events ORDER BY created DESC, id DESC LIMIT ?', [limit]);
+  }
 }
 
 module.exports = new Database();
\ No newline at end of file
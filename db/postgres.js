@@ -0,0 +1,126 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { logger } = require('../logger');
+
+// Queries and migrations are written for SQLite; these rewrites cover the differences
+// they rely on. Timestamps stay text in SQLite's "YYYY-MM-DD HH:MM:SS" format so they
+// compare the same way against the ISO strings the code passes in.
+const REWRITES = [
+  [/\bDATETIME\b/g, 'TEXT'],
+  // Epoch milliseconds (rate limits) don't fit in a 32-bit integer
+  [/\bINTEGER\b/g, 'BIGINT'],
+  [/\bCURRENT_TIMESTAMP\b/g, "(to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS'))"]
+];
+
+const translated = new Map();
+
+// Number ? placeholders as $1, $2, ... outside string literals, then apply REWRITES
+function translateSql(sql) {
+  if (translated.has(sql)) {
+    return translated.get(sql);
+  }
+
+  let output = '';
+  let index = 0;
+  let inString = false;
+
+  for (const char of sql) {
+    if (char === "'") {
+      inString = !inString;
+    }
+    if (char === '?' && !inString) {
+      index += 1;
+      output += `$${index}`;
+    } else {
+      output += char;
+    }
+  }
+
+  const result = REWRITES.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), output);
+  translated.set(sql, result);
+  return result;
+}
+
+// Flags are INTEGER columns, which sqlite3 fills from booleans on its own
+function toParam(value) {
+  return typeof value === 'boolean' ? Number(value) : value;
+}
+
+// A pg connection pool. Statements inside transaction() run on the transaction's
+// client, found through async context so repository methods don't need to pass it.
+class PostgresAdapter {
+  constructor(connectionString) {
+    this.dialect = 'postgres';
+    this.connectionString = connectionString;
+    this.pool = null;
+    this.transactionContext = new AsyncLocalStorage();
+  }
+
+  async connect() {
+    let pg;
+    try {
+      pg = require('pg');
+    } catch (error) {
+      throw new Error('DATABASE_URL points at PostgreSQL but the pg package is not installed');
+    }
+
+    // COUNT(*) and BIGINT columns come back as int8, SUM() as numeric; both are strings by default
+    pg.types.setTypeParser(20, value => parseInt(value, 10));
+    pg.types.setTypeParser(1700, value => parseFloat(value));
+
+    this.pool = new pg.Pool({
+      connectionString: this.connectionString,
+      max: parseInt(process.env.DATABASE_POOL_SIZE || '10', 10)
+    });
+    this.pool.on('error', error => {
+      logger.error('PostgreSQL pool error', { error });
+    });
+
+    await this.pool.query('SELECT 1');
+    logger.info('Connected to PostgreSQL database', { poolSize: this.pool.options.max });
+  }
+
+  close() {
+    return this.pool.end();
+  }
+
+  async transaction(fn) {
+    if (this.transactionContext.getStore()) {
+      return fn();
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const value = await this.transactionContext.run(client, fn);
+      await client.query('COMMIT');
+      return value;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  query(sql, params) {
+    const client = this.transactionContext.getStore() || this.pool;
+    return client.query(translateSql(sql), params.map(toParam));
+  }
+
+  async run(sql, params = []) {
+    const result = await this.query(sql, params);
+    return { id: null, changes: result.rowCount };
+  }
+
+  async get(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows[0];
+  }
+
+  async all(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows;
+  }
+}
+
+module.exports = { PostgresAdapter, translateSql };
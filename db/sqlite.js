@@ -0,0 +1,102 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+const { logger } = require('../logger');
+
+// One sqlite3 connection. filename may be ':memory:' for a throwaway database.
+class SqliteAdapter {
+  constructor(filename) {
+    this.dialect = 'sqlite';
+    this.filename = filename;
+    this.db = null;
+    this.transactionQueue = Promise.resolve();
+    this.transactionContext = new AsyncLocalStorage();
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.filename, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          logger.info('Connected to SQLite database', { inMemory: this.filename === ':memory:' });
+          resolve();
+        }
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // Every statement shares the one connection, so statements and transactions wait
+  // their turn in one queue; a statement run inside a transaction is part of it, and
+  // a transaction started inside another joins it
+  enqueue(task) {
+    if (this.transactionContext.getStore()) {
+      return task();
+    }
+
+    const result = this.transactionQueue.then(task);
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  transaction(fn) {
+    if (this.transactionContext.getStore()) {
+      return fn();
+    }
+
+    return this.enqueue(() => this.transactionContext.run(true, async () => {
+      await this.run('BEGIN');
+      try {
+        const value = await fn();
+        await this.run('COMMIT');
+        return value;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+    }));
+  }
+
+  run(sql, params = []) {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ id: this.lastID, changes: this.changes });
+        }
+      });
+    }));
+  }
+
+  get(sql, params = []) {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    }));
+  }
+
+  all(sql, params = []) {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    }));
+  }
+}
+
+module.exports = { SqliteAdapter };
@@ -0,0 +1,61 @@
+const { logger } = require('./logger');
+
+// Every error response has the shape { error: message, code, details? }
+
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR'
+};
+
+// An error that is safe to show to the client
+class ApiError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || 'ERROR';
+    this.details = details;
+  }
+}
+
+// Forward rejected promises from async route handlers to the error handler
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+function notFound(req, res, next) {
+  next(new ApiError(404, `Route not found: ${req.method} ${req.baseUrl}${req.path}`));
+}
+
+// Central error handler; anything that is not an ApiError is logged and hidden
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let error = err;
+  if (err.type === 'entity.parse.failed') {
+    error = new ApiError(400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  } else if (err.type === 'entity.too.large') {
+    error = new ApiError(413, 'Request body is too large', { code: 'PAYLOAD_TOO_LARGE' });
+  } else if (!(err instanceof ApiError)) {
+    logger.error('Unhandled error', { method: req.method, path: req.originalUrl.split('?')[0], error: err });
+    error = new ApiError(500, 'Internal server error');
+  }
+
+  const body = { error: error.message, code: error.code };
+  if (error.details !== undefined) {
+    body.details = error.details;
+  }
+
+  res.status(error.status).json(body);
+}
+
+module.exports = { ApiError, asyncHandler, notFound, errorHandler };
@@ -0,0 +1,30 @@
+const { logger } = require('./logger');
+
+// In-process publish/subscribe for domain events such as billing and usage changes.
+// A failing subscriber is logged and never fails the code that published the event.
+const subscribers = new Map();
+
+function subscribe(type, handler) {
+  if (!subscribers.has(type)) {
+    subscribers.set(type, []);
+  }
+  subscribers.get(type).push(handler);
+
+  return () => {
+    subscribers.set(type, subscribers.get(type).filter(existing => existing !== handler));
+  };
+}
+
+async function publish(type, payload) {
+  const handlers = subscribers.get(type) || [];
+
+  await Promise.all(handlers.map(async handler => {
+    try {
+      await handler(payload, type);
+    } catch (error) {
+      logger.error('Event subscriber failed', { eventType: type, error });
+    }
+  }));
+}
+
+module.exports = { subscribe, publish };
@@ -0,0 +1,110 @@
+const db = require('./database');
+const { Migrator } = require('./migrator');
+const { DEFAULT_JWT_SECRET } = require('./sessions');
+const { ApiError } = require('./errors');
+const { getBilling } = require('./billing');
+
+const DATABASE_TIMEOUT_MS = parseInt(process.env.HEALTH_DB_TIMEOUT_MS || '2000', 10);
+
+// Set by server.js: started once db.init() has finished, shuttingDown once a signal arrives
+const state = { started: false, shuttingDown: false };
+
+function markStarted() {
+  state.started = true;
+}
+
+function markShuttingDown() {
+  state.shuttingDown = true;
+}
+
+function isShuttingDown() {
+  return state.shuttingDown;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function checkServer() {
+  if (state.shuttingDown) return { status: 'fail', error: 'Shutting down' };
+  if (!state.started) return { status: 'fail', error: 'Starting up' };
+  return { status: 'ok' };
+}
+
+// Only names are reported, never values. The billing provider decides which of its
+// settings are required.
+function checkConfig() {
+  const problems = [...getBilling().requiredConfig, 'JWT_SECRET']
+    .filter(name => !process.env[name])
+    .map(name => `${name} is not set`);
+
+  if (process.env.JWT_SECRET === DEFAULT_JWT_SECRET) {
+    problems.push('JWT_SECRET is the development default');
+  }
+
+  return problems.length === 0 ? { status: 'ok' } : { status: 'fail', problems };
+}
+
+async function checkDatabase() {
+  if (!db.adapter) {
+    return { status: 'fail', error: 'Not connected' };
+  }
+
+  const start = Date.now();
+  try {
+    await withTimeout(db.get('SELECT 1 AS ok'), DATABASE_TIMEOUT_MS);
+    return { status: 'ok', dialect: db.adapter.dialect, latencyMs: Date.now() - start };
+  } catch (error) {
+    return { status: 'fail', dialect: db.adapter.dialect, error: error.message };
+  }
+}
+
+// Pending migrations mean this code expects a schema the database doesn't have yet
+async function checkMigrations() {
+  try {
+    const migrations = await withTimeout(new Migrator(db).status(), DATABASE_TIMEOUT_MS);
+    const pending = migrations.filter(row => !row.applied).map(row => row.version);
+    const applied = migrations.filter(row => row.applied);
+
+    return {
+      status: pending.length === 0 ? 'ok' : 'fail',
+      current: applied.length > 0 ? applied[applied.length - 1].version : null,
+      pending
+    };
+  } catch (error) {
+    return { status: 'fail', error: error.message };
+  }
+}
+
+// Whether this instance should receive traffic, with the result of each check
+async function checkReadiness() {
+  const database = await checkDatabase();
+  const checks = {
+    server: checkServer(),
+    config: checkConfig(),
+    database,
+    migrations: database.status === 'ok' ? await checkMigrations() : { status: 'fail', error: 'Database unavailable' }
+  };
+
+  return { ready: Object.values(checks).every(check => check.status === 'ok'), checks };
+}
+
+// API requests get a 503 until startup has finished. While shutting down, requests on
+// connections that are still open are served and the connection is closed afterwards.
+function availability() {
+  return (req, res, next) => {
+    if (state.shuttingDown) {
+      res.set('Connection', 'close');
+    } else if (!state.started) {
+      res.set('Retry-After', '5');
+      return next(new ApiError(503, 'Server is starting up', { code: 'SERVICE_UNAVAILABLE' }));
+    }
+    next();
+  };
+}
+
+module.exports = { markStarted, markShuttingDown, isShuttingDown, checkReadiness, availability };
@@ -0,0 +1,32 @@
+const { logger } = require('./logger');
+const requestContext = require('./requestContext');
+
+// Run a job every intervalMs in this process, skipping a tick while the previous
+// run is still going. Log lines written by the job carry its name. Returns a handle
+// with stop(), which resolves once a run in progress has finished.
+function scheduleJob(name, intervalMs, job) {
+  let running = null;
+
+  const timer = setInterval(() => {
+    if (running) return;
+
+    running = requestContext.run({ job: name }, async () => job())
+      .catch(error => logger.error('Scheduled job failed', { job: name, error }))
+      .finally(() => {
+        running = null;
+      });
+  }, intervalMs);
+
+  // Scheduled jobs should never keep the process alive on their own
+  timer.unref();
+
+  logger.info('Scheduled job', { job: name, intervalMinutes: Math.round(intervalMs / 60000) });
+  return {
+    stop: () => {
+      clearInterval(timer);
+      return running || Promise.resolve();
+    }
+  };
+}
+
+module.exports = { scheduleJob };
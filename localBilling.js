@@ -0,0 +1,239 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('./auth');
+const { getBilling } = require('../billing');
+const { TEST_CARDS, CARD_BEHAVIORS } = require('../billing/local');
+const { recordAdminAction } = require('../auditLog');
+const { ApiError, asyncHandler } = require('../errors');
+const { validate, rules } = require('../validation');
+
+// Pages and controls for BILLING_PROVIDER=local, standing in for Stripe Checkout, the
+// customer portal and test clocks. Only mounted when the local provider is in use.
+const router = express.Router();
+
+const checkoutParams = { sessionId: { type: 'string', required: true, pattern: /^cs_[A-Za-z0-9]+$/ } };
+const portalParams = { sessionId: { type: 'string', required: true, pattern: /^bps_[A-Za-z0-9]+$/ } };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function formatAmount(amount, currency) {
+  return `${(amount / 100).toFixed(2)} ${currency.toUpperCase()}`;
+}
+
+function formatDate(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString().slice(0, 10) : '-';
+}
+
+function origin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Forms post back here and then redirect to the app, so those origins are allowed
+function sendPage(res, status, title, body, redirectUrls = []) {
+  const formTargets = ["'self'", ...new Set(redirectUrls.map(origin).filter(Boolean))].join(' ');
+  res.set('Content-Security-Policy', `default-src 'none'; style-src 'unsafe-inline'; form-action ${formTargets}; frame-ancestors 'none'; base-uri 'none'`);
+  res.status(status).type('html').send(`<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 28rem; margin: 3rem auto; padding: 0 1rem; color: #222; }
+.notice { background: #fff4ce; padding: .5rem .75rem; border-radius: 4px; font-size: .9rem; }
+.error { background: #fde2e1; padding: .5rem .75rem; border-radius: 4px; }
+label { display: block; margin: .4rem 0; }
+button { margin-top: 1rem; padding: .5rem 1rem; }
+</style>
+</head>
+<body>
+<p class="notice">Simulated billing: no real payment is taken.</p>
+${body}
+</body>
+</html>`);
+}
+
+function cardOptions(cards) {
+  return cards.map((card, index) => `<label><input type="radio" name="card" value="${card.number}"${index === 0 ? ' checked' : ''}> ${escapeHtml(card.label)}</label>`).join('\n');
+}
+
+function renderCheckout(res, status, { session, price, customer }, error = null) {
+  const trial = session.trial_days > 0 ? `<p>${session.trial_days}-day free trial, then billed every ${price.recurring.interval}.</p>` : '';
+  const body = session.status !== 'open'
+    ? '<h1>Checkout complete</h1><p>This checkout session has already been paid.</p>'
+    : `<h1>Subscribe</h1>
+<p><strong>${escapeHtml(price.metadata.plan_key)}</strong>: ${formatAmount(price.unit_amount, price.currency)} per ${escapeHtml(price.recurring.interval)}${session.quantity > 1 ? ` &times; ${session.quantity} seats` : ''}</p>
+${trial}
+<p>${escapeHtml(customer?.email)}</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post">
+<fieldset><legend>Test card</legend>
+${cardOptions(TEST_CARDS)}
+</fieldset>
+<button type="submit" name="action" value="pay">Pay</button>
+<button type="submit" name="action" value="cancel">Cancel</button>
+</form>`;
+
+  sendPage(res, status, 'Checkout', body, [session.success_url, session.cancel_url]);
+}
+
+// Checkout page
+router.get('/checkout/:sessionId', validate({ params: checkoutParams }), asyncHandler(async (req, res) => {
+  const checkout = await getBilling().getCheckoutSession(req.params.sessionId);
+  if (!checkout) {
+    throw new ApiError(404, 'Checkout session not found');
+  }
+
+  renderCheckout(res, 200, checkout);
+}));
+
+// Pay with a test card, or go back to the app
+router.post('/checkout/:sessionId', validate({
+  params: checkoutParams,
+  body: {
+    action: { type: 'string', required: true, enum: ['pay', 'cancel'] },
+    card: { type: 'string', maxLength: 19 }
+  }
+}), asyncHandler(async (req, res) => {
+  const billing = getBilling();
+  const checkout = await billing.getCheckoutSession(req.params.sessionId);
+  if (!checkout) {
+    throw new ApiError(404, 'Checkout session not found');
+  }
+
+  if (req.body.action === 'cancel') {
+    return res.redirect(303, checkout.session.cancel_url);
+  }
+
+  try {
+    res.redirect(303, await billing.completeCheckout(checkout.session.id, req.body.card));
+  } catch (error) {
+    if (!(error instanceof ApiError) || error.status >= 500) throw error;
+    renderCheckout(res, error.status, checkout, error.message);
+  }
+}));
+
+// Customer portal page
+router.get('/portal/:sessionId', validate({ params: portalParams }), asyncHandler(async (req, res) => {
+  const portal = await getBilling().getPortalSession(req.params.sessionId);
+  if (!portal) {
+    throw new ApiError(404, 'Portal session not found');
+  }
+
+  const { session, subscription } = portal;
+  const live = subscription && ['trialing', 'active', 'past_due'].includes(subscription.status);
+  let details = '<p>No subscription.</p>';
+  if (subscription) {
+    const renewal = subscription.cancel_at_period_end ? 'Cancels on' : 'Renews on';
+    details = `<p>Plan: <strong>${escapeHtml(subscription.items.data[0].price.metadata.plan_key)}</strong></p>
+<p>Status: ${escapeHtml(subscription.status)}</p>
+${subscription.items.data[0].quantity > 1 ? `<p>Seats: ${subscription.items.data[0].quantity}</p>` : ''}
+${live ? `<p>${renewal} ${formatDate(subscription.current_period_end)}</p>` : ''}`;
+  }
+
+  const actions = live
+    ? `<form method="post">
+${subscription.cancel_at_period_end
+    ? '<button type="submit" name="action" value="resume">Resume subscription</button>'
+    : '<button type="submit" name="action" value="cancel">Cancel at period end</button>'}
+</form>
+<form method="post">
+<fieldset><legend>Change card</legend>
+${cardOptions(TEST_CARDS.filter(card => CARD_BEHAVIORS.includes(card.card)))}
+</fieldset>
+<button type="submit" name="action" value="card">Save card</button>
+</form>`
+    : '';
+
+  sendPage(res, 200, 'Billing', `<h1>Billing</h1>
+${details}
+${actions}
+<p><a href="${escapeHtml(session.return_url)}">Return to the app</a></p>`);
+}));
+
+router.post('/portal/:sessionId', validate({
+  params: portalParams,
+  body: {
+    action: { type: 'string', required: true, enum: ['cancel', 'resume', 'card'] },
+    card: { type: 'string', maxLength: 19 }
+  }
+}), asyncHandler(async (req, res) => {
+  const billing = getBilling();
+  const portal = await billing.getPortalSession(req.params.sessionId);
+  if (!portal || !portal.subscription) {
+    throw new ApiError(404, 'Portal session not found');
+  }
+
+  const { session, subscription } = portal;
+  if (req.body.action === 'card') {
+    const testCard = TEST_CARDS.find(card => card.number === req.body.card && CARD_BEHAVIORS.includes(card.card));
+    if (!testCard) {
+      throw new ApiError(400, 'Use one of the listed test cards', { code: 'VALIDATION_ERROR' });
+    }
+    await billing.setCardBehavior(session.customer_id, testCard.card);
+  } else {
+    await billing.setCancelAtPeriodEnd(subscription.id, req.body.action === 'cancel');
+  }
+
+  res.redirect(303, `${req.baseUrl}/portal/${session.id}`);
+}));
+
+// Simulated clock (admin)
+router.get('/clock', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  res.json({ clock: await getBilling().getClock() });
+}));
+
+// Move the clock forward, running the renewals, trial ends and payment retries due
+// on the way; responds once their webhook events have been delivered (admin)
+router.post('/clock/advance', authenticateToken, requireRole('admin'), validate({
+  body: {
+    days: { type: 'integer', min: 0, max: 3650, default: 0 },
+    hours: { type: 'integer', min: 0, max: 24 * 3650, default: 0 },
+    seconds: { type: 'integer', min: 0, max: 3650 * 24 * 60 * 60, default: 0 }
+  }
+}), asyncHandler(async (req, res) => {
+  const { days, hours, seconds } = req.body;
+  const total = days * 24 * 60 * 60 + hours * 60 * 60 + seconds;
+  if (total === 0) {
+    throw new ApiError(400, 'Advance by at least one second', { code: 'VALIDATION_ERROR' });
+  }
+
+  const result = await getBilling().advanceClock(total);
+  await recordAdminAction(req, 'billing.clock_advanced', { details: { seconds: total, actions: result.actions.length } });
+
+  res.json({ clock: { now: result.now }, actions: result.actions });
+}));
+
+// Make later charges on a customer's card succeed or fail (admin)
+router.put('/customers/:customerId/card', authenticateToken, requireRole('admin'), validate({
+  params: { customerId: { type: 'string', required: true, pattern: /^cus_[A-Za-z0-9]+$/ } },
+  body: { card: { type: 'string', required: true, enum: CARD_BEHAVIORS } }
+}), asyncHandler(async (req, res) => {
+  let customer;
+  try {
+    customer = await getBilling().setCardBehavior(req.params.customerId, req.body.card);
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      throw new ApiError(404, 'Customer not found');
+    }
+    throw error;
+  }
+
+  res.json({ customer });
+}));
+
+// Events sent to the webhook route, newest first (admin)
+router.get('/events', authenticateToken, requireRole('admin'), validate({
+  query: { limit: rules.pagination.limit }
+}), asyncHandler(async (req, res) => {
+  const events = await getBilling().getEvents({ limit: req.query.limit });
+
+  res.json({ events: events.map(({ payload, ...event }) => event) });
+}));
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const requestContext = require('./requestContext');
+
+// One JSON object per line, so log aggregators can index the fields. Every entry
+// carries the current request context (requestId, webhookEventId, ...).
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+// LOG_FORMAT=pretty prints "time LEVEL message {fields}" for reading in a terminal
+const pretty = process.env.LOG_FORMAT === 'pretty';
+
+// Values under these keys are never logged; an API key's ID and prefix are safe to log
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|authorization|cookie|api_?key(?!_?(id|prefix)$)|verifier|signature/i;
+
+// Secrets and personal data that can turn up inside messages, URLs and error text
+const STRING_REDACTIONS = [
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[email]'],
+  [/\b(sk|rk)_(live|test)_[A-Za-z0-9]+/g, '$1_$2_[redacted]'],
+  [/\bwhsec_[A-Za-z0-9]+/g, 'whsec_[redacted]'],
+  [/\b(mqk_[0-9a-f]{8})_[A-Za-z0-9_-]+/g, '$1_[redacted]'],
+  [/\beyJ[\w-]*\.[\w-]*\.[\w-]*/g, '[jwt]'],
+  [/\bBearer\s+\S+/gi, 'Bearer [redacted]'],
+  [/([?&](?:token|code|state)=)[^&\s"]+/gi, '$1[redacted]']
+];
+
+const MAX_DEPTH = 5;
+
+function redactString(text) {
+  return STRING_REDACTIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: redactString(String(error.message)) };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.status !== undefined) serialized.status = error.status;
+  if (error.stack) serialized.stack = redactString(error.stack);
+  return serialized;
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined ? '[redacted]' : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function format(entry) {
+  if (!pretty) {
+    return JSON.stringify(entry);
+  }
+
+  const { time, level, msg, ...fields } = entry;
+  const rest = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest}`;
+}
+
+function write(level, bindings, message, fields) {
+  if (LEVELS[level] < threshold) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(message)),
+    ...redact({ ...requestContext.get(), ...bindings, ...fields })
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${format(entry)}\n`);
+}
+
+// logger.info('Message', { userId }) - pass errors as { error }
+function createLogger(bindings = {}) {
+  return {
+    debug: (message, fields = {}) => write('debug', bindings, message, fields),
+    info: (message, fields = {}) => write('info', bindings, message, fields),
+    warn: (message, fields = {}) => write('warn', bindings, message, fields),
+    error: (message, fields = {}) => write('error', bindings, message, fields),
+    // A logger that adds fields to every entry, e.g. { component: 'notifier' }
+    child: fields => createLogger({ ...bindings, ...fields })
+  };
+}
+
+const logger = createLogger();
+
+// One entry per finished request. The query string is left out because it can carry tokens.
+function requestLogger() {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : 'info';
+
+      write(level, {}, 'Request completed', {
+        requestId: req.id,
+        ...(req.apiKey && { apiKeyId: req.apiKey.id, apiKeyPrefix: req.apiKey.prefix }),
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = { logger, createLogger, redact, requestLogger };
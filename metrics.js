@@ -0,0 +1,193 @@
+// Counters and histograms kept in process memory and served by GET /metrics in the
+// Prometheus text format. Each instance reports its own values; Prometheus sums them.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const DB_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  // The series for a set of label values, created on first use
+  seriesFor(labels, create) {
+    const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: this.labelNames.map((name, index) => [name, values[index]]), ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  lines() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  // Returns a function that records the seconds elapsed since the timer started;
+  // labels known only at the end can be passed to it
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  lines() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels([...series.labels, ['le', bound]])} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels([...series.labels, ['le', '+Inf']])} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+const httpRequests = new Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route pattern and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = new Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route pattern and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+const webhookEvents = new Counter({
+  name: 'webhook_events_total',
+  help: 'Stripe webhook deliveries and replays by event type and outcome',
+  labelNames: ['type', 'outcome']
+});
+
+const webhookEventDuration = new Histogram({
+  name: 'webhook_event_duration_seconds',
+  help: 'Time spent handling a Stripe webhook event, by event type',
+  labelNames: ['type']
+});
+
+const usageIncrements = new Counter({
+  name: 'usage_increments_total',
+  help: 'Feature uses recorded, by feature',
+  labelNames: ['feature']
+});
+
+const usageDenials = new Counter({
+  name: 'usage_denials_total',
+  help: 'Feature uses refused because the plan limit was reached, by feature',
+  labelNames: ['feature']
+});
+
+const dbQueryDuration = new Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Database statement latency by statement type',
+  labelNames: ['operation'],
+  buckets: DB_BUCKETS
+});
+
+const dbQueryErrors = new Counter({
+  name: 'db_query_errors_total',
+  help: 'Database statements that failed, by statement type',
+  labelNames: ['operation']
+});
+
+// Records every request under its route pattern (e.g. /api/usage/increment/:feature)
+// rather than its URL, so IDs in paths don't create a series each
+function httpMetrics() {
+  return (req, res, next) => {
+    const stopTimer = httpRequestDuration.startTimer({ method: req.method });
+    let route = null;
+    let routePattern = null;
+
+    // Express sets req.route when a route matches but resets req.baseUrl once a
+    // router passes an error on, so note the full pattern as it is set
+    Object.defineProperty(req, 'route', {
+      configurable: true,
+      enumerable: true,
+      get: () => route,
+      set: value => {
+        route = value;
+        routePattern = `${req.baseUrl}${value.path}`;
+      }
+    });
+
+    res.on('finish', () => {
+      const labels = { route: routePattern || 'unmatched', status: res.statusCode };
+      stopTimer(labels);
+      httpRequests.inc({ method: req.method, ...labels });
+    });
+
+    next();
+  };
+}
+
+function render() {
+  return `${registry.map(metric => metric.render()).join('\n')}\n`;
+}
+
+module.exports = {
+  Counter,
+  Histogram,
+  httpRequests,
+  httpRequestDuration,
+  webhookEvents,
+  webhookEventDuration,
+  usageIncrements,
+  usageDenials,
+  dbQueryDuration,
+  dbQueryErrors,
+  httpMetrics,
+  render
+};
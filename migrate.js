@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Database migration CLI
+//   node migrate.js status
+//   node migrate.js up [--to=003] [--dry-run]
+//   node migrate.js down [--steps=1] [--dry-run]
+require('dotenv').config();
+
+const db = require('./database');
+const { Migrator } = require('./migrator');
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = {};
+
+  rest.forEach(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    options[key] = value === undefined ? true : value;
+  });
+
+  return { command, options };
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const dryRun = Boolean(options['dry-run']);
+
+  await db.connect();
+  const migrator = new Migrator(db);
+
+  try {
+    if (command === 'status') {
+      const status = await migrator.status();
+      status.forEach(row => {
+        const state = row.applied ? `applied ${row.applied_at}` : 'pending';
+        console.log(`${row.version}_${row.name}  ${state}`);
+      });
+    } else if (command === 'up') {
+      const applied = await migrator.up({ to: options.to, dryRun });
+      console.log(applied.length ? `${dryRun ? 'Would apply' : 'Applied'}: ${applied.join(', ')}` : 'No pending migrations');
+    } else if (command === 'down') {
+      const steps = parseInt(options.steps, 10) || 1;
+      const rolledBack = await migrator.down({ steps, dryRun });
+      console.log(rolledBack.length ? `${dryRun ? 'Would roll back' : 'Rolled back'}: ${rolledBack.join(', ')}` : 'Nothing to roll back');
+    } else {
+      console.error(`Unknown command: ${command} (expected status, up or down)`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+// Tables as they existed before versioned migrations; IF NOT EXISTS lets older databases adopt this version
+module.exports = {
+  name: 'initial_schema',
+
+  up: [
+    // Users table
+    `CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT,
+      name TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // User subscriptions table
+    `CREATE TABLE IF NOT EXISTS user_subscriptions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      stripe_customer_id TEXT,
+      stripe_subscription_id TEXT UNIQUE,
+      status TEXT DEFAULT 'free' CHECK (status IN ('free', 'active', 'canceled', 'past_due', 'trialing')),
+      plan_type TEXT DEFAULT 'free',
+      current_period_start DATETIME,
+      current_period_end DATETIME,
+      last_payment_date DATETIME,
+      payment_status TEXT DEFAULT 'active' CHECK (payment_status IN ('active', 'failed', 'pending')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+
+    // User usage table
+    `CREATE TABLE IF NOT EXISTS user_usage (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      feature_type TEXT NOT NULL CHECK (feature_type IN ('assessment', 'journal_entry', 'habit_tracking', 'ai_insights')),
+      usage_count INTEGER DEFAULT 0,
+      last_reset_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      UNIQUE(user_id, feature_type)
+    )`,
+
+    // Plan catalog
+    `CREATE TABLE IF NOT EXISTS plans (
+      key TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      sort_order INTEGER DEFAULT 0,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Per-feature limits for each plan (-1 = unlimited)
+    `CREATE TABLE IF NOT EXISTS plan_limits (
+      id TEXT PRIMARY KEY,
+      plan_key TEXT NOT NULL,
+      feature_type TEXT NOT NULL,
+      limit_value INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (plan_key) REFERENCES plans (key),
+      UNIQUE(plan_key, feature_type)
+    )`,
+
+    // Stripe prices, lookup keys and products that map to a plan
+    `CREATE TABLE IF NOT EXISTS plan_prices (
+      id TEXT PRIMARY KEY,
+      plan_key TEXT NOT NULL,
+      stripe_price_id TEXT UNIQUE,
+      lookup_key TEXT UNIQUE,
+      stripe_product_id TEXT,
+      currency TEXT,
+      billing_interval TEXT,
+      unit_amount INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (plan_key) REFERENCES plans (key)
+    )`,
+
+    // Stripe webhook event ledger
+    `CREATE TABLE IF NOT EXISTS webhook_events (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      object_id TEXT,
+      event_created INTEGER NOT NULL,
+      status TEXT DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'failed', 'ignored')),
+      error TEXT,
+      attempts INTEGER DEFAULT 0,
+      payload TEXT NOT NULL,
+      received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      processed_at DATETIME
+    )`,
+
+    // Create indexes
+    `CREATE INDEX IF NOT EXISTS idx_user_subscriptions_user_id ON user_subscriptions(user_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_user_subscriptions_stripe_customer ON user_subscriptions(stripe_customer_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_user_subscriptions_stripe_subscription ON user_subscriptions(stripe_subscription_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_user_usage_user_id ON user_usage(user_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_user_usage_feature_type ON user_usage(feature_type)`,
+    `CREATE INDEX IF NOT EXISTS idx_plan_limits_plan_key ON plan_limits(plan_key)`,
+    `CREATE INDEX IF NOT EXISTS idx_plan_prices_plan_key ON plan_prices(plan_key)`,
+    `CREATE INDEX IF NOT EXISTS idx_plan_prices_product ON plan_prices(stripe_product_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_webhook_events_object_id ON webhook_events(object_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status)`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS webhook_events',
+    'DROP TABLE IF EXISTS plan_prices',
+    'DROP TABLE IF EXISTS plan_limits',
+    'DROP TABLE IF EXISTS plans',
+    'DROP TABLE IF EXISTS user_usage',
+    'DROP TABLE IF EXISTS user_subscriptions',
+    'DROP TABLE IF EXISTS users'
+  ]
+};
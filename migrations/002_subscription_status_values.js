@@ -0,0 +1,48 @@
+// SQLite cannot alter a CHECK constraint, so user_subscriptions is rebuilt to accept
+// every Stripe subscription status and any plan key from the plan catalog
+const COLUMNS = `id, user_id, stripe_customer_id, stripe_subscription_id, status, plan_type,
+  current_period_start, current_period_end, last_payment_date, payment_status, created_at, updated_at`;
+
+function rebuildSubscriptions(statusValues, statusExpression = 'status') {
+  const statuses = statusValues.map(status => `'${status}'`).join(', ');
+
+  return [
+    `CREATE TABLE user_subscriptions_new (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      stripe_customer_id TEXT,
+      stripe_subscription_id TEXT UNIQUE,
+      status TEXT DEFAULT 'free' CHECK (status IN (${statuses})),
+      plan_type TEXT DEFAULT 'free',
+      current_period_start DATETIME,
+      current_period_end DATETIME,
+      last_payment_date DATETIME,
+      payment_status TEXT DEFAULT 'active' CHECK (payment_status IN ('active', 'failed', 'pending')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+    `INSERT INTO user_subscriptions_new (${COLUMNS})
+     SELECT ${COLUMNS.replace('status,', `${statusExpression},`)} FROM user_subscriptions`,
+    'DROP TABLE user_subscriptions',
+    'ALTER TABLE user_subscriptions_new RENAME TO user_subscriptions',
+    'CREATE INDEX IF NOT EXISTS idx_user_subscriptions_user_id ON user_subscriptions(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_user_subscriptions_stripe_customer ON user_subscriptions(stripe_customer_id)',
+    'CREATE INDEX IF NOT EXISTS idx_user_subscriptions_stripe_subscription ON user_subscriptions(stripe_subscription_id)'
+  ];
+}
+
+module.exports = {
+  name: 'subscription_status_values',
+
+  up: rebuildSubscriptions(
+    ['free', 'active', 'canceled', 'past_due', 'trialing', 'incomplete', 'incomplete_expired', 'unpaid', 'paused']
+  ),
+
+  // Statuses the old constraint rejects are folded into the closest one it accepts
+  down: rebuildSubscriptions(
+    ['free', 'active', 'canceled', 'past_due', 'trialing'],
+    `CASE status WHEN 'unpaid' THEN 'past_due' WHEN 'incomplete' THEN 'past_due'
+      WHEN 'incomplete_expired' THEN 'canceled' WHEN 'paused' THEN 'canceled' ELSE status END`
+  )
+};
@@ -0,0 +1,29 @@
+// Refresh token sessions and the credential-change cutoff for access tokens
+module.exports = {
+  name: 'sessions',
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      family_id TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      revoked_reason TEXT,
+      replaced_by TEXT,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_sessions_family_id ON sessions(family_id)',
+    'ALTER TABLE users ADD COLUMN credentials_changed_at DATETIME'
+  ],
+
+  down: [
+    'ALTER TABLE users DROP COLUMN credentials_changed_at',
+    'DROP TABLE IF EXISTS sessions'
+  ]
+};
@@ -0,0 +1,25 @@
+// Single-use tokens for password reset and email verification
+module.exports = {
+  name: 'user_tokens',
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS user_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      email TEXT,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_user_tokens_user_type ON user_tokens(user_id, type)',
+    'ALTER TABLE users ADD COLUMN email_verified_at DATETIME'
+  ],
+
+  down: [
+    'ALTER TABLE users DROP COLUMN email_verified_at',
+    'DROP TABLE IF EXISTS user_tokens'
+  ]
+};
@@ -0,0 +1,27 @@
+// Append-only ledger of feature usage. Existing counters are carried over as one
+// backfill event each so reconciling against the ledger does not lose them.
+module.exports = {
+  name: 'usage_events',
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS usage_events (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      feature_type TEXT NOT NULL,
+      quantity INTEGER NOT NULL DEFAULT 1,
+      idempotency_key TEXT,
+      metadata TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      UNIQUE(user_id, idempotency_key)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_usage_events_user_feature ON usage_events(user_id, feature_type, created_at)',
+    `INSERT INTO usage_events (id, user_id, feature_type, quantity, idempotency_key, metadata, created_at)
+     SELECT 'backfill-' || id, user_id, feature_type, usage_count, 'backfill-' || id, '{"source":"backfill"}', last_reset_date
+     FROM user_usage WHERE usage_count > 0`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS usage_events'
+  ]
+};
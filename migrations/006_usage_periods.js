@@ -0,0 +1,62 @@
+// Count usage per billing period. Existing counters are kept as a closed period
+// so they show up in history; counting starts fresh in each user's current period.
+// The feature_type CHECK is dropped because features now come from the plan catalog.
+const COLUMNS = 'id, user_id, feature_type, usage_count, last_reset_date, created_at, updated_at';
+
+module.exports = {
+  name: 'usage_periods',
+
+  up: [
+    `CREATE TABLE user_usage_new (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      feature_type TEXT NOT NULL,
+      usage_count INTEGER DEFAULT 0,
+      period_start DATETIME NOT NULL,
+      period_end DATETIME,
+      last_reset_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      UNIQUE(user_id, feature_type, period_start)
+    )`,
+    `INSERT INTO user_usage_new (${COLUMNS}, period_start, period_end)
+     SELECT ${COLUMNS}, COALESCE(last_reset_date, created_at), CURRENT_TIMESTAMP FROM user_usage`,
+    'DROP TABLE user_usage',
+    'ALTER TABLE user_usage_new RENAME TO user_usage',
+    'CREATE INDEX IF NOT EXISTS idx_user_usage_user_id ON user_usage(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_user_usage_feature_type ON user_usage(feature_type)',
+    'CREATE INDEX IF NOT EXISTS idx_user_usage_user_period ON user_usage(user_id, period_start)',
+    'ALTER TABLE usage_events ADD COLUMN period_start DATETIME',
+    `UPDATE usage_events SET period_start = (
+       SELECT u.period_start FROM user_usage u
+       WHERE u.user_id = usage_events.user_id AND u.feature_type = usage_events.feature_type
+     )`
+  ],
+
+  // Only the latest period of each counter survives a rollback
+  down: [
+    'ALTER TABLE usage_events DROP COLUMN period_start',
+    `CREATE TABLE user_usage_old (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      feature_type TEXT NOT NULL,
+      usage_count INTEGER DEFAULT 0,
+      last_reset_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      UNIQUE(user_id, feature_type)
+    )`,
+    `INSERT INTO user_usage_old (${COLUMNS})
+     SELECT ${COLUMNS} FROM user_usage u
+     WHERE NOT EXISTS (
+       SELECT 1 FROM user_usage newer
+       WHERE newer.user_id = u.user_id AND newer.feature_type = u.feature_type AND newer.period_start > u.period_start
+     )`,
+    'DROP TABLE user_usage',
+    'ALTER TABLE user_usage_old RENAME TO user_usage',
+    'CREATE INDEX IF NOT EXISTS idx_user_usage_user_id ON user_usage(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_user_usage_feature_type ON user_usage(feature_type)'
+  ]
+};
@@ -0,0 +1,40 @@
+// User roles, admin plan overrides and the admin audit log
+module.exports = {
+  name: 'roles_and_audit',
+
+  up: [
+    `ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'support', 'admin'))`,
+    `CREATE TABLE IF NOT EXISTS plan_overrides (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      plan_key TEXT NOT NULL,
+      reason TEXT,
+      expires_at DATETIME,
+      granted_by TEXT,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      FOREIGN KEY (plan_key) REFERENCES plans (key)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_plan_overrides_user_id ON plan_overrides(user_id)',
+    `CREATE TABLE IF NOT EXISTS audit_log (
+      id TEXT PRIMARY KEY,
+      actor_id TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      details TEXT,
+      ip_address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS audit_log',
+    'DROP TABLE IF EXISTS plan_overrides',
+    'ALTER TABLE users DROP COLUMN role'
+  ]
+};
@@ -0,0 +1,17 @@
+// Counters for the SQLite rate limit store; expires_at is epoch milliseconds
+module.exports = {
+  name: 'rate_limits',
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      value BIGINT NOT NULL,
+      expires_at BIGINT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_rate_limits_expires_at ON rate_limits(expires_at)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS rate_limits'
+  ]
+};
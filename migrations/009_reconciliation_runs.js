@@ -0,0 +1,26 @@
+// History of Stripe reconciliation runs and their drift reports
+module.exports = {
+  name: 'reconciliation_runs',
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS reconciliation_runs (
+      id TEXT PRIMARY KEY,
+      mode TEXT NOT NULL CHECK (mode IN ('report', 'fix')),
+      status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+      triggered_by TEXT,
+      checked INTEGER NOT NULL DEFAULT 0,
+      drifted INTEGER NOT NULL DEFAULT 0,
+      fixed INTEGER NOT NULL DEFAULT 0,
+      failed INTEGER NOT NULL DEFAULT 0,
+      report TEXT,
+      error TEXT,
+      started_at DATETIME NOT NULL,
+      finished_at DATETIME
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started_at ON reconciliation_runs(started_at)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS reconciliation_runs'
+  ]
+};
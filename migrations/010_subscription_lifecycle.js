@@ -0,0 +1,17 @@
+// Trial, scheduled cancellation, pause and dunning state for subscriptions
+const COLUMNS = [
+  ['trial_end', 'DATETIME'],
+  ['cancel_at_period_end', 'INTEGER NOT NULL DEFAULT 0'],
+  ['canceled_at', 'DATETIME'],
+  ['pause_collection', 'TEXT'],
+  ['pause_resumes_at', 'DATETIME'],
+  ['grace_period_ends_at', 'DATETIME']
+];
+
+module.exports = {
+  name: 'subscription_lifecycle',
+
+  up: COLUMNS.map(([column, type]) => `ALTER TABLE user_subscriptions ADD COLUMN ${column} ${type}`),
+
+  down: COLUMNS.map(([column]) => `ALTER TABLE user_subscriptions DROP COLUMN ${column}`).reverse()
+};
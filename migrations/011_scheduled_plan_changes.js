@@ -0,0 +1,15 @@
+// Plan changes scheduled for the end of the billing period through a Stripe subscription schedule
+const COLUMNS = [
+  ['stripe_schedule_id', 'TEXT'],
+  ['scheduled_plan_type', 'TEXT'],
+  ['scheduled_price_id', 'TEXT'],
+  ['scheduled_change_at', 'DATETIME']
+];
+
+module.exports = {
+  name: 'scheduled_plan_changes',
+
+  up: COLUMNS.map(([column, type]) => `ALTER TABLE user_subscriptions ADD COLUMN ${column} ${type}`),
+
+  down: COLUMNS.map(([column]) => `ALTER TABLE user_subscriptions DROP COLUMN ${column}`).reverse()
+};
@@ -0,0 +1,42 @@
+// Referral codes, referrals between users and bonus usage allowances
+module.exports = {
+  name: 'referrals',
+
+  up: [
+    'ALTER TABLE users ADD COLUMN referral_code TEXT',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_referral_code ON users(referral_code)',
+    `CREATE TABLE IF NOT EXISTS referrals (
+      id TEXT PRIMARY KEY,
+      referrer_id TEXT NOT NULL,
+      referred_id TEXT NOT NULL UNIQUE,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'rewarding', 'rewarded')),
+      referrer_reward TEXT,
+      referred_reward TEXT,
+      reward_invoice_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      rewarded_at DATETIME,
+      FOREIGN KEY (referrer_id) REFERENCES users (id),
+      FOREIGN KEY (referred_id) REFERENCES users (id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_referrals_referrer_id ON referrals(referrer_id)',
+    `CREATE TABLE IF NOT EXISTS usage_bonuses (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      feature_type TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      reason TEXT,
+      source_id TEXT,
+      expires_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_usage_bonuses_user_id ON usage_bonuses(user_id)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS usage_bonuses',
+    'DROP TABLE IF EXISTS referrals',
+    'DROP INDEX IF EXISTS idx_users_referral_code',
+    'ALTER TABLE users DROP COLUMN referral_code'
+  ]
+};
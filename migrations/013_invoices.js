@@ -0,0 +1,38 @@
+// Invoices and payment attempts copied from Stripe invoice webhooks
+module.exports = {
+  name: 'invoices',
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS invoices (
+      id TEXT PRIMARY KEY,
+      stripe_invoice_id TEXT NOT NULL UNIQUE,
+      user_id TEXT,
+      stripe_customer_id TEXT,
+      stripe_subscription_id TEXT,
+      number TEXT,
+      status TEXT NOT NULL CHECK (status IN ('draft', 'open', 'paid', 'uncollectible', 'void')),
+      billing_reason TEXT,
+      currency TEXT NOT NULL,
+      amount_due INTEGER NOT NULL DEFAULT 0,
+      amount_paid INTEGER NOT NULL DEFAULT 0,
+      amount_remaining INTEGER NOT NULL DEFAULT 0,
+      hosted_invoice_url TEXT,
+      invoice_pdf TEXT,
+      period_start DATETIME,
+      period_end DATETIME,
+      attempt_count INTEGER NOT NULL DEFAULT 0,
+      failure_reason TEXT,
+      next_payment_attempt DATETIME,
+      paid_at DATETIME,
+      invoice_created_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_invoices_user_created ON invoices(user_id, invoice_created_at)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS invoices'
+  ]
+};
@@ -0,0 +1,59 @@
+// Notifications with their per-channel delivery queue, user preferences and webhook endpoints
+module.exports = {
+  name: 'notifications',
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS notifications (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT NOT NULL,
+      data TEXT,
+      dedupe_key TEXT NOT NULL UNIQUE,
+      in_app INTEGER NOT NULL DEFAULT 1,
+      read_at DATETIME,
+      created_at DATETIME NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at)',
+    `CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id TEXT PRIMARY KEY,
+      notification_id TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at DATETIME NOT NULL,
+      locked_at DATETIME,
+      sent_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (notification_id, channel),
+      FOREIGN KEY (notification_id) REFERENCES notifications (id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due ON notification_deliveries(status, next_attempt_at)',
+    `CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      enabled INTEGER NOT NULL,
+      updated_at DATETIME,
+      PRIMARY KEY (user_id, type, channel),
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS notification_webhooks (
+      user_id TEXT PRIMARY KEY,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      updated_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS notification_webhooks',
+    'DROP TABLE IF EXISTS notification_preferences',
+    'DROP TABLE IF EXISTS notification_deliveries',
+    'DROP TABLE IF EXISTS notifications'
+  ]
+};
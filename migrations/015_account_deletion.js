@@ -0,0 +1,20 @@
+// Account deletion requests with an undo window, and the marker left once an account is purged
+module.exports = {
+  name: 'account_deletion',
+
+  up: [
+    'ALTER TABLE users ADD COLUMN deletion_requested_at DATETIME',
+    'ALTER TABLE users ADD COLUMN deletion_scheduled_for DATETIME',
+    'ALTER TABLE users ADD COLUMN deletion_canceled_renewal INTEGER NOT NULL DEFAULT 0',
+    'ALTER TABLE users ADD COLUMN deleted_at DATETIME',
+    'CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for ON users(deletion_scheduled_for)'
+  ],
+
+  down: [
+    'DROP INDEX IF EXISTS idx_users_deletion_scheduled_for',
+    'ALTER TABLE users DROP COLUMN deleted_at',
+    'ALTER TABLE users DROP COLUMN deletion_canceled_renewal',
+    'ALTER TABLE users DROP COLUMN deletion_scheduled_for',
+    'ALTER TABLE users DROP COLUMN deletion_requested_at'
+  ]
+};
@@ -0,0 +1,37 @@
+// OpenID Connect sign-in: provider accounts linked to users, and pending authorization requests
+module.exports = {
+  name: 'linked_identities',
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS linked_identities (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      email TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_login_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      UNIQUE(provider, subject)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_linked_identities_user_id ON linked_identities(user_id)',
+    `CREATE TABLE IF NOT EXISTS oauth_states (
+      id TEXT PRIMARY KEY,
+      state_hash TEXT UNIQUE NOT NULL,
+      provider TEXT NOT NULL,
+      purpose TEXT NOT NULL CHECK (purpose IN ('login', 'link')),
+      user_id TEXT,
+      code_verifier TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      redirect_uri TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_oauth_states_expires_at ON oauth_states(expires_at)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS oauth_states',
+    'DROP TABLE IF EXISTS linked_identities'
+  ]
+};
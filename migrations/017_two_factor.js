@@ -0,0 +1,26 @@
+// TOTP two-factor authentication: the encrypted secret on users, plus one-time recovery codes
+module.exports = {
+  name: 'two_factor',
+
+  up: [
+    'ALTER TABLE users ADD COLUMN totp_secret TEXT',
+    'ALTER TABLE users ADD COLUMN totp_enabled_at DATETIME',
+    'ALTER TABLE users ADD COLUMN totp_last_used_step INTEGER',
+    `CREATE TABLE IF NOT EXISTS recovery_codes (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      UNIQUE(user_id, code_hash)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS recovery_codes',
+    'ALTER TABLE users DROP COLUMN totp_last_used_step',
+    'ALTER TABLE users DROP COLUMN totp_enabled_at',
+    'ALTER TABLE users DROP COLUMN totp_secret'
+  ]
+};
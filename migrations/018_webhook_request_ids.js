@@ -0,0 +1,12 @@
+// The request that last delivered or replayed each webhook event, to find its log entries
+module.exports = {
+  name: 'webhook_request_ids',
+
+  up: [
+    'ALTER TABLE webhook_events ADD COLUMN request_id TEXT'
+  ],
+
+  down: [
+    'ALTER TABLE webhook_events DROP COLUMN request_id'
+  ]
+};
@@ -0,0 +1,100 @@
+// State for the simulated "local" billing provider (BILLING_PROVIDER=local). Times are
+// seconds since the epoch on the provider's own clock, as in Stripe objects.
+module.exports = {
+  name: 'local_billing',
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS local_billing_clock (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      offset_seconds INTEGER NOT NULL DEFAULT 0
+    )`,
+    `CREATE TABLE IF NOT EXISTS local_billing_customers (
+      id TEXT PRIMARY KEY,
+      email TEXT,
+      name TEXT,
+      metadata TEXT,
+      card TEXT NOT NULL DEFAULT 'succeeds',
+      balance INTEGER NOT NULL DEFAULT 0,
+      created INTEGER NOT NULL,
+      deleted_at INTEGER
+    )`,
+    `CREATE TABLE IF NOT EXISTS local_billing_checkout_sessions (
+      id TEXT PRIMARY KEY,
+      customer_id TEXT NOT NULL,
+      client_reference_id TEXT,
+      price_id TEXT NOT NULL,
+      trial_days INTEGER NOT NULL DEFAULT 0,
+      metadata TEXT,
+      success_url TEXT NOT NULL,
+      cancel_url TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      subscription_id TEXT,
+      created INTEGER NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS local_billing_portal_sessions (
+      id TEXT PRIMARY KEY,
+      customer_id TEXT NOT NULL,
+      return_url TEXT NOT NULL,
+      created INTEGER NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS local_billing_subscriptions (
+      id TEXT PRIMARY KEY,
+      customer_id TEXT NOT NULL,
+      price_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      metadata TEXT,
+      current_period_start INTEGER NOT NULL,
+      current_period_end INTEGER NOT NULL,
+      trial_end INTEGER,
+      cancel_at_period_end INTEGER NOT NULL DEFAULT 0,
+      canceled_at INTEGER,
+      schedule_id TEXT,
+      scheduled_price_id TEXT,
+      trial_will_end_sent INTEGER NOT NULL DEFAULT 0,
+      upcoming_sent_for INTEGER,
+      created INTEGER NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS local_billing_invoices (
+      id TEXT PRIMARY KEY,
+      customer_id TEXT NOT NULL,
+      subscription_id TEXT,
+      status TEXT NOT NULL,
+      billing_reason TEXT,
+      currency TEXT NOT NULL,
+      amount_due INTEGER NOT NULL,
+      amount_paid INTEGER NOT NULL DEFAULT 0,
+      period_start INTEGER,
+      period_end INTEGER,
+      attempt_count INTEGER NOT NULL DEFAULT 0,
+      next_payment_attempt INTEGER,
+      failure_reason TEXT,
+      paid_at INTEGER,
+      created INTEGER NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS local_billing_events (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      created INTEGER NOT NULL,
+      delivery_status INTEGER,
+      delivery_error TEXT,
+      delivered_at DATETIME
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_local_billing_subscriptions_customer ON local_billing_subscriptions(customer_id)',
+    'CREATE INDEX IF NOT EXISTS idx_local_billing_invoices_subscription ON local_billing_invoices(subscription_id)',
+    'CREATE INDEX IF NOT EXISTS idx_local_billing_events_created ON local_billing_events(created)'
+  ],
+
+  down: [
+    'DROP INDEX IF EXISTS idx_local_billing_events_created',
+    'DROP INDEX IF EXISTS idx_local_billing_invoices_subscription',
+    'DROP INDEX IF EXISTS idx_local_billing_subscriptions_customer',
+    'DROP TABLE IF EXISTS local_billing_events',
+    'DROP TABLE IF EXISTS local_billing_invoices',
+    'DROP TABLE IF EXISTS local_billing_subscriptions',
+    'DROP TABLE IF EXISTS local_billing_portal_sessions',
+    'DROP TABLE IF EXISTS local_billing_checkout_sessions',
+    'DROP TABLE IF EXISTS local_billing_customers',
+    'DROP TABLE IF EXISTS local_billing_clock'
+  ]
+};
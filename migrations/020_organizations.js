@@ -0,0 +1,72 @@
+// Organizations share their owner's subscription with their members. Plans say how
+// many seats they allow (-1 = unlimited) and whether members' usage is limited per
+// seat or drawn from one pool for the whole organization.
+module.exports = {
+  name: 'organizations',
+
+  up: [
+    'ALTER TABLE plans ADD COLUMN max_seats INTEGER NOT NULL DEFAULT 1',
+    "ALTER TABLE plans ADD COLUMN usage_pooling TEXT NOT NULL DEFAULT 'per_seat' CHECK (usage_pooling IN ('per_seat', 'pooled'))",
+    'ALTER TABLE user_subscriptions ADD COLUMN seat_quantity INTEGER NOT NULL DEFAULT 1',
+    `CREATE TABLE IF NOT EXISTS organizations (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      owner_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (owner_id) REFERENCES users (id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_organizations_owner_id ON organizations(owner_id)',
+    // A user belongs to at most one organization
+    `CREATE TABLE IF NOT EXISTS organization_members (
+      id TEXT PRIMARY KEY,
+      organization_id TEXT NOT NULL,
+      user_id TEXT UNIQUE NOT NULL,
+      role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations (id),
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_organization_members_organization_id ON organization_members(organization_id)',
+    `CREATE TABLE IF NOT EXISTS organization_invitations (
+      id TEXT PRIMARY KEY,
+      organization_id TEXT NOT NULL,
+      email TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      invited_by TEXT,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+      expires_at DATETIME NOT NULL,
+      responded_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations (id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_organization_invitations_organization ON organization_invitations(organization_id, status)',
+    // Shared counters for pooled plans, alongside each member's own user_usage counter
+    `CREATE TABLE IF NOT EXISTS organization_usage (
+      id TEXT PRIMARY KEY,
+      organization_id TEXT NOT NULL,
+      feature_type TEXT NOT NULL,
+      usage_count INTEGER DEFAULT 0,
+      period_start DATETIME NOT NULL,
+      period_end DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations (id),
+      UNIQUE(organization_id, feature_type, period_start)
+    )`,
+    'ALTER TABLE local_billing_checkout_sessions ADD COLUMN quantity INTEGER NOT NULL DEFAULT 1',
+    'ALTER TABLE local_billing_subscriptions ADD COLUMN quantity INTEGER NOT NULL DEFAULT 1'
+  ],
+
+  down: [
+    'ALTER TABLE local_billing_subscriptions DROP COLUMN quantity',
+    'ALTER TABLE local_billing_checkout_sessions DROP COLUMN quantity',
+    'DROP TABLE IF EXISTS organization_usage',
+    'DROP TABLE IF EXISTS organization_invitations',
+    'DROP TABLE IF EXISTS organization_members',
+    'DROP TABLE IF EXISTS organizations',
+    'ALTER TABLE user_subscriptions DROP COLUMN seat_quantity',
+    'ALTER TABLE plans DROP COLUMN usage_pooling',
+    'ALTER TABLE plans DROP COLUMN max_seats'
+  ]
+};
@@ -0,0 +1,26 @@
+// API keys for internal services that act on users' behalf. Only a hash of each key is
+// stored; the prefix identifies a key in listings and logs.
+module.exports = {
+  name: 'api_keys',
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      prefix TEXT UNIQUE NOT NULL,
+      key_hash TEXT UNIQUE NOT NULL,
+      scopes TEXT NOT NULL,
+      created_by TEXT,
+      rotated_from TEXT,
+      expires_at DATETIME,
+      last_used_at DATETIME,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS api_keys'
+  ]
+};
@@ -0,0 +1,27 @@
+// Email addresses are matched without regard to case. Accounts whose addresses only
+// differed in case are kept apart by renaming all but one of them: the verified,
+// then the oldest, account keeps the address and the others get
+// <address>.duplicate-<id>, so support can still find and merge them.
+module.exports = {
+  name: 'case_insensitive_emails',
+
+  up: [
+    `UPDATE users SET email = LOWER(email) || '.duplicate-' || id
+     WHERE id IN (
+       SELECT id FROM (
+         SELECT id, ROW_NUMBER() OVER (
+           PARTITION BY LOWER(email)
+           ORDER BY CASE WHEN email_verified_at IS NULL THEN 1 ELSE 0 END, created_at, id
+         ) AS position
+         FROM users
+       ) ranked
+       WHERE position > 1
+     )`,
+    'UPDATE users SET email = LOWER(email) WHERE email <> LOWER(email)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_lower ON users (LOWER(email))'
+  ],
+
+  down: [
+    'DROP INDEX IF EXISTS idx_users_email_lower'
+  ]
+};
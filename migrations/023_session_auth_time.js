@@ -0,0 +1,13 @@
+// When the user last signed in to a session family. Refreshing keeps it, so changes
+// that need a recent sign-in can tell a new sign-in from a long-lived session.
+module.exports = {
+  name: 'session_auth_time',
+
+  up: [
+    'ALTER TABLE sessions ADD COLUMN authenticated_at DATETIME'
+  ],
+
+  down: [
+    'ALTER TABLE sessions DROP COLUMN authenticated_at'
+  ]
+};
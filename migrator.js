@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Load migration files named NNN_description.js in version order
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return {
+        version: file.split('_')[0],
+        name: migration.name || path.basename(file, '.js'),
+        up: migration.up,
+        down: migration.down || []
+      };
+    });
+}
+
+class Migrator {
+  constructor(db, { log = console.log } = {}) {
+    this.db = db;
+    this.log = log;
+  }
+
+  async ensureTable() {
+    await this.db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+
+  async status() {
+    await this.ensureTable();
+    const applied = await this.db.all('SELECT * FROM schema_migrations ORDER BY version');
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    return loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedByVersion.has(migration.version),
+      applied_at: appliedByVersion.get(migration.version)?.applied_at || null
+    }));
+  }
+
+  // Apply pending migrations, optionally stopping at a target version
+  async up({ to, dryRun = false } = {}) {
+    const status = await this.status();
+    const pending = status.filter(row => !row.applied && (!to || row.version <= to));
+    const migrations = loadMigrations();
+    const applied = [];
+
+    for (const row of pending) {
+      const migration = migrations.find(m => m.version === row.version);
+      await this.apply(migration, 'up', dryRun);
+      applied.push(migration.version);
+    }
+
+    return applied;
+  }
+
+  // Roll back the most recently applied migrations
+  async down({ steps = 1, dryRun = false } = {}) {
+    const status = await this.status();
+    const applied = status.filter(row => row.applied).reverse().slice(0, steps);
+    const migrations = loadMigrations();
+    const rolledBack = [];
+
+    for (const row of applied) {
+      const migration = migrations.find(m => m.version === row.version);
+      await this.apply(migration, 'down', dryRun);
+      rolledBack.push(migration.version);
+    }
+
+    return rolledBack;
+  }
+
+  async apply(migration, direction, dryRun) {
+    const statements = migration[direction];
+    const label = `${migration.version}_${migration.name} (${direction})`;
+
+    if (dryRun) {
+      this.log(`-- ${label}`);
+      statements.forEach(sql => this.log(`${sql};\n`));
+      return;
+    }
+
+    await this.db.transaction(async (tx) => {
+      for (const sql of statements) {
+        await tx.run(sql);
+      }
+
+      if (direction === 'up') {
+        await tx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      } else {
+        await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+    });
+
+    this.log('Migration applied', { migration: label });
+  }
+}
+
+module.exports = { Migrator, loadMigrations };
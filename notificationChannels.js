@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { sendMail } = require('./mailer');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS || '5000', 10);
+
+// Addresses a user's webhook must not reach: the server itself and its private network
+const PRIVATE_ADDRESSES = new net.BlockList();
+PRIVATE_ADDRESSES.addSubnet('0.0.0.0', 8);
+PRIVATE_ADDRESSES.addSubnet('10.0.0.0', 8);
+PRIVATE_ADDRESSES.addSubnet('100.64.0.0', 10);
+PRIVATE_ADDRESSES.addSubnet('127.0.0.0', 8);
+PRIVATE_ADDRESSES.addSubnet('169.254.0.0', 16);
+PRIVATE_ADDRESSES.addSubnet('172.16.0.0', 12);
+PRIVATE_ADDRESSES.addSubnet('192.168.0.0', 16);
+PRIVATE_ADDRESSES.addAddress('::', 'ipv6');
+PRIVATE_ADDRESSES.addAddress('::1', 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+// NOTIFICATION_WEBHOOK_ALLOW_INSECURE=true allows http and local endpoints while
+// developing; it is ignored in production
+function insecureWebhooksAllowed() {
+  return process.env.NOTIFICATION_WEBHOOK_ALLOW_INSECURE === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+// Why a webhook URL can't be used, or null. Checked when the URL is saved and again
+// before every delivery, since its host may resolve somewhere else by then.
+async function checkWebhookUrl(value) {
+  const url = new URL(value);
+  const allowInsecure = insecureWebhooksAllowed();
+
+  if (url.protocol !== 'https:' && !(allowInsecure && url.protocol === 'http:')) {
+    return 'must use https';
+  }
+  if (allowInsecure) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+  } catch (error) {
+    return 'host could not be resolved';
+  }
+
+  const isPrivate = ({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  return addresses.some(isPrivate) ? 'must not point at a private or local address' : null;
+}
+
+// Channels implement send(notification, recipient) and throw to have the delivery
+// retried. The in-app inbox reads the notifications table, so it has no channel.
+const channels = {
+  email: {
+    async send(notification, recipient) {
+      const link = notification.data?.link;
+      await sendMail({
+        to: recipient.email,
+        subject: notification.title,
+        text: `${notification.body}${link ? `\n\n${link}` : ''}\n\n` +
+          `Manage notifications: ${process.env.FRONTEND_URL}/settings/notifications`
+      });
+    }
+  },
+
+  // POSTs the notification as JSON, signed like Stripe's webhooks:
+  // MindQuest-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">
+  webhook: {
+    async send(notification, recipient) {
+      if (!recipient.webhook) {
+        throw new Error('No webhook endpoint configured');
+      }
+
+      const problem = await checkWebhookUrl(recipient.webhook.url);
+      if (problem) {
+        throw new Error(`Webhook endpoint ${problem}`);
+      }
+
+      const body = JSON.stringify({
+        id: notification.id,
+        type: notification.type,
+        title: notification.title,
+        body: notification.body,
+        data: notification.data,
+        created_at: notification.created_at
+      });
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = crypto.createHmac('sha256', recipient.webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+
+      const response = await fetch(recipient.webhook.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'MindQuest-Signature': `t=${timestamp},v1=${signature}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook endpoint responded with ${response.status}`);
+      }
+    }
+  }
+};
+
+// Add or replace a channel, e.g. SMS or push
+function registerChannel(name, channel) {
+  channels[name] = channel;
+}
+
+function getChannel(name) {
+  return channels[name] || null;
+}
+
+// Every channel a user can choose, including the in-app inbox
+function getChannelNames() {
+  return ['in_app', ...Object.keys(channels)];
+}
+
+module.exports = { registerChannel, getChannel, getChannelNames, checkWebhookUrl };
@@ -0,0 +1,82 @@
+// Each notification type renders an event payload into a title, body and optional
+// link, and lists the channels it is sent on unless the user opts out
+function formatAmount(amount, currency = 'usd') {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(amount / 100);
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function featureLabel(feature) {
+  return feature.replace(/_/g, ' ');
+}
+
+function frontendLink(path) {
+  return `${process.env.FRONTEND_URL}${path}`;
+}
+
+const TEMPLATES = {
+  payment_failed: {
+    description: 'A subscription payment failed',
+    channels: ['in_app', 'email', 'webhook'],
+    render: data => ({
+      title: 'Your payment failed',
+      body: `We couldn't collect ${formatAmount(data.amount, data.currency)} for your MindQuest subscription` +
+        `${data.failureReason ? `: ${data.failureReason.replace(/\.$/, '')}.` : '.'} Update your payment method to keep your plan.`,
+      link: data.invoiceUrl || frontendLink('/subscription')
+    })
+  },
+
+  trial_ending: {
+    description: 'A free trial is about to end',
+    channels: ['in_app', 'email', 'webhook'],
+    render: data => ({
+      title: 'Your trial ends soon',
+      body: `Your MindQuest trial ends on ${formatDate(data.trialEnd)}. Add a payment method to keep your plan.`,
+      link: frontendLink('/subscription')
+    })
+  },
+
+  renewal_upcoming: {
+    description: 'A subscription is about to renew',
+    channels: ['in_app', 'webhook'],
+    render: data => ({
+      title: 'Your subscription renews soon',
+      body: `Your MindQuest subscription renews on ${formatDate(data.renewsAt)} for ${formatAmount(data.amount, data.currency)}.`,
+      link: frontendLink('/subscription')
+    })
+  },
+
+  usage_warning: {
+    description: 'Usage of a feature reached 80% of the plan limit',
+    channels: ['in_app', 'email', 'webhook'],
+    render: data => ({
+      title: `You've used ${data.threshold}% of your ${featureLabel(data.feature)}`,
+      body: `You've used ${data.used} of ${data.limit} ${featureLabel(data.feature)} this period. ` +
+        `Your usage resets on ${formatDate(data.periodEnd)}.`,
+      link: frontendLink('/subscription')
+    })
+  },
+
+  usage_limit_reached: {
+    description: 'Usage of a feature reached the plan limit',
+    channels: ['in_app', 'email', 'webhook'],
+    render: data => ({
+      title: `You've reached your ${featureLabel(data.feature)} limit`,
+      body: `You've used all ${data.limit} ${featureLabel(data.feature)} for this period. ` +
+        `Upgrade your plan or wait until ${formatDate(data.periodEnd)}.`,
+      link: frontendLink('/subscription')
+    })
+  }
+};
+
+function getTemplate(type) {
+  return TEMPLATES[type] || null;
+}
+
+function getTypes() {
+  return Object.keys(TEMPLATES);
+}
+
+module.exports = { TEMPLATES, getTemplate, getTypes };
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const db = require('../database');
+const notifier = require('../notifier');
+const templates = require('../notificationTemplates');
+const notificationChannels = require('../notificationChannels');
+const { ApiError, asyncHandler } = require('../errors');
+const { validate, rules } = require('../validation');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+function toPublicNotification(notification) {
+  return {
+    id: notification.id,
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    data: notification.data ? JSON.parse(notification.data) : null,
+    read: Boolean(notification.read_at),
+    read_at: notification.read_at,
+    created_at: notification.created_at
+  };
+}
+
+async function getPreferences(userId) {
+  const types = [];
+  for (const type of templates.getTypes()) {
+    const enabled = await notifier.enabledChannels(userId, type);
+    const channels = {};
+    notificationChannels.getChannelNames().forEach(channel => {
+      channels[channel] = enabled.includes(channel);
+    });
+    types.push({ type, description: templates.getTemplate(type).description, channels });
+  }
+
+  const webhook = await db.getNotificationWebhook(userId);
+  return {
+    types,
+    webhook: webhook ? { url: webhook.url, secret: webhook.secret } : null
+  };
+}
+
+// In-app inbox, newest first
+router.get('/', validate({
+  query: { ...rules.pagination, unread: { type: 'boolean', default: false } }
+}), asyncHandler(async (req, res) => {
+  const { unread, limit, offset } = req.query;
+  const notifications = await db.getInboxNotifications(req.user.userId, { unreadOnly: unread, limit, offset });
+
+  res.json({
+    notifications: notifications.map(toPublicNotification),
+    unreadCount: await db.countUnreadNotifications(req.user.userId),
+    limit,
+    offset
+  });
+}));
+
+router.post('/read-all', asyncHandler(async (req, res) => {
+  const result = await db.markAllNotificationsRead(req.user.userId);
+
+  res.json({ updated: result.changes });
+}));
+
+router.post('/:id/read', validate({ params: { id: rules.uuid } }), asyncHandler(async (req, res) => {
+  const result = await db.markNotificationRead(req.user.userId, req.params.id);
+  if (result.changes === 0) {
+    throw new ApiError(404, 'Notification not found');
+  }
+
+  res.json({ message: 'Notification marked as read' });
+}));
+
+// Which channels each notification type is sent on
+router.get('/preferences', asyncHandler(async (req, res) => {
+  res.json(await getPreferences(req.user.userId));
+}));
+
+// Update channel choices, e.g. { preferences: { usage_warning: { email: false } } },
+// and set or remove (null) the webhook endpoint. A new endpoint gets a new secret.
+router.put('/preferences', validate({
+  body: {
+    preferences: { type: 'object', default: {}, values: { type: 'object', required: true, values: { type: 'boolean', required: true } } },
+    webhookUrl: { type: 'string', format: 'url', maxLength: 2048, nullable: true }
+  }
+}), asyncHandler(async (req, res) => {
+  const { preferences, webhookUrl } = req.body;
+  const channelNames = notificationChannels.getChannelNames();
+
+  Object.entries(preferences).forEach(([type, channels]) => {
+    if (!templates.getTemplate(type)) {
+      throw new ApiError(400, `Unknown notification type: ${type}`, { code: 'UNKNOWN_NOTIFICATION_TYPE' });
+    }
+    Object.keys(channels).forEach(channel => {
+      if (!channelNames.includes(channel)) {
+        throw new ApiError(400, `Unknown notification channel: ${channel}`, { code: 'UNKNOWN_NOTIFICATION_CHANNEL' });
+      }
+    });
+  });
+
+  if (webhookUrl) {
+    const problem = await notificationChannels.checkWebhookUrl(webhookUrl);
+    if (problem) {
+      throw new ApiError(400, `Invalid request: webhookUrl ${problem}`, {
+        code: 'VALIDATION_ERROR',
+        details: [{ field: 'webhookUrl', location: 'body', message: problem }]
+      });
+    }
+  }
+
+  for (const [type, channels] of Object.entries(preferences)) {
+    for (const [channel, enabled] of Object.entries(channels)) {
+      await db.setNotificationPreference(req.user.userId, type, channel, enabled);
+    }
+  }
+
+  if (webhookUrl === null) {
+    await db.deleteNotificationWebhook(req.user.userId);
+  } else if (webhookUrl !== undefined) {
+    const existing = await db.getNotificationWebhook(req.user.userId);
+    if (!existing || existing.url !== webhookUrl) {
+      await db.setNotificationWebhook(req.user.userId, webhookUrl, `whsec_${crypto.randomBytes(24).toString('hex')}`);
+    }
+  }
+
+  res.json(await getPreferences(req.user.userId));
+}));
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const db = require('./database');
+const eventBus = require('./eventBus');
+const templates = require('./notificationTemplates');
+const notificationChannels = require('./notificationChannels');
+const { scheduleJob } = require('./jobs');
+const { logger } = require('./logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5', 10);
+const QUEUE_INTERVAL_MINUTES = parseInt(process.env.NOTIFICATION_QUEUE_INTERVAL_MINUTES || '1', 10);
+const RETRY_BASE_MS = 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Domain events and the notification type each one produces
+const EVENT_TYPES = {
+  'billing.payment_failed': () => 'payment_failed',
+  'billing.trial_ending': () => 'trial_ending',
+  'billing.renewal_upcoming': () => 'renewal_upcoming',
+  'usage.threshold_reached': payload => (payload.data.threshold >= 100 ? 'usage_limit_reached' : 'usage_warning')
+};
+
+// Channels a notification type goes out on for this user: their stored choice,
+// otherwise the template default. Webhooks also need an endpoint.
+async function enabledChannels(userId, type) {
+  const template = templates.getTemplate(type);
+  const preferences = await db.getNotificationPreferences(userId);
+  const webhook = await db.getNotificationWebhook(userId);
+
+  return notificationChannels.getChannelNames().filter(channel => {
+    if (channel === 'webhook' && !webhook) return false;
+    const preference = preferences.find(row => row.type === type && row.channel === channel);
+    return preference ? Boolean(preference.enabled) : template.channels.includes(channel);
+  });
+}
+
+// Create a notification and queue it on the user's channels. dedupeKey identifies
+// the underlying event, so publishing the same event twice notifies once.
+async function notify(type, { userId, dedupeKey, data = {} }) {
+  const template = templates.getTemplate(type);
+  if (!template) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const channels = await enabledChannels(userId, type);
+  if (channels.length === 0) {
+    return null;
+  }
+
+  const { title, body, link } = template.render(data);
+  const notification = await db.createNotification({
+    userId,
+    type,
+    title,
+    body,
+    data: { ...data, link },
+    dedupeKey: `${type}:${userId}:${dedupeKey}`,
+    inApp: channels.includes('in_app')
+  }, channels.filter(channel => channel !== 'in_app'));
+
+  if (!notification) {
+    logger.info('Skipping duplicate notification', { type, userId, dedupeKey });
+    return null;
+  }
+
+  // Send right away rather than waiting for the next queue run
+  setImmediate(() => {
+    processQueue().catch(error => logger.error('Notification queue failed', { error }));
+  });
+
+  return notification;
+}
+
+function backoff(attempts) {
+  return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+async function deliver(delivery) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_LOCK_MS).toISOString();
+
+  const claim = await db.claimNotificationDelivery(delivery.id, now.toISOString(), staleBefore);
+  if (claim.changes === 0) {
+    return null;
+  }
+
+  const attempts = delivery.attempts + 1;
+
+  try {
+    const channel = notificationChannels.getChannel(delivery.channel);
+    if (!channel) {
+      throw new Error(`Unknown notification channel: ${delivery.channel}`);
+    }
+
+    const user = await db.getUserById(delivery.user_id);
+    if (!user) {
+      throw new Error(`User ${delivery.user_id} not found`);
+    }
+
+    await channel.send({
+      id: delivery.notification_id,
+      type: delivery.type,
+      title: delivery.title,
+      body: delivery.body,
+      data: delivery.data ? JSON.parse(delivery.data) : null,
+      created_at: delivery.notification_created_at
+    }, {
+      email: user.email,
+      name: user.name,
+      webhook: await db.getNotificationWebhook(user.id)
+    });
+
+    await db.updateNotificationDelivery(delivery.id, {
+      status: 'sent',
+      attempts,
+      last_error: null,
+      locked_at: null,
+      sent_at: new Date().toISOString()
+    });
+    return 'sent';
+  } catch (error) {
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    logger.warn('Notification delivery failed', { channel: delivery.channel, deliveryId: delivery.id, attempts, error });
+
+    await db.updateNotificationDelivery(delivery.id, {
+      status: exhausted ? 'failed' : 'pending',
+      attempts,
+      last_error: error.message,
+      locked_at: null,
+      next_attempt_at: new Date(Date.now() + backoff(attempts)).toISOString()
+    });
+    return exhausted ? 'failed' : 'retrying';
+  }
+}
+
+async function drainQueue() {
+  const now = new Date();
+  const due = await db.getDueNotificationDeliveries(
+    now.toISOString(),
+    new Date(now.getTime() - STALE_LOCK_MS).toISOString(),
+    BATCH_SIZE
+  );
+
+  const results = { sent: 0, retrying: 0, failed: 0 };
+  for (const delivery of due) {
+    const result = await deliver(delivery);
+    if (result) results[result] += 1;
+  }
+  return results;
+}
+
+let draining = null;
+
+// Send due deliveries; concurrent calls share one run
+function processQueue() {
+  if (!draining) {
+    draining = drainQueue().finally(() => {
+      draining = null;
+    });
+  }
+  return draining;
+}
+
+// Subscribe to domain events and start the retry queue. Returns the queue job.
+function start() {
+  Object.entries(EVENT_TYPES).forEach(([event, typeFor]) => {
+    eventBus.subscribe(event, payload => notify(typeFor(payload), payload));
+  });
+
+  return scheduleJob('notification-queue', QUEUE_INTERVAL_MINUTES * 60 * 1000, processQueue);
+}
+
+module.exports = { notify, processQueue, enabledChannels, start };
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+// Defaults for well-known providers; anything else needs OAUTH_<NAME>_ISSUER
+const PRESETS = {
+  google: {
+    displayName: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: ['openid', 'email', 'profile']
+  },
+  // Apple posts the callback when email is requested, so its redirect URL should be
+  // /api/auth/oauth/form-post, which relays the code to the frontend
+  apple: {
+    displayName: 'Apple',
+    issuer: 'https://appleid.apple.com',
+    scopes: ['openid', 'email', 'name'],
+    authorizationParams: { response_mode: 'form_post' }
+  }
+};
+
+const providers = new Map();
+const discoveryCache = new Map();
+const jwksCache = new Map();
+let loadedFromEnv = false;
+
+function defaultRedirectUrl() {
+  return process.env.OAUTH_REDIRECT_URL || `${process.env.FRONTEND_URL || 'http://localhost:5174'}/oauth/callback`;
+}
+
+// Add or replace a provider. clientSecret may be omitted for public clients.
+function registerProvider(name, config) {
+  const preset = PRESETS[name] || {};
+  const provider = {
+    name,
+    displayName: config.displayName || preset.displayName || name,
+    issuer: (config.issuer || preset.issuer || '').replace(/\/$/, ''),
+    clientId: config.clientId,
+    clientSecret: config.clientSecret || null,
+    scopes: config.scopes || preset.scopes || ['openid', 'email', 'profile'],
+    redirectUrl: config.redirectUrl || defaultRedirectUrl(),
+    authorizationParams: { ...preset.authorizationParams, ...config.authorizationParams }
+  };
+
+  if (!provider.issuer || !provider.clientId) {
+    throw new Error(`OAuth provider ${name} needs an issuer and a client ID`);
+  }
+
+  providers.set(name, provider);
+  discoveryCache.delete(name);
+  jwksCache.delete(name);
+  return provider;
+}
+
+// Providers listed in OAUTH_PROVIDERS, configured by OAUTH_<NAME>_* variables
+function loadFromEnv() {
+  if (loadedFromEnv) return;
+  loadedFromEnv = true;
+
+  (process.env.OAUTH_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach(name => {
+      const prefix = `OAUTH_${name.toUpperCase()}_`;
+      const env = key => process.env[prefix + key];
+
+      try {
+        registerProvider(name, {
+          displayName: env('DISPLAY_NAME'),
+          issuer: env('ISSUER'),
+          clientId: env('CLIENT_ID'),
+          clientSecret: env('CLIENT_SECRET'),
+          scopes: env('SCOPES') ? env('SCOPES').split(/[\s,]+/).filter(Boolean) : undefined,
+          redirectUrl: env('REDIRECT_URL')
+        });
+      } catch (error) {
+        logger.error('Sign-in provider is misconfigured and disabled', { provider: name, error });
+      }
+    });
+}
+
+function getProvider(name) {
+  loadFromEnv();
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new ApiError(404, `Unknown sign-in provider: ${name}`, { code: 'UNKNOWN_PROVIDER' });
+  }
+  return provider;
+}
+
+function listProviders() {
+  loadFromEnv();
+  return [...providers.values()].map(provider => ({ name: provider.name, displayName: provider.displayName }));
+}
+
+async function fetchJson(url, options) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw new ApiError(502, `Sign-in provider is unreachable: ${error.message}`, { code: 'OAUTH_PROVIDER_ERROR' });
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const reason = body && (body.error_description || body.error);
+    throw new ApiError(502, `Sign-in provider returned ${response.status}${reason ? `: ${reason}` : ''}`, {
+      code: 'OAUTH_PROVIDER_ERROR'
+    });
+  }
+  return body;
+}
+
+// The issuer's OpenID configuration, fetched once per provider
+async function discover(provider) {
+  if (!discoveryCache.has(provider.name)) {
+    const config = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(provider.name, config);
+  }
+  return discoveryCache.get(provider.name);
+}
+
+// The public key an ID token was signed with. Keys are cached and refetched when an
+// unknown key ID shows up, which is how providers rotate keys.
+async function getSigningKey(provider, kid) {
+  let keys = jwksCache.get(provider.name);
+  let jwk = keys && keys.find(key => key.kid === kid);
+
+  if (!jwk) {
+    const { jwks_uri: jwksUri } = await discover(provider);
+    keys = (await fetchJson(jwksUri)).keys || [];
+    jwksCache.set(provider.name, keys);
+    jwk = keys.find(key => key.kid === kid) || (!kid && keys.length === 1 ? keys[0] : null);
+  }
+
+  if (!jwk) {
+    throw new ApiError(401, 'ID token was signed with an unknown key', { code: 'INVALID_ID_TOKEN' });
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+module.exports = {
+  PRESETS,
+  defaultRedirectUrl,
+  registerProvider,
+  getProvider,
+  listProviders,
+  discover,
+  getSigningKey,
+  fetchJson
+};
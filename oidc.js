@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./database');
+const sessions = require('./sessions');
+const oauthProviders = require('./oauthProviders');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+const STATE_TTL_MINUTES = parseInt(process.env.OAUTH_STATE_TTL_MINUTES || '10', 10);
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function isEmailVerified(claims) {
+  // Apple sends the flag as a string
+  return claims.email_verified === true || claims.email_verified === 'true';
+}
+
+// Build the provider's authorization URL and remember the PKCE verifier and nonce.
+// purpose is 'login', or 'link' to attach the account to userId.
+async function startAuthorization(providerName, { purpose = 'login', userId = null } = {}) {
+  const provider = oauthProviders.getProvider(providerName);
+  const config = await oauthProviders.discover(provider);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await db.createOAuthState({
+    state_hash: sessions.hashToken(state),
+    provider: provider.name,
+    purpose,
+    user_id: userId,
+    code_verifier: codeVerifier,
+    nonce,
+    redirect_uri: provider.redirectUrl,
+    expires_at: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000).toISOString()
+  });
+
+  const url = new URL(config.authorization_endpoint);
+  Object.entries({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUrl,
+    scope: provider.scopes.join(' '),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    ...provider.authorizationParams
+  }).forEach(([key, value]) => url.searchParams.set(key, value));
+
+  return { provider: provider.name, authorizationUrl: url.toString(), expiresInMinutes: STATE_TTL_MINUTES };
+}
+
+async function verifyIdToken(provider, config, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new ApiError(401, 'Sign-in provider returned an invalid ID token', { code: 'INVALID_ID_TOKEN' });
+  }
+
+  const key = await oauthProviders.getSigningKey(provider, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: config.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    throw new ApiError(401, `Invalid ID token: ${error.message}`, { code: 'INVALID_ID_TOKEN' });
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new ApiError(401, 'Invalid ID token: nonce mismatch', { code: 'INVALID_ID_TOKEN' });
+  }
+  return claims;
+}
+
+// Exchange the authorization code and return the verified ID token claims
+async function completeAuthorization({ code, state }, purpose) {
+  const record = await db.consumeOAuthState(sessions.hashToken(state));
+  if (!record || record.purpose !== purpose || record.expires_at <= new Date().toISOString()) {
+    throw new ApiError(400, 'Sign-in request is invalid or has expired', { code: 'INVALID_OAUTH_STATE' });
+  }
+
+  const provider = oauthProviders.getProvider(record.provider);
+  const config = await oauthProviders.discover(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: record.redirect_uri,
+    client_id: provider.clientId,
+    code_verifier: record.code_verifier
+  });
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+
+  const tokens = await oauthProviders.fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', accept: 'application/json' },
+    body: params.toString()
+  });
+  if (!tokens.id_token) {
+    throw new ApiError(502, 'Sign-in provider did not return an ID token', { code: 'OAUTH_PROVIDER_ERROR' });
+  }
+
+  const claims = await verifyIdToken(provider, config, tokens.id_token, record.nonce);
+  return { provider: provider.name, claims, userId: record.user_id };
+}
+
+// Find or create the user for a provider account. Unknown accounts are matched to
+// existing users by verified email; otherwise a new password-less user is created.
+async function signIn(providerName, claims) {
+  const email = isEmailVerified(claims) ? claims.email : null;
+  const identity = await db.getLinkedIdentity(providerName, claims.sub);
+
+  if (identity) {
+    const user = await db.getUserById(identity.user_id);
+    if (!user || user.deleted_at) {
+      throw new ApiError(401, 'This account has been deleted', { code: 'ACCOUNT_DELETED' });
+    }
+    await db.touchLinkedIdentity(identity.id, claims.email);
+    return { user, created: false };
+  }
+
+  if (!email) {
+    throw new ApiError(400, 'The sign-in provider did not share a verified email address', { code: 'EMAIL_REQUIRED' });
+  }
+
+  let user = await db.getUserByEmail(email);
+  let created = false;
+
+  if (user && !user.email_verified_at) {
+    // Whoever registered this address never proved they own it, so their password
+    // must not keep working once the real owner signs in
+    await db.updateUser(user.id, {
+      password_hash: null,
+      email_verified_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    await sessions.revokeAllForUser(user.id, 'identity_linked');
+    user = await db.getUserById(user.id);
+  } else if (!user) {
+    const name = typeof claims.name === 'string' ? claims.name.slice(0, 100) : null;
+    user = await db.createUser(email, null, name);
+    await db.updateUser(user.id, { email_verified_at: new Date().toISOString() });
+    user = await db.getUserById(user.id);
+    created = true;
+  }
+
+  await db.createLinkedIdentity({ userId: user.id, provider: providerName, subject: claims.sub, email: claims.email || null });
+  logger.info('Linked sign-in provider account', { provider: providerName, userId: user.id });
+
+  return { user, created };
+}
+
+// Attach a provider account to a signed-in user
+async function linkIdentity(userId, providerName, claims) {
+  const existing = await db.getLinkedIdentity(providerName, claims.sub);
+  if (existing) {
+    if (existing.user_id !== userId) {
+      throw new ApiError(409, 'This account is already linked to another user', { code: 'IDENTITY_IN_USE' });
+    }
+    return existing;
+  }
+
+  const identity = await db.createLinkedIdentity({
+    userId,
+    provider: providerName,
+    subject: claims.sub,
+    email: claims.email || null
+  });
+  logger.info('Linked sign-in provider account', { provider: providerName, userId });
+  return identity;
+}
+
+// Users must keep at least one way to sign in
+async function unlinkIdentity(user, identityId) {
+  const identities = await db.getLinkedIdentities(user.id);
+  const identity = identities.find(item => item.id === identityId);
+  if (!identity) {
+    throw new ApiError(404, 'Linked account not found');
+  }
+
+  if (!user.password_hash && identities.length === 1) {
+    throw new ApiError(409, 'Set a password before unlinking your only sign-in method', { code: 'LAST_SIGN_IN_METHOD' });
+  }
+
+  await db.deleteLinkedIdentity(user.id, identity.id);
+  return identity;
+}
+
+function formatIdentity(identity) {
+  return {
+    id: identity.id,
+    provider: identity.provider,
+    email: identity.email,
+    createdAt: identity.created_at,
+    lastLoginAt: identity.last_login_at
+  };
+}
+
+module.exports = { startAuthorization, completeAuthorization, signIn, linkIdentity, unlinkIdentity, formatIdentity };
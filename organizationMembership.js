@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const db = require('./database');
+const planCatalog = require('./planCatalog');
+const { hashToken } = require('./sessions');
+const { sendMail } = require('./mailer');
+const { TokenError, frontendUrl } = require('./accountTokens');
+const { getBilling } = require('./billing');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.ORGANIZATION_INVITATION_TTL_DAYS || '7', 10);
+
+// Subscriptions that no longer bill, so there are no seats to sync
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+function isUniqueViolation(error) {
+  return /UNIQUE|duplicate key/i.test(String(error.message));
+}
+
+async function requireMembership(userId) {
+  const membership = await db.getOrganizationMembership(userId);
+  if (!membership) {
+    throw new ApiError(404, 'You are not in an organization', { code: 'NO_ORGANIZATION' });
+  }
+  return membership;
+}
+
+async function requireOwnership(userId) {
+  const membership = await requireMembership(userId);
+  if (membership.role !== 'owner') {
+    throw new ApiError(403, 'Only the organization owner can do this', { code: 'NOT_ORGANIZATION_OWNER' });
+  }
+  return db.getOrganization(membership.organization_id);
+}
+
+// Seats the owner's current plan allows, -1 for any number
+async function getSeatLimit(ownerId) {
+  const { plan } = await planCatalog.getOrganizationPlan(ownerId);
+  return plan.max_seats;
+}
+
+function assertSeatAvailable(maxSeats, usedSeats) {
+  if (maxSeats !== -1 && usedSeats >= maxSeats) {
+    throw new ApiError(409, 'Every seat on the plan is taken', {
+      code: 'SEAT_LIMIT_REACHED',
+      details: { maxSeats, usedSeats }
+    });
+  }
+}
+
+// Refuse a plan that cannot cover the members of the organization the user owns
+async function assertPlanCoversMembers(ownerId, plan) {
+  const organization = await db.getOwnedOrganization(ownerId);
+  if (!organization || plan.max_seats === -1) return;
+
+  const members = await db.countOrganizationMembers(organization.id);
+  if (members > plan.max_seats) {
+    throw new ApiError(409, `The ${plan.name} plan has ${plan.max_seats} seat(s) but your organization has ${members} members`, {
+      code: 'SEAT_LIMIT_EXCEEDED',
+      details: { maxSeats: plan.max_seats, members }
+    });
+  }
+}
+
+// Quantity a subscription to planKey bills for: one per member on team plans
+async function getSeatQuantity(ownerId, planKey) {
+  const plan = await db.getPlan(planKey);
+  const organization = await db.getOwnedOrganization(ownerId);
+  if (!plan || !organization || !planCatalog.isTeamPlan(plan)) {
+    return 1;
+  }
+  return db.countOrganizationMembers(organization.id);
+}
+
+// Bring the quantity on the user's subscription in line with their organization's
+// members. The membership change that called this has already happened, so a
+// billing failure is logged and the next change syncs again.
+async function syncSeats(userId, { billing = getBilling() } = {}) {
+  const subscription = await db.getUserSubscription(userId);
+  if (!subscription?.stripe_subscription_id || ENDED_STATUSES.includes(subscription.status)) {
+    return null;
+  }
+
+  const quantity = await getSeatQuantity(userId, subscription.plan_type);
+  if (quantity === subscription.seat_quantity) {
+    return quantity;
+  }
+
+  try {
+    await billing.updateQuantity(subscription.stripe_subscription_id, quantity);
+    await db.updateUserSubscription(userId, { seat_quantity: quantity, updated_at: new Date().toISOString() });
+    logger.info('Subscription seats synced', { userId, quantity });
+  } catch (error) {
+    logger.error('Subscription seat sync failed', { userId, quantity, error });
+  }
+  return quantity;
+}
+
+async function createOrganization(user, name) {
+  if (await db.getOrganizationMembership(user.id)) {
+    throw new ApiError(409, 'You are already in an organization', { code: 'ALREADY_IN_ORGANIZATION' });
+  }
+
+  let organization;
+  try {
+    organization = await db.createOrganization({ name, ownerId: user.id });
+  } catch (error) {
+    if (!isUniqueViolation(error)) throw error;
+    throw new ApiError(409, 'You are already in an organization', { code: 'ALREADY_IN_ORGANIZATION' });
+  }
+
+  await syncSeats(user.id);
+  logger.info('Organization created', { organizationId: organization.id, userId: user.id });
+  return organization;
+}
+
+// Remove every member and invitation, leaving the owner on their own plan
+async function deleteOrganization(organization) {
+  await db.deleteOrganization(organization.id);
+  await syncSeats(organization.owner_id);
+  logger.info('Organization deleted', { organizationId: organization.id });
+}
+
+// Email an invitation with accept and decline links. Pending invitations hold a
+// seat, and inviting the same address again replaces its earlier invitation.
+async function inviteMember(organization, inviter, email) {
+  const address = email.toLowerCase();
+
+  const members = await db.getOrganizationMembers(organization.id);
+  if (members.some(member => member.email.toLowerCase() === address)) {
+    throw new ApiError(409, 'That person is already a member', { code: 'ALREADY_MEMBER' });
+  }
+
+  const pending = await db.getPendingOrganizationInvitations(organization.id);
+  const heldSeats = members.length + pending.filter(invitation => invitation.email !== address).length;
+  assertSeatAvailable(await getSeatLimit(organization.owner_id), heldSeats);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.revokeOrganizationInvitations(organization.id, { email: address });
+  const invitation = await db.createOrganizationInvitation({
+    organizationId: organization.id,
+    email: address,
+    tokenHash: hashToken(token),
+    invitedBy: inviter.id,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  });
+
+  await sendMail({
+    to: address,
+    subject: `Join ${organization.name} on MindQuest`,
+    text: `${inviter.name || inviter.email} invited you to join ${organization.name} on MindQuest and share its plan.\n\nAccept the invitation:\n${frontendUrl('/organization-invitation/accept', token)}\n\nDecline it:\n${frontendUrl('/organization-invitation/decline', token)}\n\nThe invitation expires in ${INVITATION_TTL_DAYS} days. You'll need a MindQuest account with this email address to accept.`
+  });
+
+  logger.info('Organization invitation sent', { organizationId: organization.id, invitationId: invitation.id });
+  return invitation;
+}
+
+async function findInvitation(token) {
+  const invitation = await db.getOrganizationInvitationByHash(hashToken(token));
+
+  if (!invitation || invitation.status !== 'pending') {
+    throw new TokenError('Invalid or already used invitation');
+  }
+  if (invitation.expires_at <= new Date().toISOString()) {
+    throw new TokenError('Invitation has expired');
+  }
+  return invitation;
+}
+
+// Join the organization; the invitation must have been sent to the user's address
+async function acceptInvitation(token, user) {
+  const invitation = await findInvitation(token);
+  if (invitation.email !== user.email.toLowerCase()) {
+    throw new ApiError(403, 'This invitation was sent to a different email address', { code: 'INVITATION_EMAIL_MISMATCH' });
+  }
+  if (await db.getOrganizationMembership(user.id)) {
+    throw new ApiError(409, 'You are already in an organization', { code: 'ALREADY_IN_ORGANIZATION' });
+  }
+
+  const organization = await db.getOrganization(invitation.organization_id);
+  assertSeatAvailable(await getSeatLimit(organization.owner_id), await db.countOrganizationMembers(organization.id));
+
+  try {
+    await db.transaction(async () => {
+      const claim = await db.respondToOrganizationInvitation(invitation.id, 'accepted');
+      if (claim.changes === 0) {
+        throw new TokenError('Invalid or already used invitation');
+      }
+      await db.addOrganizationMember(organization.id, user.id);
+    });
+  } catch (error) {
+    if (!isUniqueViolation(error)) throw error;
+    throw new ApiError(409, 'You are already in an organization', { code: 'ALREADY_IN_ORGANIZATION' });
+  }
+
+  await syncSeats(organization.owner_id);
+  logger.info('Organization invitation accepted', { organizationId: organization.id, userId: user.id });
+  return organization;
+}
+
+// Anyone holding the token may decline, so the link works without signing in
+async function declineInvitation(token) {
+  const invitation = await findInvitation(token);
+
+  const result = await db.respondToOrganizationInvitation(invitation.id, 'declined');
+  if (result.changes === 0) {
+    throw new TokenError('Invalid or already used invitation');
+  }
+}
+
+async function removeMember(organization, userId) {
+  if (userId === organization.owner_id) {
+    throw new ApiError(400, 'The owner cannot be removed; transfer ownership or delete the organization', { code: 'OWNER_CANNOT_LEAVE' });
+  }
+
+  const result = await db.removeOrganizationMember(organization.id, userId);
+  if (result.changes === 0) {
+    throw new ApiError(404, 'Member not found');
+  }
+
+  await syncSeats(organization.owner_id);
+  logger.info('Organization member removed', { organizationId: organization.id, userId });
+}
+
+async function leaveOrganization(membership) {
+  if (membership.role === 'owner') {
+    throw new ApiError(409, 'Transfer ownership or delete the organization before leaving it', { code: 'OWNER_CANNOT_LEAVE' });
+  }
+
+  await db.removeOrganizationMember(membership.organization_id, membership.user_id);
+  await syncSeats(membership.owner_id);
+  logger.info('Organization member left', { organizationId: membership.organization_id, userId: membership.user_id });
+}
+
+// Hand the organization to another member. Its plan then comes from the new owner's
+// subscription, so both owners' seats are synced.
+async function transferOwnership(organization, newOwnerId) {
+  if (newOwnerId === organization.owner_id) {
+    throw new ApiError(400, 'You already own this organization', { code: 'NO_CHANGE' });
+  }
+
+  const membership = await db.getOrganizationMembership(newOwnerId);
+  if (!membership || membership.organization_id !== organization.id) {
+    throw new ApiError(404, 'Member not found');
+  }
+
+  await db.transferOrganizationOwnership(organization.id, organization.owner_id, newOwnerId);
+  await syncSeats(organization.owner_id);
+  await syncSeats(newOwnerId);
+  logger.info('Organization ownership transferred', { organizationId: organization.id, from: organization.owner_id, to: newOwnerId });
+}
+
+module.exports = {
+  requireMembership,
+  requireOwnership,
+  getSeatLimit,
+  assertPlanCoversMembers,
+  getSeatQuantity,
+  syncSeats,
+  createOrganization,
+  deleteOrganization,
+  inviteMember,
+  acceptInvitation,
+  declineInvitation,
+  removeMember,
+  leaveOrganization,
+  transferOwnership
+};
@@ -0,0 +1,194 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const db = require('../database');
+const planCatalog = require('../planCatalog');
+const usagePeriods = require('../usagePeriods');
+const organizationMembership = require('../organizationMembership');
+const { ApiError, asyncHandler } = require('../errors');
+const { validate, rules } = require('../validation');
+
+const router = express.Router();
+
+const organizationName = { type: 'string', required: true, minLength: 1, maxLength: 100 };
+
+function formatMember(member) {
+  return {
+    user_id: member.user_id,
+    email: member.email,
+    name: member.name,
+    role: member.role,
+    joined_at: member.joined_at
+  };
+}
+
+function formatInvitation(invitation) {
+  return {
+    id: invitation.id,
+    email: invitation.email,
+    status: invitation.status,
+    expires_at: invitation.expires_at,
+    created_at: invitation.created_at
+  };
+}
+
+// The organization with its members, plan and seats; owners also see pending invitations
+async function describeOrganization(organizationId, role) {
+  const organization = await db.getOrganization(organizationId);
+  const members = await db.getOrganizationMembers(organizationId);
+  const { plan, subscription, entitlement } = await planCatalog.getOrganizationPlan(organization.owner_id);
+  const pending = await db.getPendingOrganizationInvitations(organizationId);
+
+  return {
+    id: organization.id,
+    name: organization.name,
+    owner_id: organization.owner_id,
+    role,
+    plan: {
+      key: plan.key,
+      name: plan.name,
+      entitlement,
+      team: planCatalog.isTeamPlan(plan),
+      usage_pooling: plan.usage_pooling
+    },
+    seats: {
+      max: plan.max_seats,
+      used: members.length,
+      pending: pending.length,
+      billed: subscription?.stripe_subscription_id ? subscription.seat_quantity : null
+    },
+    members: members.map(formatMember),
+    invitations: role === 'owner' ? pending.map(formatInvitation) : undefined,
+    created_at: organization.created_at
+  };
+}
+
+// Create an organization owned by the caller
+router.post('/', authenticateToken, validate({ body: { name: organizationName } }), asyncHandler(async (req, res) => {
+  const user = await db.getUserById(req.user.userId);
+  const organization = await organizationMembership.createOrganization(user, req.body.name);
+
+  res.status(201).json({ organization: await describeOrganization(organization.id, 'owner') });
+}));
+
+// The caller's organization
+router.get('/current', authenticateToken, asyncHandler(async (req, res) => {
+  const membership = await organizationMembership.requireMembership(req.user.userId);
+
+  res.json({ organization: await describeOrganization(membership.organization_id, membership.role) });
+}));
+
+// Rename the organization (owner)
+router.patch('/current', authenticateToken, validate({ body: { name: organizationName } }), asyncHandler(async (req, res) => {
+  const organization = await organizationMembership.requireOwnership(req.user.userId);
+
+  await db.updateOrganization(organization.id, { name: req.body.name, updated_at: new Date().toISOString() });
+
+  res.json({ organization: await describeOrganization(organization.id, 'owner') });
+}));
+
+// Delete the organization; members go back to their own plans (owner)
+router.delete('/current', authenticateToken, asyncHandler(async (req, res) => {
+  const organization = await organizationMembership.requireOwnership(req.user.userId);
+  await organizationMembership.deleteOrganization(organization);
+
+  res.json({ message: 'Organization deleted' });
+}));
+
+// This period's usage for each member, plus the shared counters on pooled plans (owner)
+router.get('/current/usage', authenticateToken, asyncHandler(async (req, res) => {
+  const organization = await organizationMembership.requireOwnership(req.user.userId);
+  const { plan, subscription } = await planCatalog.getOrganizationPlan(organization.owner_id);
+  const period = await usagePeriods.getCurrentPeriod(organization.owner_id, subscription || null);
+  const members = await db.getOrganizationMembers(organization.id);
+
+  res.json({
+    period,
+    usagePooling: plan.usage_pooling,
+    pooled: plan.usage_pooling === 'pooled'
+      ? Object.fromEntries((await db.getOrganizationUsage(organization.id, period.start)).map(row => [row.feature_type, row.usage_count]))
+      : null,
+    members: await Promise.all(members.map(async member => ({
+      user_id: member.user_id,
+      email: member.email,
+      usage: Object.fromEntries((await db.getUserUsage(member.user_id, period.start)).map(row => [row.feature_type, row.usage_count]))
+    })))
+  });
+}));
+
+// Invite someone by email; a pending invitation holds a seat (owner)
+router.post('/current/invitations', authenticateToken, validate({ body: { email: rules.email } }), asyncHandler(async (req, res) => {
+  const organization = await organizationMembership.requireOwnership(req.user.userId);
+  const inviter = await db.getUserById(req.user.userId);
+
+  const invitation = await organizationMembership.inviteMember(organization, inviter, req.body.email);
+
+  res.status(201).json({ invitation: formatInvitation(invitation) });
+}));
+
+// Pending invitations (owner)
+router.get('/current/invitations', authenticateToken, asyncHandler(async (req, res) => {
+  const organization = await organizationMembership.requireOwnership(req.user.userId);
+  const invitations = await db.getPendingOrganizationInvitations(organization.id);
+
+  res.json({ invitations: invitations.map(formatInvitation) });
+}));
+
+// Revoke a pending invitation (owner)
+router.delete('/current/invitations/:invitationId', authenticateToken, validate({
+  params: { invitationId: rules.uuid }
+}), asyncHandler(async (req, res) => {
+  const organization = await organizationMembership.requireOwnership(req.user.userId);
+
+  const result = await db.revokeOrganizationInvitations(organization.id, { invitationId: req.params.invitationId });
+  if (result.changes === 0) {
+    throw new ApiError(404, 'Invitation not found');
+  }
+
+  res.json({ message: 'Invitation revoked' });
+}));
+
+// Accept an invitation sent to the caller's email address
+router.post('/invitations/accept', authenticateToken, validate({ body: { token: rules.token } }), asyncHandler(async (req, res) => {
+  const user = await db.getUserById(req.user.userId);
+  const organization = await organizationMembership.acceptInvitation(req.body.token, user);
+
+  res.json({ organization: await describeOrganization(organization.id, 'member') });
+}));
+
+// Decline an invitation; works without signing in
+router.post('/invitations/decline', validate({ body: { token: rules.token } }), asyncHandler(async (req, res) => {
+  await organizationMembership.declineInvitation(req.body.token);
+
+  res.json({ message: 'Invitation declined' });
+}));
+
+// Remove a member (owner)
+router.delete('/current/members/:userId', authenticateToken, validate({
+  params: { userId: rules.uuid }
+}), asyncHandler(async (req, res) => {
+  const organization = await organizationMembership.requireOwnership(req.user.userId);
+  await organizationMembership.removeMember(organization, req.params.userId);
+
+  res.json({ organization: await describeOrganization(organization.id, 'owner') });
+}));
+
+// Leave the organization (members)
+router.post('/current/leave', authenticateToken, asyncHandler(async (req, res) => {
+  const membership = await organizationMembership.requireMembership(req.user.userId);
+  await organizationMembership.leaveOrganization(membership);
+
+  res.json({ message: 'You left the organization' });
+}));
+
+// Make another member the owner; the organization's plan then comes from their
+// subscription (owner)
+router.post('/current/transfer', authenticateToken, validate({
+  body: { userId: rules.uuid }
+}), asyncHandler(async (req, res) => {
+  const organization = await organizationMembership.requireOwnership(req.user.userId);
+  await organizationMembership.transferOwnership(organization, req.body.userId);
+
+  res.json({ organization: await describeOrganization(organization.id, 'member') });
+}));
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const db = require('./database');
+
+const DEFAULT_PLAN_KEY = 'free';
+
+// Statuses that grant the subscribed plan, and those that keep it only during the
+// dunning grace period while Stripe retries the payment
+const ENTITLED_STATUSES = ['active', 'trialing'];
+const DUNNING_STATUSES = ['past_due', 'unpaid'];
+
+const DUNNING_GRACE_DAYS = parseInt(process.env.DUNNING_GRACE_DAYS || '7', 10);
+
+// Load a plan with its limits as { feature_type: limit }
+async function getPlan(planKey) {
+  const plan = await db.getPlan(planKey);
+  if (!plan) {
+    return null;
+  }
+
+  const limitRows = await db.getPlanLimits(planKey);
+  const limits = {};
+  limitRows.forEach(row => {
+    limits[row.feature_type] = row.limit_value;
+  });
+
+  return { ...plan, is_active: Boolean(plan.is_active), limits };
+}
+
+// Feature types known to the catalog
+async function getFeatures() {
+  return db.getPlanFeatures();
+}
+
+// Limit for a feature, 0 when the plan does not include it
+function getLimit(plan, feature) {
+  return plan.limits[feature] !== undefined ? plan.limits[feature] : 0;
+}
+
+// Map a Stripe price to a plan key by price ID, lookup key, then product
+async function resolvePlanKey(price) {
+  if (!price) {
+    return null;
+  }
+
+  const product = price.product && typeof price.product === 'object' ? price.product : null;
+  const productId = product ? product.id : price.product;
+
+  const mapping = await db.findPlanPrice({
+    priceId: price.id,
+    lookupKey: price.lookup_key,
+    productId
+  });
+  if (mapping) {
+    return mapping.plan_key;
+  }
+
+  // Fall back to plan_key metadata set on the price or product in Stripe
+  const metadataKey = price.metadata?.plan_key || product?.metadata?.plan_key;
+  if (metadataKey && await db.getPlan(metadataKey)) {
+    return metadataKey;
+  }
+
+  return null;
+}
+
+// When a grace period starting now would end
+function gracePeriodEnd(from = new Date()) {
+  return new Date(from.getTime() + DUNNING_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// 'active' when the subscription grants its plan, 'grace' while a failed payment is
+// inside the grace period, and 'lapsed' when only the default plan applies
+function getEntitlement(subscription, now = new Date()) {
+  if (!subscription) {
+    return 'lapsed';
+  }
+  if (ENTITLED_STATUSES.includes(subscription.status)) {
+    return 'active';
+  }
+  if (DUNNING_STATUSES.includes(subscription.status) && subscription.grace_period_ends_at &&
+      new Date(subscription.grace_period_ends_at) > now) {
+    return 'grace';
+  }
+  return 'lapsed';
+}
+
+// Team plans cover more than one seat; -1 allows any number
+function isTeamPlan(plan) {
+  return plan.max_seats === -1 || plan.max_seats > 1;
+}
+
+// The plan an organization owner's subscription gives, which also covers the
+// organization's members when it is a team plan
+async function getOrganizationPlan(ownerId) {
+  const subscription = await db.getUserSubscription(ownerId);
+  const entitlement = getEntitlement(subscription);
+  const planKey = entitlement === 'lapsed' ? DEFAULT_PLAN_KEY : subscription.plan_type;
+  const plan = await getPlan(planKey) || await getPlan(DEFAULT_PLAN_KEY);
+
+  return { plan, subscription, entitlement };
+}
+
+// Plan the user is currently entitled to; an unexpired admin override wins, then an
+// organization's team plan when it ranks above the user's own. periodSubscription is
+// the subscription whose billing period usage is counted in.
+async function getUserPlan(userId) {
+  const subscription = await db.getUserSubscription(userId);
+  const override = await db.getActivePlanOverride(userId);
+  let entitlement = getEntitlement(subscription);
+
+  let planKey = entitlement === 'lapsed' ? DEFAULT_PLAN_KEY : subscription.plan_type;
+  if (override) {
+    planKey = override.plan_key;
+  }
+
+  let plan = await getPlan(planKey) || await getPlan(DEFAULT_PLAN_KEY);
+  let periodSubscription = subscription;
+  let organization = null;
+
+  const membership = override ? null : await db.getOrganizationMembership(userId);
+  if (membership) {
+    const isOwner = membership.owner_id === userId;
+    const team = isOwner ? { plan, subscription, entitlement } : await getOrganizationPlan(membership.owner_id);
+
+    if (isTeamPlan(team.plan) && (isOwner || team.plan.sort_order > plan.sort_order)) {
+      plan = team.plan;
+      entitlement = team.entitlement;
+      periodSubscription = team.subscription;
+      organization = {
+        id: membership.organization_id,
+        name: membership.organization_name,
+        role: membership.role,
+        seats: await db.countOrganizationMembers(membership.organization_id),
+        pooling: team.plan.usage_pooling
+      };
+    }
+  }
+
+  // Bonus allowances, e.g. from referrals, raise limited features for every period.
+  // Pooled plans share one allowance, so personal bonuses don't apply to them.
+  const bonuses = organization?.pooling === 'pooled' ? [] : await db.getActiveUsageBonuses(userId);
+  bonuses.forEach(bonus => {
+    const limit = getLimit(plan, bonus.feature_type);
+    if (limit !== -1) {
+      plan.limits[bonus.feature_type] = limit + bonus.amount;
+    }
+  });
+
+  return { plan, subscription, override: override || null, entitlement, bonuses, organization, periodSubscription };
+}
+
+// Limit a feature is checked against: the plan's per-seat limit, or for pooled
+// team plans that limit times the organization's seats on a shared counter
+function getUsageLimit({ plan, organization }, feature) {
+  const limit = getLimit(plan, feature);
+  if (organization?.pooling !== 'pooled') {
+    return { limit, organizationId: null };
+  }
+  return { limit: limit === -1 ? -1 : limit * organization.seats, organizationId: organization.id };
+}
+
+module.exports = {
+  DEFAULT_PLAN_KEY,
+  DUNNING_STATUSES,
+  getPlan,
+  getFeatures,
+  getLimit,
+  resolvePlanKey,
+  gracePeriodEnd,
+  getEntitlement,
+  isTeamPlan,
+  getOrganizationPlan,
+  getUserPlan,
+  getUsageLimit
+};
@@ -0,0 +1,159 @@
+const db = require('./database');
+const planCatalog = require('./planCatalog');
+const { ApiError } = require('./errors');
+const { getBilling } = require('./billing');
+const organizationMembership = require('./organizationMembership');
+const { subscriptionFields, syncGracePeriod } = require('./webhooks');
+
+// Plans can only be changed on a subscription that is in good standing
+const CHANGEABLE_STATUSES = ['active', 'trialing'];
+
+const NO_SCHEDULED_CHANGE = {
+  stripe_schedule_id: null,
+  scheduled_plan_type: null,
+  scheduled_price_id: null,
+  scheduled_change_at: null
+};
+
+function toTimestamp(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+async function retrievePrice(priceId, billing) {
+  try {
+    return await billing.retrievePrice(priceId);
+  } catch (error) {
+    if (error.code === 'resource_missing' || error.statusCode === 404) {
+      throw new ApiError(400, 'Price not found', { code: 'UNKNOWN_PRICE' });
+    }
+    throw error;
+  }
+}
+
+// Work out what moving a subscription to a price means: upgrades (a higher plan,
+// or a dearer price for the same plan) apply now, everything else at period end
+async function describeChange(row, priceId, billing) {
+  if (!row || !row.stripe_subscription_id) {
+    throw new ApiError(400, 'No active subscription found', { code: 'NO_SUBSCRIPTION' });
+  }
+
+  const subscription = await billing.retrieveSubscription(row.stripe_subscription_id);
+  if (!CHANGEABLE_STATUSES.includes(subscription.status)) {
+    throw new ApiError(409, `A ${subscription.status} subscription cannot change plans`, { code: 'SUBSCRIPTION_NOT_ACTIVE' });
+  }
+
+  const item = subscription.items.data[0];
+  if (item.price.id === priceId) {
+    throw new ApiError(409, 'Subscription is already on this price', { code: 'NO_CHANGE' });
+  }
+
+  const price = await retrievePrice(priceId, billing);
+  if (!price.active || !price.recurring) {
+    throw new ApiError(400, 'Price is not an active recurring price', { code: 'UNKNOWN_PRICE' });
+  }
+
+  const planKey = await planCatalog.resolvePlanKey(price);
+  const targetPlan = planKey && await db.getPlan(planKey);
+  if (!targetPlan || !targetPlan.is_active) {
+    throw new ApiError(400, 'Price is not mapped to an available plan', { code: 'UNKNOWN_PRICE' });
+  }
+  await organizationMembership.assertPlanCoversMembers(row.user_id, targetPlan);
+
+  const currentPlan = await db.getPlan(row.plan_type);
+  const currentRank = currentPlan ? currentPlan.sort_order : -1;
+  const isUpgrade = targetPlan.sort_order !== currentRank
+    ? targetPlan.sort_order > currentRank
+    : (price.unit_amount || 0) > (item.price.unit_amount || 0);
+
+  return { subscription, item, price, planKey, direction: isUpgrade ? 'upgrade' : 'downgrade' };
+}
+
+// Prorated invoice the billing provider would raise for the change
+async function previewChange(row, priceId, { billing = getBilling() } = {}) {
+  const change = await describeChange(row, priceId, billing);
+  const { subscription, item, direction } = change;
+  const prorationDate = Math.floor(Date.now() / 1000);
+
+  const invoice = await billing.previewPriceChange(subscription, item, priceId, {
+    customerId: row.stripe_customer_id,
+    prorate: direction === 'upgrade',
+    prorationDate
+  });
+
+  const lines = invoice.lines.data.map(line => ({
+    description: line.description,
+    amount: line.amount,
+    proration: Boolean(line.proration)
+  }));
+
+  return {
+    direction,
+    planType: change.planKey,
+    priceId,
+    effectiveAt: direction === 'upgrade' ? toTimestamp(prorationDate) : toTimestamp(subscription.current_period_end),
+    prorationDate,
+    currency: invoice.currency,
+    amountDue: invoice.amount_due,
+    prorationAmount: lines.filter(line => line.proration).reduce((sum, line) => sum + line.amount, 0),
+    lines
+  };
+}
+
+// Swap the price now and invoice the prorated difference; the change is dropped
+// if that invoice cannot be paid. Team plans then bill one seat per member.
+async function applyUpgrade(row, change, prorationDate, billing) {
+  const { subscription, item, price } = change;
+
+  const updated = await billing.changePrice(subscription, item, price.id, prorationDate);
+
+  if (updated.pending_update) {
+    throw new ApiError(402, 'The prorated payment for this upgrade failed', { code: 'PAYMENT_FAILED' });
+  }
+
+  const fields = await subscriptionFields(updated);
+  await db.updateUserSubscription(row.user_id, { ...fields, ...NO_SCHEDULED_CHANGE, updated_at: new Date().toISOString() });
+  await syncGracePeriod(updated.id, updated.status);
+  await organizationMembership.syncSeats(row.user_id, { billing });
+
+  return { direction: 'upgrade', planType: change.planKey, priceId: price.id, effectiveAt: new Date().toISOString() };
+}
+
+// Keep the current price until the period ends, then move to the new one
+async function scheduleDowngrade(row, change, billing) {
+  const { subscription, item, price } = change;
+
+  const scheduleId = await billing.schedulePriceChange(subscription, item, price.id);
+
+  const effectiveAt = toTimestamp(subscription.current_period_end);
+  await db.updateUserSubscription(row.user_id, {
+    stripe_schedule_id: scheduleId,
+    scheduled_plan_type: change.planKey,
+    scheduled_price_id: price.id,
+    scheduled_change_at: effectiveAt,
+    updated_at: new Date().toISOString()
+  });
+  await organizationMembership.syncSeats(row.user_id, { billing });
+
+  return { direction: 'downgrade', planType: change.planKey, priceId: price.id, effectiveAt };
+}
+
+async function changePlan(row, priceId, { prorationDate, billing = getBilling() } = {}) {
+  const change = await describeChange(row, priceId, billing);
+
+  if (change.direction === 'upgrade') {
+    return applyUpgrade(row, change, prorationDate || Math.floor(Date.now() / 1000), billing);
+  }
+  return scheduleDowngrade(row, change, billing);
+}
+
+// Drop a downgrade scheduled for the end of the period
+async function cancelScheduledChange(row, { billing = getBilling() } = {}) {
+  if (!row || !row.stripe_schedule_id) {
+    throw new ApiError(404, 'No plan change is scheduled', { code: 'NO_SCHEDULED_CHANGE' });
+  }
+
+  await billing.releaseSchedule(row.stripe_schedule_id);
+  await db.updateUserSubscription(row.user_id, { ...NO_SCHEDULED_CHANGE, updated_at: new Date().toISOString() });
+}
+
+module.exports = { previewChange, changePlan, cancelScheduledChange };
@@ -0,0 +1,211 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('./auth');
+const db = require('../database');
+const planCatalog = require('../planCatalog');
+const { recordAdminAction } = require('../auditLog');
+const { ApiError, asyncHandler } = require('../errors');
+const { validate, rules } = require('../validation');
+
+const router = express.Router();
+
+const PRICE_FIELDS = ['stripe_price_id', 'lookup_key', 'stripe_product_id', 'currency', 'billing_interval', 'unit_amount'];
+
+const planParams = { key: { ...rules.planKey, required: true } };
+
+// Seats a plan covers (-1 = any number) and whether members share one usage allowance
+const seatRules = {
+  maxSeats: { type: 'integer', min: -1, check: value => (value === 0 ? 'must be at least 1, or -1 for unlimited' : null) },
+  usagePooling: { type: 'string', enum: ['per_seat', 'pooled'] }
+};
+
+async function getPlanDetails(planKey) {
+  const plan = await planCatalog.getPlan(planKey);
+  if (!plan) {
+    return null;
+  }
+
+  plan.prices = await db.getPlanPrices(planKey);
+  return plan;
+}
+
+async function assertPlanExists(planKey) {
+  if (!await db.getPlan(planKey)) {
+    throw new ApiError(404, 'Plan not found');
+  }
+}
+
+// List active plans with their limits
+router.get('/', validate({
+  query: { includeInactive: { type: 'boolean', default: false } }
+}), asyncHandler(async (req, res) => {
+  const plans = await db.getPlans({ includeInactive: req.query.includeInactive });
+
+  res.json({
+    plans: await Promise.all(plans.map(plan => planCatalog.getPlan(plan.key)))
+  });
+}));
+
+// Get a single plan with limits and price mappings
+router.get('/:key', validate({ params: planParams }), asyncHandler(async (req, res) => {
+  const plan = await getPlanDetails(req.params.key);
+  if (!plan) {
+    throw new ApiError(404, 'Plan not found');
+  }
+
+  res.json({ plan });
+}));
+
+// Create a plan (admin)
+router.post('/', authenticateToken, requireRole('admin'), validate({
+  body: {
+    key: { ...rules.planKey, required: true, maxLength: 50 },
+    name: { type: 'string', required: true, maxLength: 100 },
+    description: { type: 'string', maxLength: 500 },
+    sortOrder: { type: 'integer', default: 0 },
+    maxSeats: { ...seatRules.maxSeats, default: 1 },
+    usagePooling: { ...seatRules.usagePooling, default: 'per_seat' },
+    limits: { type: 'object', values: { ...rules.limit, required: true }, default: {} }
+  }
+}), asyncHandler(async (req, res) => {
+  const { key, name, description, sortOrder, maxSeats, usagePooling, limits } = req.body;
+
+  if (await db.getPlan(key)) {
+    throw new ApiError(409, 'Plan already exists', { code: 'PLAN_EXISTS' });
+  }
+
+  await db.createPlan({ key, name, description, sort_order: sortOrder, max_seats: maxSeats, usage_pooling: usagePooling });
+  for (const [feature, limit] of Object.entries(limits)) {
+    await db.setPlanLimit(key, feature, limit);
+  }
+
+  await recordAdminAction(req, 'plan.create', { targetType: 'plan', targetId: key, details: { name, maxSeats, usagePooling, limits } });
+
+  res.status(201).json({ plan: await getPlanDetails(key) });
+}));
+
+// Update plan details and activation (admin)
+router.put('/:key', authenticateToken, requireRole('admin'), validate({
+  params: planParams,
+  body: {
+    name: { type: 'string', maxLength: 100 },
+    description: { type: 'string', maxLength: 500, nullable: true },
+    sortOrder: { type: 'integer' },
+    isActive: { type: 'boolean' },
+    ...seatRules
+  }
+}), asyncHandler(async (req, res) => {
+  const { name, description, sortOrder, isActive, maxSeats, usagePooling } = req.body;
+
+  await assertPlanExists(req.params.key);
+
+  const updates = {};
+  if (name !== undefined) updates.name = name;
+  if (description !== undefined) updates.description = description;
+  if (sortOrder !== undefined) updates.sort_order = sortOrder;
+  if (isActive !== undefined) updates.is_active = isActive ? 1 : 0;
+  if (maxSeats !== undefined) updates.max_seats = maxSeats;
+  if (usagePooling !== undefined) updates.usage_pooling = usagePooling;
+
+  if (Object.keys(updates).length > 0) {
+    updates.updated_at = new Date().toISOString();
+    await db.updatePlan(req.params.key, updates);
+    await recordAdminAction(req, 'plan.update', { targetType: 'plan', targetId: req.params.key, details: updates });
+  }
+
+  res.json({ plan: await getPlanDetails(req.params.key) });
+}));
+
+// Deactivate a plan; existing subscribers keep its limits (admin)
+router.delete('/:key', authenticateToken, requireRole('admin'), validate({ params: planParams }), asyncHandler(async (req, res) => {
+  if (req.params.key === planCatalog.DEFAULT_PLAN_KEY) {
+    throw new ApiError(400, 'The default plan cannot be deactivated');
+  }
+
+  const result = await db.updatePlan(req.params.key, { is_active: 0, updated_at: new Date().toISOString() });
+  if (result.changes === 0) {
+    throw new ApiError(404, 'Plan not found');
+  }
+
+  await recordAdminAction(req, 'plan.deactivate', { targetType: 'plan', targetId: req.params.key });
+
+  res.json({ message: 'Plan deactivated' });
+}));
+
+// Set feature limits; a null limit removes the feature from the plan (admin)
+router.put('/:key/limits', authenticateToken, requireRole('admin'), validate({
+  params: planParams,
+  body: { limits: { type: 'object', required: true, values: { ...rules.limit, nullable: true } } }
+}), asyncHandler(async (req, res) => {
+  const { limits } = req.body;
+
+  await assertPlanExists(req.params.key);
+
+  for (const [feature, limit] of Object.entries(limits)) {
+    if (limit === null) {
+      await db.deletePlanLimit(req.params.key, feature);
+    } else {
+      await db.setPlanLimit(req.params.key, feature, limit);
+    }
+  }
+
+  await recordAdminAction(req, 'plan.limits_update', { targetType: 'plan', targetId: req.params.key, details: { limits } });
+
+  res.json({ plan: await getPlanDetails(req.params.key) });
+}));
+
+// Map a Stripe price, lookup key or product to a plan (admin)
+router.post('/:key/prices', authenticateToken, requireRole('admin'), validate({
+  params: planParams,
+  body: {
+    stripe_price_id: rules.priceId,
+    lookup_key: { type: 'string', maxLength: 200 },
+    stripe_product_id: { type: 'string', pattern: /^prod_[A-Za-z0-9]+$/, patternMessage: 'must be a Stripe product ID (prod_...)' },
+    currency: { type: 'string', pattern: /^[a-z]{3}$/, patternMessage: 'must be a lowercase ISO currency code' },
+    billing_interval: { type: 'string', enum: ['day', 'week', 'month', 'year'] },
+    unit_amount: { type: 'integer', min: 0 }
+  }
+}), asyncHandler(async (req, res) => {
+  const priceData = {};
+  PRICE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) priceData[field] = req.body[field];
+  });
+
+  if (!priceData.stripe_price_id && !priceData.lookup_key && !priceData.stripe_product_id) {
+    throw new ApiError(400, 'A stripe_price_id, lookup_key or stripe_product_id is required', { code: 'VALIDATION_ERROR' });
+  }
+
+  await assertPlanExists(req.params.key);
+
+  const existing = await db.findPlanPrice({
+    priceId: priceData.stripe_price_id,
+    lookupKey: priceData.lookup_key
+  });
+  if (existing) {
+    throw new ApiError(409, `Price is already mapped to plan ${existing.plan_key}`, { code: 'PRICE_MAPPED' });
+  }
+
+  const price = await db.addPlanPrice(req.params.key, priceData);
+  await recordAdminAction(req, 'plan.price_add', { targetType: 'plan', targetId: req.params.key, details: priceData });
+
+  res.status(201).json({ price });
+}));
+
+// Remove a price mapping (admin)
+router.delete('/:key/prices/:priceMappingId', authenticateToken, requireRole('admin'), validate({
+  params: { ...planParams, priceMappingId: rules.uuid }
+}), asyncHandler(async (req, res) => {
+  const result = await db.deletePlanPrice(req.params.key, req.params.priceMappingId);
+  if (result.changes === 0) {
+    throw new ApiError(404, 'Price mapping not found');
+  }
+
+  await recordAdminAction(req, 'plan.price_remove', {
+    targetType: 'plan',
+    targetId: req.params.key,
+    details: { priceMappingId: req.params.priceMappingId }
+  });
+
+  res.json({ message: 'Price mapping removed' });
+}));
+
+module.exports = router;
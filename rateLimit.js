@@ -0,0 +1,272 @@
+const jwt = require('jsonwebtoken');
+const db = require('./database');
+const { JWT_SECRET } = require('./sessions');
+const { verifyChallenge } = require('./twoFactor');
+const apiKeys = require('./apiKeys');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+// Stores implement increment(key, ttlMs), get(key), set(key, value, ttlMs) and delete(key)
+
+// Keeps counters in process memory; they are lost on restart and not shared between instances
+class MemoryStore {
+  constructor({ pruneIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+    this.pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+    this.pruneTimer.unref();
+  }
+
+  live(key, now) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    const entry = this.live(key, now);
+    if (entry) {
+      entry.value += 1;
+      return entry.value;
+    }
+
+    this.entries.set(key, { value: 1, expiresAt: now + ttlMs });
+    return 1;
+  }
+
+  async get(key) {
+    const entry = this.live(key, Date.now());
+    return entry ? entry.value : 0;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+// Keeps counters in the rate_limits table so they survive restarts and, with
+// PostgreSQL, are shared between instances
+class DatabaseStore {
+  constructor({ pruneIntervalMs = 5 * 60 * 1000 } = {}) {
+    this.pruneIntervalMs = pruneIntervalMs;
+    this.lastPrune = Date.now();
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    if (now - this.lastPrune > this.pruneIntervalMs) {
+      this.lastPrune = now;
+      await db.pruneRateLimits(now);
+    }
+    return db.incrementRateLimit(key, ttlMs, now);
+  }
+
+  async get(key) {
+    return db.getRateLimit(key);
+  }
+
+  async set(key, value, ttlMs) {
+    await db.setRateLimit(key, value, Date.now() + ttlMs);
+  }
+
+  async delete(key) {
+    await db.deleteRateLimit(key);
+  }
+}
+
+function createStore(name = process.env.RATE_LIMIT_STORE || 'memory') {
+  switch (name) {
+    case 'memory':
+      return new MemoryStore();
+    case 'database':
+    case 'sqlite':
+      return new DatabaseStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${name}`);
+  }
+}
+
+let store = null;
+
+// Replace the active store, e.g. with a Redis-backed implementation
+function setStore(nextStore) {
+  store = nextStore;
+}
+
+function getStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+// Key functions; returning null skips the limit for that request
+const byIp = req => req.ip;
+
+const byEmail = req => {
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email || null;
+};
+
+// Limiters run before the routers authenticate, so read the user from a verified token
+// and fall back to the client IP. API key calls count per key and the user they act
+// for, so one service calling for many users doesn't share a single budget.
+const byAccount = req => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (apiKeys.isApiKey(token)) {
+    return `api-key:${apiKeys.getPrefix(token)}:user:${req.get('X-User-Id') || ''}`;
+  }
+  if (token) {
+    try {
+      return `user:${jwt.verify(token, JWT_SECRET).userId}`;
+    } catch (error) {
+      // Invalid tokens are rejected by authenticateToken later
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+// Two-factor attempts count against the user the login challenge was issued for
+const byChallenge = req => {
+  const token = req.body && req.body.challengeToken;
+  if (typeof token === 'string') {
+    try {
+      return `user:${verifyChallenge(token).userId}`;
+    } catch (error) {
+      // Invalid challenges are rejected by the route
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+function setLimitHeaders(res, { max, remaining, resetSeconds, windowMs }) {
+  res.set('RateLimit-Policy', `${max};w=${Math.ceil(windowMs / 1000)}`);
+  res.set('RateLimit-Limit', String(max));
+  res.set('RateLimit-Remaining', String(remaining));
+  res.set('RateLimit-Reset', String(resetSeconds));
+}
+
+// Sliding window limiter: the previous fixed window's count is weighted by how much
+// of it still overlaps the window ending now
+function rateLimit({ name, windowMs, max, key = byIp, message = 'Too many requests, please try again later' }) {
+  return async (req, res, next) => {
+    try {
+      const id = key(req);
+      if (!id) {
+        return next();
+      }
+
+      const limitStore = getStore();
+      const now = Date.now();
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const bucket = `rl:${name}:${id}`;
+
+      const current = await limitStore.increment(`${bucket}:${windowStart}`, windowMs * 2);
+      const previous = await limitStore.get(`${bucket}:${windowStart - windowMs}`);
+      const overlap = (windowMs - (now - windowStart)) / windowMs;
+      const count = Math.floor(previous * overlap) + current;
+
+      const resetSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
+      setLimitHeaders(res, { max, remaining: Math.max(0, max - count), resetSeconds, windowMs });
+
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return next(new ApiError(429, message));
+      }
+
+      next();
+    } catch (error) {
+      // Fail open so a store outage does not take the API down
+      logger.error('Rate limit check failed', { limiter: name, error });
+      next();
+    }
+  };
+}
+
+// Locks an account out of login after repeated failures; each failure past the
+// threshold doubles the lockout, up to maxLockoutMs
+function loginLockout({
+  threshold = 5,
+  baseLockoutMs = 60 * 1000,
+  maxLockoutMs = 60 * 60 * 1000,
+  failureWindowMs = 24 * 60 * 60 * 1000
+} = {}) {
+  async function recordFailure(email) {
+    const limitStore = getStore();
+    const failures = await limitStore.increment(`lockout:failures:${email}`, failureWindowMs);
+
+    if (failures >= threshold) {
+      const lockoutMs = Math.min(baseLockoutMs * 2 ** (failures - threshold), maxLockoutMs);
+      await limitStore.set(`lockout:until:${email}`, Date.now() + lockoutMs, lockoutMs);
+    }
+  }
+
+  async function clear(email) {
+    const limitStore = getStore();
+    await limitStore.delete(`lockout:failures:${email}`);
+    await limitStore.delete(`lockout:until:${email}`);
+  }
+
+  return async (req, res, next) => {
+    const email = byEmail(req);
+    if (!email) {
+      return next();
+    }
+
+    try {
+      const lockedUntil = await getStore().get(`lockout:until:${email}`);
+      if (lockedUntil > Date.now()) {
+        const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return next(new ApiError(429, 'Too many failed login attempts, please try again later', { code: 'ACCOUNT_LOCKED' }));
+      }
+    } catch (error) {
+      logger.error('Login lockout check failed', { error });
+      return next();
+    }
+
+    // Count the outcome once the login route has answered
+    res.on('finish', () => {
+      let outcome = null;
+      if (res.statusCode === 401) {
+        outcome = recordFailure(email);
+      } else if (res.statusCode < 400) {
+        outcome = clear(email);
+      }
+
+      if (outcome) {
+        outcome.catch(error => logger.error('Login lockout update failed', { error }));
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  MemoryStore,
+  DatabaseStore,
+  createStore,
+  setStore,
+  byIp,
+  byEmail,
+  byAccount,
+  byChallenge,
+  rateLimit,
+  loginLockout
+};
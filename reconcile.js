@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Stripe reconciliation CLI
+//   node reconcile.js               report drift without changing anything
+//   node reconcile.js --fix         update drifted subscriptions to match Stripe
+//   node reconcile.js --user=<id>   check a single user
+//   node reconcile.js --json        print the full run as JSON
+require('dotenv').config();
+
+const db = require('./database');
+const { runReconciliation } = require('./reconciliation');
+
+function parseArgs(argv) {
+  const options = {};
+
+  argv.forEach(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    options[key] = value === undefined ? true : value;
+  });
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  await db.init();
+
+  try {
+    const run = await runReconciliation({
+      fix: Boolean(options.fix),
+      userId: options.user || null,
+      triggeredBy: 'cli'
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(run, null, 2));
+      return;
+    }
+
+    run.report.drift.forEach(entry => {
+      const changes = entry.changes.map(change => `${change.field}: ${change.local} -> ${change.stripe}`).join(', ');
+      console.log(`${entry.fixed ? 'Fixed' : 'Drift'} ${entry.userId}: ${changes}${entry.notes.length ? ` (${entry.notes.join('; ')})` : ''}`);
+    });
+    run.report.errors.forEach(entry => {
+      console.error(`Error ${entry.userId}: ${entry.error}`);
+    });
+
+    console.log(`Checked ${run.checked}, drifted ${run.drifted}, fixed ${run.fixed}, errors ${run.failed} (run ${run.id})`);
+    if (run.failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Reconciliation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+const db = require('./database');
+const planCatalog = require('./planCatalog');
+const { getBilling } = require('./billing');
+const { subscriptionFields, syncGracePeriod } = require('./webhooks');
+
+// Columns compared against Stripe, in report order
+const RECONCILED_FIELDS = [
+  'stripe_subscription_id',
+  'status',
+  'plan_type',
+  'current_period_start',
+  'current_period_end',
+  'trial_end',
+  'cancel_at_period_end',
+  'canceled_at',
+  'pause_collection',
+  'pause_resumes_at',
+  'seat_quantity',
+  'payment_status'
+];
+
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+function isMissing(error) {
+  return error && (error.code === 'resource_missing' || error.statusCode === 404);
+}
+
+// Mirrors the invoice webhooks: past-due and unpaid subscriptions have a failed payment
+function paymentStatusFor(status) {
+  if (['past_due', 'unpaid'].includes(status)) return 'failed';
+  if (['active', 'trialing'].includes(status)) return 'active';
+  return null;
+}
+
+// Fetch the customer and subscription behind a local row and return the columns
+// Stripe says it should have, plus notes about anything unusual
+async function fetchExpectedState(row, billing) {
+  const notes = [];
+  let customer = null;
+
+  if (row.stripe_customer_id) {
+    try {
+      customer = await billing.retrieveCustomer(row.stripe_customer_id);
+      if (customer.deleted) notes.push('customer deleted in Stripe');
+    } catch (error) {
+      if (!isMissing(error)) throw error;
+      notes.push('customer not found in Stripe');
+    }
+  }
+
+  let subscription = null;
+  if (row.stripe_subscription_id) {
+    try {
+      subscription = await billing.retrieveSubscription(row.stripe_subscription_id);
+    } catch (error) {
+      if (!isMissing(error)) throw error;
+      notes.push('subscription not found in Stripe');
+    }
+  } else if (customer && !customer.deleted) {
+    // A missed checkout.session.completed leaves the subscription ID unset
+    subscription = await billing.findLatestSubscription(customer.id);
+  }
+
+  // A subscription that is gone from Stripe has ended; a customer that never had
+  // one (e.g. an abandoned checkout) leaves the row as it is
+  if (!subscription) {
+    const expected = row.stripe_subscription_id ? { status: 'canceled', plan_type: planCatalog.DEFAULT_PLAN_KEY } : {};
+    return { expected, notes };
+  }
+
+  const expected = await subscriptionFields(subscription);
+  expected.stripe_subscription_id = subscription.id;
+
+  if (ENDED_STATUSES.includes(subscription.status)) {
+    expected.plan_type = planCatalog.DEFAULT_PLAN_KEY;
+  }
+
+  const paymentStatus = paymentStatusFor(subscription.status);
+  if (paymentStatus) {
+    expected.payment_status = paymentStatus;
+  }
+
+  return { expected, notes };
+}
+
+function diffRow(row, expected) {
+  return RECONCILED_FIELDS
+    .filter(field => expected[field] !== undefined && expected[field] !== row[field])
+    .map(field => ({ field, local: row[field], stripe: expected[field] }));
+}
+
+// Compare every Stripe-linked subscription with Stripe and record a run. With fix,
+// drifted rows are updated to match Stripe; otherwise the drift is only reported.
+async function runReconciliation({ fix = false, userId = null, triggeredBy = null, billing = getBilling() } = {}) {
+  const run = await db.createReconciliationRun({ mode: fix ? 'fix' : 'report', triggeredBy });
+  const report = { drift: [], errors: [] };
+  let checked = 0;
+  let fixed = 0;
+
+  try {
+    const rows = await db.getStripeLinkedSubscriptions(userId);
+
+    for (const row of rows) {
+      checked += 1;
+
+      try {
+        const { expected, notes } = await fetchExpectedState(row, billing);
+        const changes = diffRow(row, expected);
+        if (changes.length === 0) continue;
+
+        const entry = {
+          userId: row.user_id,
+          stripeCustomerId: row.stripe_customer_id,
+          stripeSubscriptionId: row.stripe_subscription_id,
+          changes,
+          notes,
+          fixed: false
+        };
+
+        if (fix) {
+          const updates = { updated_at: new Date().toISOString() };
+          changes.forEach(change => {
+            updates[change.field] = change.stripe;
+          });
+          await db.updateUserSubscription(row.user_id, updates);
+          if (expected.stripe_subscription_id) {
+            await syncGracePeriod(expected.stripe_subscription_id, expected.status);
+          }
+          entry.fixed = true;
+          fixed += 1;
+        }
+
+        report.drift.push(entry);
+      } catch (error) {
+        report.errors.push({ userId: row.user_id, error: error.message });
+      }
+    }
+
+    await db.updateReconciliationRun(run.id, {
+      status: 'completed',
+      checked,
+      drifted: report.drift.length,
+      fixed,
+      failed: report.errors.length,
+      report: JSON.stringify(report),
+      finished_at: new Date().toISOString()
+    });
+  } catch (error) {
+    await db.updateReconciliationRun(run.id, {
+      status: 'failed',
+      checked,
+      error: error.message,
+      finished_at: new Date().toISOString()
+    });
+    throw error;
+  }
+
+  return formatRun(await db.getReconciliationRun(run.id));
+}
+
+function formatRun(run) {
+  if (!run) return null;
+  return { ...run, report: run.report ? JSON.parse(run.report) : null };
+}
+
+module.exports = { RECONCILED_FIELDS, runReconciliation, formatRun };
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const db = require('./database');
+const { ApiError } = require('./errors');
+const { getBilling } = require('./billing');
+const { logger } = require('./logger');
+
+// 'credit' gives a Stripe balance credit to users with a Stripe customer and bonus
+// usage to everyone else; 'usage' always gives bonus usage
+const REWARD_TYPE = process.env.REFERRAL_REWARD_TYPE || 'credit';
+const CREDIT_AMOUNT = parseInt(process.env.REFERRAL_CREDIT_AMOUNT || '500', 10);
+const CREDIT_CURRENCY = process.env.REFERRAL_CREDIT_CURRENCY || 'usd';
+const BONUS_FEATURE = process.env.REFERRAL_BONUS_FEATURE || 'ai_insights';
+const BONUS_AMOUNT = parseInt(process.env.REFERRAL_BONUS_AMOUNT || '5', 10);
+const BONUS_DAYS = parseInt(process.env.REFERRAL_BONUS_DAYS || '90', 10);
+
+// No 0/O or 1/I so codes survive being read aloud; 32 symbols keeps bytes unbiased
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function generateCode() {
+  return Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+// A user's referral code, allocated the first time it is needed
+async function getReferralCode(user) {
+  if (user.referral_code) {
+    return user.referral_code;
+  }
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    try {
+      await db.setReferralCode(user.id, generateCode());
+      break;
+    } catch (error) {
+      if (!String(error.message).includes('UNIQUE')) throw error;
+    }
+  }
+
+  const updated = await db.getUserById(user.id);
+  if (!updated.referral_code) {
+    throw new Error(`Could not allocate a referral code for user ${user.id}`);
+  }
+  return updated.referral_code;
+}
+
+function referralLink(code) {
+  return `${process.env.FRONTEND_URL}/register?ref=${code}`;
+}
+
+async function findReferrer(code) {
+  const referrer = await db.getUserByReferralCode(code.toUpperCase());
+  if (!referrer) {
+    throw new ApiError(400, 'Referral code not found', { code: 'INVALID_REFERRAL_CODE' });
+  }
+  return referrer;
+}
+
+// Give one side of a referral its reward; safe to repeat after a partial failure
+async function grantReward(referral, userId, billing) {
+  const subscription = await db.getUserSubscription(userId);
+
+  if (REWARD_TYPE === 'credit' && subscription?.stripe_customer_id) {
+    await billing.creditCustomer(subscription.stripe_customer_id, {
+      amount: CREDIT_AMOUNT,
+      currency: CREDIT_CURRENCY,
+      description: 'Referral reward',
+      metadata: { referralId: referral.id },
+      idempotencyKey: `referral-${referral.id}-${userId}`
+    });
+
+    return { type: 'credit', amount: CREDIT_AMOUNT, currency: CREDIT_CURRENCY };
+  }
+
+  if (!await db.getUsageBonusBySource(userId, referral.id)) {
+    await db.addUsageBonus({
+      userId,
+      featureType: BONUS_FEATURE,
+      amount: BONUS_AMOUNT,
+      reason: 'referral',
+      sourceId: referral.id,
+      expiresAt: BONUS_DAYS > 0 ? new Date(Date.now() + BONUS_DAYS * 24 * 60 * 60 * 1000).toISOString() : null
+    });
+  }
+
+  return { type: 'usage', feature: BONUS_FEATURE, amount: BONUS_AMOUNT };
+}
+
+// Reward both sides when a referred user first pays; returns null if there was
+// nothing to reward
+async function rewardReferral(referredUserId, invoiceId, { billing = getBilling() } = {}) {
+  const referral = await db.getReferralByReferredId(referredUserId);
+  if (!referral || referral.status !== 'pending') {
+    return null;
+  }
+
+  const claim = await db.claimReferral(referral.id);
+  if (claim.changes === 0) {
+    return null;
+  }
+
+  try {
+    const referrerReward = await grantReward(referral, referral.referrer_id, billing);
+    const referredReward = await grantReward(referral, referral.referred_id, billing);
+
+    await db.updateReferral(referral.id, {
+      status: 'rewarded',
+      referrer_reward: JSON.stringify(referrerReward),
+      referred_reward: JSON.stringify(referredReward),
+      reward_invoice_id: invoiceId,
+      rewarded_at: new Date().toISOString()
+    });
+
+    logger.info('Referral rewarded', { referralId: referral.id });
+    return { referrerReward, referredReward };
+  } catch (error) {
+    // Leave it pending so a webhook replay can try again
+    await db.updateReferral(referral.id, { status: 'pending' });
+    throw error;
+  }
+}
+
+function formatReferral(referral, { includeEmail = false } = {}) {
+  const formatted = {
+    id: referral.id,
+    referrerId: referral.referrer_id,
+    referredId: referral.referred_id,
+    referredName: referral.referred_name,
+    status: referral.status === 'rewarding' ? 'pending' : referral.status,
+    referrerReward: referral.referrer_reward ? JSON.parse(referral.referrer_reward) : null,
+    referredReward: referral.referred_reward ? JSON.parse(referral.referred_reward) : null,
+    createdAt: referral.created_at,
+    rewardedAt: referral.rewarded_at
+  };
+  if (includeEmail) {
+    formatted.referredEmail = referral.referred_email;
+    formatted.rewardInvoiceId = referral.reward_invoice_id;
+  }
+  return formatted;
+}
+
+module.exports = { getReferralCode, referralLink, findReferrer, rewardReferral, formatReferral };
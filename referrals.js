@@ -0,0 +1,31 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const db = require('../database');
+const referralProgram = require('../referralProgram');
+const { ApiError, asyncHandler } = require('../errors');
+const { validate, rules } = require('../validation');
+
+const router = express.Router();
+
+// The user's referral code, link and the people they referred
+router.get('/', authenticateToken, validate({ query: rules.pagination }), asyncHandler(async (req, res) => {
+  const user = await db.getUserById(req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const { limit, offset } = req.query;
+  const code = await referralProgram.getReferralCode(user);
+  const referrals = await db.getReferrals({ referrerId: user.id, limit, offset });
+
+  res.json({
+    code,
+    link: referralProgram.referralLink(code),
+    stats: await db.getReferralStats(user.id),
+    referrals: referrals.map(referral => referralProgram.formatReferral(referral)),
+    limit,
+    offset
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+// Fields such as requestId and webhookEventId that every log line written while
+// handling a request or webhook should carry, without passing them around
+const storage = new AsyncLocalStorage();
+
+// Incoming IDs are kept only if they are short and safe to echo back and log
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function get() {
+  return storage.getStore() || {};
+}
+
+function getRequestId() {
+  return get().requestId || null;
+}
+
+// Run fn with fields added to the current context
+function run(fields, fn) {
+  return storage.run({ ...get(), ...fields }, fn);
+}
+
+// Use the caller's X-Request-Id, e.g. from a load balancer, or make one up, and
+// send it back so clients can quote it when reporting a problem
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+
+    req.id = id;
+    res.set('X-Request-Id', id);
+    run({ requestId: id }, next);
+  };
+}
+
+module.exports = { get, getRequestId, run, requestId };
@@ -1,20 +1,51 @@
 const express = require('express');
-const stripe = require('stripe');
 const cors = require('cors');
 const helmet = require('helmet');
 const bodyParser = require('body-parser');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const db = require('./database');
-const authRoutes = require('./routes/auth');
+const { getBilling } = require('./billing');
+const { getTransport } = require('./mailer');
+const { processEvent, replayEvent, drain: drainWebhooks } = require('./webhooks');
+const { router: authRoutes, authenticateToken, requireRole } = require('./routes/auth');
 const subscriptionRoutes = require('./routes/subscriptions');
 const usageRoutes = require('./routes/usage');
+const planRoutes = require('./routes/plans');
+const adminRoutes = require('./routes/admin');
+const referralRoutes = require('./routes/referrals');
+const notificationRoutes = require('./routes/notifications');
+const localBillingRoutes = require('./routes/localBilling');
+const organizationRoutes = require('./routes/organizations');
+const notifier = require('./notifier');
+const accountDeletion = require('./accountDeletion');
+const { recordAdminAction } = require('./auditLog');
+const { rateLimit, loginLockout, byIp, byEmail, byAccount, byChallenge } = require('./rateLimit');
+const { ApiError, asyncHandler, notFound, errorHandler } = require('./errors');
+const { validate, rules } = require('./validation');
+const { scheduleJob } = require('./jobs');
+const { runReconciliation } = require('./reconciliation');
+const { logger, requestLogger } = require('./logger');
+const requestContext = require('./requestContext');
+const metrics = require('./metrics');
+const health = require('./health');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// How long in-flight work gets after SIGTERM before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000', 10);
 
-// Initialize Stripe
-const stripeClient = stripe(process.env.STRIPE_SECRET_KEY);
+// Needed behind a load balancer so req.ip is the client address, e.g. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Request IDs, access logs and HTTP metrics for every request
+app.use(requestContext.requestId());
+app.use(requestLogger());
+app.use(metrics.httpMetrics());
 
 // Security middleware
 app.use(helmet());
@@ -23,65 +54,68 @@ app.use(cors({
   credentials: true
 }));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
+// Liveness: the process is up and answering. /health is kept for existing monitors.
+app.get(['/health', '/health/live'], (req, res) => {
   res.status(200).json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    service: 'MindQuest Backend API'
+    service: 'MindQuest Backend API',
+    uptimeSeconds: Math.round(process.uptime())
   });
 });
 
+// Readiness: the database answers, migrations are applied and config is complete
+app.get('/health/ready', asyncHandler(async (req, res) => {
+  const { ready, checks } = await health.checkReadiness();
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    timestamp: new Date().toISOString(),
+    checks
+  });
+}));
+
+// Prometheus scrape endpoint; set METRICS_TOKEN to require it as a bearer token
+app.get('/metrics', (req, res) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (expected) {
+    const provided = (req.headers['authorization'] || '').replace(/^Bearer /, '');
+    const matches = provided.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+    if (!matches) {
+      throw new ApiError(401, 'Invalid metrics token');
+    }
+  }
+
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+app.use('/api', health.availability());
+
 // Stripe webhook endpoint (must be before body parser)
 app.post('/api/webhooks/stripe', 
   bodyParser.raw({ type: 'application/json' }),
   async (req, res) => {
     const sig = req.headers['stripe-signature'];
-    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
     let event;
 
     try {
       // Verify webhook signature
-      event = stripeClient.webhooks.constructEvent(req.body, sig, webhookSecret);
+      event = getBilling().constructEvent(req.body, sig);
     } catch (err) {
-      console.error('Webhook signature verification failed:', err.message);
+      logger.warn('Webhook signature verification failed', { error: err });
+      metrics.webhookEvents.inc({ type: 'unknown', outcome: 'invalid_signature' });
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    console.log('Received Stripe event:', event.type);
+    logger.info('Received Stripe event', { eventType: event.type, webhookEventId: event.id });
 
     try {
-      // Handle the event
-      switch (event.type) {
-        case 'checkout.session.completed':
-          await handleCheckoutCompleted(event.data.object);
-          break;
-        
-        case 'customer.subscription.created':
-        case 'customer.subscription.updated':
-          await handleSubscriptionChange(event.data.object);
-          break;
-        
-        case 'customer.subscription.deleted':
-          await handleSubscriptionDeleted(event.data.object);
-          break;
-        
-        case 'invoice.payment_succeeded':
-          await handlePaymentSucceeded(event.data.object);
-          break;
-        
-        case 'invoice.payment_failed':
-          await handlePaymentFailed(event.data.object);
-          break;
-        
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
-      }
-
-      res.json({ received: true });
+      const status = await processEvent(event);
+      res.json({ received: true, status });
     } catch (error) {
-      console.error('Error processing webhook:', error);
+      // Handler failures are logged with the event by processEvent
       res.status(500).json({ error: 'Webhook processing failed' });
     }
   }
@@ -91,127 +125,206 @@ app.post('/api/webhooks/stripe',
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// Rate limit policies
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Only the password step; the two-factor step has its own limit and must not count
+// towards the password lockout
+app.post('/api/auth/login',
+  rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 30, key: byIp }),
+  rateLimit({ name: 'login-email', windowMs: 15 * MINUTE, max: 10, key: byEmail }),
+  loginLockout({ threshold: 5, baseLockoutMs: MINUTE, maxLockoutMs: HOUR })
+);
+app.use('/api/auth/login/2fa', rateLimit({ name: 'two-factor-user', windowMs: 15 * MINUTE, max: 10, key: byChallenge }));
+app.use('/api/auth/register', rateLimit({ name: 'register-ip', windowMs: HOUR, max: 10, key: byIp }));
+// Password resets name the account by email; verification resends come from a signed-in user
+const accountMailIpLimit = rateLimit({ name: 'account-mail-ip', windowMs: HOUR, max: 10, key: byIp });
+app.use('/api/auth/forgot-password', accountMailIpLimit,
+  rateLimit({ name: 'account-mail-email', windowMs: HOUR, max: 3, key: byEmail })
+);
+app.use('/api/auth/resend-verification', accountMailIpLimit,
+  rateLimit({ name: 'account-mail-account', windowMs: HOUR, max: 3, key: byAccount })
+);
+app.use([
+  '/api/auth/refresh',
+  '/api/auth/reset-password',
+  '/api/auth/verify-email',
+  '/api/auth/confirm-email-change',
+  '/api/auth/oauth',
+  '/api/organizations/invitations'
+],
+  rateLimit({ name: 'auth-token-ip', windowMs: 15 * MINUTE, max: 60, key: byIp })
+);
+// Endpoints that check the current password or a two-factor code
+const passwordCheckLimit = rateLimit({ name: 'password-check-account', windowMs: 15 * MINUTE, max: 10, key: byAccount });
+app.use(['/api/auth/me/password', '/api/auth/me/email'], passwordCheckLimit);
+app.post('/api/auth/me/2fa/:action', passwordCheckLimit);
+app.delete('/api/auth/me', passwordCheckLimit);
+app.use('/api/usage', rateLimit({ name: 'usage-account', windowMs: MINUTE, max: 120, key: byAccount }));
+app.post('/api/organizations/current/invitations', rateLimit({ name: 'organization-invite-account', windowMs: HOUR, max: 20, key: byAccount }));
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/usage', usageRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/referrals', referralRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/organizations', organizationRoutes);
 
-// Webhook event handlers
-async function handleCheckoutCompleted(session) {
-  console.log('Checkout completed:', session.id);
-  
-  const customerEmail = session.customer_details?.email;
-  const subscriptionId = session.subscription;
-  
-  if (!customerEmail) {
-    console.error('No customer email found in checkout session');
-    return;
+// Simulated checkout, portal and clock pages, only with BILLING_PROVIDER=local
+if (getBilling().name === 'local') {
+  app.use('/api/billing/local', localBillingRoutes);
+}
+
+// Webhook event ledger (admin)
+app.get('/api/webhooks/events', authenticateToken, requireRole('admin'), validate({
+  query: {
+    status: { type: 'string', enum: ['received', 'processing', 'processed', 'failed', 'ignored'] },
+    limit: rules.pagination.limit
   }
+}), asyncHandler(async (req, res) => {
+  const events = await db.getWebhookEvents({ status: req.query.status, limit: req.query.limit });
 
-  try {
-    // Find user by email
-    const user = await db.getUserByEmail(customerEmail);
-    if (!user) {
-      console.error('User not found:', customerEmail);
-      return;
+  res.json({
+    events: events.map(({ payload, ...event }) => event)
+  });
+}));
+
+// Re-run every failed webhook event (admin)
+app.post('/api/webhooks/events/replay-failed', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const failed = await db.getWebhookEvents({ status: 'failed', limit: 200 });
+  const results = [];
+
+  // Oldest first so subscription ordering is preserved
+  for (const record of failed.reverse()) {
+    try {
+      results.push({ id: record.id, status: await replayEvent(record.id) });
+    } catch (error) {
+      results.push({ id: record.id, status: 'failed', error: error.message });
     }
+  }
 
-    // Update user subscription
-    await db.updateUserSubscription(user.id, {
-      stripe_customer_id: session.customer,
-      stripe_subscription_id: subscriptionId,
-      status: 'active',
-      updated_at: new Date().toISOString()
-    });
+  await recordAdminAction(req, 'webhook.replay_failed', {
+    targetType: 'webhook_event',
+    details: { replayed: results.length }
+  });
 
-    console.log('Subscription updated for user:', user.id);
-  } catch (error) {
-    console.error('Error handling checkout completion:', error);
+  res.json({ replayed: results.length, results });
+}));
+
+// Re-run a single stored webhook event (admin)
+app.post('/api/webhooks/events/:eventId/replay', authenticateToken, requireRole('admin'), validate({
+  params: { eventId: { type: 'string', required: true, pattern: /^evt_[A-Za-z0-9]+$/, patternMessage: 'must be a Stripe event ID' } },
+  query: { force: { type: 'boolean', default: false } }
+}), asyncHandler(async (req, res) => {
+  const record = await db.getWebhookEvent(req.params.eventId);
+  if (!record) {
+    throw new ApiError(404, 'Webhook event not found');
   }
-}
 
-async function handleSubscriptionChange(subscription) {
-  console.log('Subscription changed:', subscription.id, subscription.status);
-  
-  // Determine plan type based on price
-  let planType = 'free';
-  if (subscription.items?.data?.[0]?.price?.unit_amount) {
-    const amount = subscription.items.data[0].price.unit_amount;
-    if (amount === 999) planType = 'pro';
-    else if (amount === 2999) planType = 'premium';
+  if (record.status !== 'failed' && !req.query.force) {
+    throw new ApiError(409, `Event is ${record.status}; pass force=true to replay it`, { code: 'EVENT_NOT_FAILED' });
   }
 
+  await recordAdminAction(req, 'webhook.replay', {
+    targetType: 'webhook_event',
+    targetId: record.id,
+    details: { previousStatus: record.status, force: req.query.force }
+  });
+
   try {
-    await db.updateSubscriptionByStripeId(subscription.id, {
-      status: subscription.status,
-      plan_type: planType,
-      current_period_start: new Date(subscription.current_period_start * 1000).toISOString(),
-      current_period_end: new Date(subscription.current_period_end * 1000).toISOString(),
-      updated_at: new Date().toISOString()
-    });
+    const status = await replayEvent(record.id);
+    res.json({ id: record.id, status });
   } catch (error) {
-    console.error('Error updating subscription:', error);
+    throw new ApiError(500, `Webhook replay failed: ${error.message}`, { code: 'REPLAY_FAILED' });
   }
-}
+}));
 
-async function handleSubscriptionDeleted(subscription) {
-  console.log('Subscription deleted:', subscription.id);
-  
-  try {
-    await db.updateSubscriptionByStripeId(subscription.id, {
-      status: 'canceled',
-      plan_type: 'free',
-      updated_at: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error canceling subscription:', error);
+// Unknown API routes and errors from every route above
+app.use('/api', notFound);
+app.use(errorHandler);
+
+// Listen straight away so liveness probes pass; API routes answer 503 until the
+// database is initialized
+const server = app.listen(PORT, () => {
+  logger.info('MindQuest Backend Server running', {
+    port: Number(PORT),
+    billingProvider: getBilling().name,
+    mailTransport: getTransport().name,
+    webhookUrl: `http://localhost:${PORT}/api/webhooks/stripe`,
+    healthUrl: `http://localhost:${PORT}/health/ready`,
+    metricsUrl: `http://localhost:${PORT}/metrics`
+  });
+});
+
+// Scheduled jobs, stopped on shutdown
+const jobs = [];
+
+db.init().then(async () => {
+  await getBilling().prepare();
+  health.markStarted();
+
+  // Periodically resync subscriptions from Stripe in case a webhook was missed
+  const reconcileMinutes = parseInt(process.env.RECONCILE_INTERVAL_MINUTES, 10);
+  if (reconcileMinutes > 0) {
+    jobs.push(scheduleJob('stripe-reconciliation', reconcileMinutes * 60 * 1000, async () => {
+      const run = await runReconciliation({ fix: process.env.RECONCILE_AUTO_FIX === 'true', triggeredBy: 'schedule' });
+      if (run.drifted > 0 || run.failed > 0) {
+        logger.info('Reconciliation found drift', { runId: run.id, drifted: run.drifted, fixed: run.fixed, failed: run.failed });
+      }
+    }));
   }
-}
 
-async function handlePaymentSucceeded(invoice) {
-  console.log('Payment succeeded:', invoice.id);
-  
-  try {
-    // Reset usage counters on successful payment
-    await db.updateSubscriptionByStripeId(invoice.subscription, {
-      last_payment_date: new Date().toISOString(),
-      payment_status: 'active',
-      updated_at: new Date().toISOString()
-    });
-
-    // Reset monthly usage for this user
-    const subscription = await db.getSubscriptionByStripeId(invoice.subscription);
-    if (subscription) {
-      await db.resetUserUsage(subscription.user_id);
-    }
-  } catch (error) {
-    console.error('Error updating payment status:', error);
+  // Billing and usage notifications, with retries for failed deliveries
+  jobs.push(notifier.start());
+
+  // Purge accounts whose deletion undo window has passed
+  jobs.push(accountDeletion.start());
+}).catch(error => {
+  logger.error('Failed to initialize database', { error });
+  process.exit(1);
+});
+
+// Stop taking connections, let in-flight requests, webhook events and job runs
+// finish, then close the database. Gives up after SHUTDOWN_TIMEOUT_MS.
+async function shutdown(signal) {
+  if (health.isShuttingDown()) {
+    logger.warn('Second shutdown signal; exiting now', { signal });
+    process.exit(1);
   }
-}
+  health.markShuttingDown();
+  logger.info('Shutting down', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  const deadline = setTimeout(() => {
+    logger.error('Shutdown timed out with work still in flight');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  deadline.unref();
 
-async function handlePaymentFailed(invoice) {
-  console.log('Payment failed:', invoice.id);
-  
   try {
-    await db.updateSubscriptionByStripeId(invoice.subscription, {
-      payment_status: 'failed',
-      updated_at: new Date().toISOString()
-    });
+    const closed = new Promise(resolve => server.close(resolve));
+    // Keep-alive connections only close once idle, so keep closing the ones that are
+    const idleSweep = setInterval(() => server.closeIdleConnections(), 250);
+    server.closeIdleConnections();
+
+    await Promise.all(jobs.map(job => job.stop()));
+    await closed;
+    clearInterval(idleSweep);
+    await drainWebhooks();
+    await db.close();
+
+    logger.info('Shutdown complete');
+    process.exit(0);
   } catch (error) {
-    console.error('Error updating payment failure:', error);
+    logger.error('Shutdown failed', { error });
+    process.exit(1);
   }
 }
 
-// Initialize database and start server
-db.init().then(() => {
-  app.listen(PORT, () => {
-    console.log(`🚀 MindQuest Backend Server running on port ${PORT}`);
-    console.log(`📡 Webhook endpoint: http://localhost:${PORT}/api/webhooks/stripe`);
-    console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-  });
-}).catch(error => {
-  console.error('Failed to initialize database:', error);
-  process.exit(1);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+// The fallback only exists for local development; readiness fails while it is in use
+const DEFAULT_JWT_SECRET = 'your-secret-key-change-in-production';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const RECENT_LOGIN_MINUTES = parseInt(process.env.RECENT_LOGIN_MINUTES, 10) || 10;
+
+class SessionError extends ApiError {
+  constructor(message) {
+    super(401, message, { code: 'INVALID_REFRESH_TOKEN' });
+    this.name = 'SessionError';
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// auth_time is when the user signed in (OIDC's claim name); sessions started before
+// it was recorded have none
+function signAccessToken(user, familyId, authenticatedAt) {
+  const claims = { userId: user.id, email: user.email, sid: familyId };
+  if (authenticatedAt) {
+    claims.auth_time = Math.floor(new Date(authenticatedAt).getTime() / 1000);
+  }
+  return jwt.sign(claims, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Store a new refresh token in a session family and pair it with an access token
+async function createTokenPair(user, req, familyId = uuidv4(), authenticatedAt = new Date().toISOString()) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const session = await db.createSession({
+    user_id: user.id,
+    family_id: familyId,
+    token_hash: hashToken(refreshToken),
+    expires_at: expiresAt.toISOString(),
+    authenticated_at: authenticatedAt,
+    user_agent: req?.headers?.['user-agent'] || null,
+    ip_address: req?.ip || null
+  });
+
+  return {
+    session,
+    tokens: {
+      token: signAccessToken(user, familyId, authenticatedAt),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      refreshTokenExpiresAt: expiresAt.toISOString()
+    }
+  };
+}
+
+// Start a new session for a user who just authenticated
+async function issueTokens(user, req) {
+  const { tokens } = await createTokenPair(user, req);
+  return tokens;
+}
+
+// Exchange a refresh token for a new pair. Presenting a token that was already
+// rotated means it leaked, so the whole family is revoked.
+async function rotateRefreshToken(refreshToken, req) {
+  const session = await db.getSessionByTokenHash(hashToken(refreshToken));
+  if (!session) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  if (session.revoked_at) {
+    if (session.revoked_reason === 'rotated') {
+      logger.warn('Refresh token reuse detected', { userId: session.user_id, sessionFamilyId: session.family_id });
+      await db.revokeSessionFamily(session.family_id, 'reuse_detected');
+    }
+    throw new SessionError('Refresh token has been revoked');
+  }
+
+  if (session.expires_at <= new Date().toISOString()) {
+    throw new SessionError('Refresh token has expired');
+  }
+
+  const user = await db.getUserById(session.user_id);
+  if (!user) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  return db.transaction(async () => {
+    // A concurrent rotation of the same token wins; this one counts as reuse
+    const result = await db.revokeSession(session.id, 'rotated');
+    if (result.changes === 0) {
+      await db.revokeSessionFamily(session.family_id, 'reuse_detected');
+      throw new SessionError('Refresh token has been revoked');
+    }
+
+    const { session: next, tokens } = await createTokenPair(user, req, session.family_id, session.authenticated_at);
+    await db.run('UPDATE sessions SET replaced_by = ? WHERE id = ?', [next.id, session.id]);
+    return { user, tokens };
+  });
+}
+
+// Revoke the session family a refresh token belongs to
+async function revokeRefreshToken(refreshToken) {
+  const session = await db.getSessionByTokenHash(hashToken(refreshToken));
+  if (!session) {
+    return false;
+  }
+
+  await db.revokeSessionFamily(session.family_id, 'logout');
+  return true;
+}
+
+// Reject access tokens whose session was revoked or that predate a credential change
+async function isAccessTokenRevoked(payload, user) {
+  if (user.credentials_changed_at) {
+    const changedAt = Math.floor(new Date(user.credentials_changed_at).getTime() / 1000);
+    if (payload.iat < changedAt) {
+      return true;
+    }
+  }
+
+  if (payload.sid && !await db.isSessionFamilyActive(payload.sid)) {
+    return true;
+  }
+
+  return false;
+}
+
+// Changes an account without a password could otherwise make with nothing but an
+// access token need a sign-in within the last RECENT_LOGIN_MINUTES
+function assertRecentLogin(payload) {
+  const signedInSecondsAgo = Date.now() / 1000 - (payload.auth_time || 0);
+  if (signedInSecondsAgo > RECENT_LOGIN_MINUTES * 60) {
+    throw new ApiError(403, 'Sign in again to make this change', { code: 'RECENT_LOGIN_REQUIRED' });
+  }
+}
+
+// Invalidate every token issued to a user, e.g. after a password change
+async function revokeAllForUser(userId, reason) {
+  await db.updateUser(userId, {
+    credentials_changed_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  });
+  await db.revokeUserSessions(userId, reason);
+}
+
+module.exports = {
+  JWT_SECRET,
+  DEFAULT_JWT_SECRET,
+  SessionError,
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  isAccessTokenRevoked,
+  assertRecentLogin,
+  revokeAllForUser
+};
@@ -0,0 +1,31 @@
+const stripe = require('stripe');
+
+let client = null;
+
+// Point the client at STRIPE_API_BASE (e.g. a stripe-mock at http://localhost:12111) when set
+function createClient(secretKey = process.env.STRIPE_SECRET_KEY) {
+  const options = {};
+
+  if (process.env.STRIPE_API_BASE) {
+    const base = new URL(process.env.STRIPE_API_BASE);
+    options.host = base.hostname;
+    options.port = base.port || (base.protocol === 'https:' ? 443 : 80);
+    options.protocol = base.protocol.replace(':', '');
+  }
+
+  return stripe(secretKey, options);
+}
+
+function getStripe() {
+  if (!client) {
+    client = createClient();
+  }
+  return client;
+}
+
+// Replace the shared client, e.g. with a fake in tests
+function setStripe(nextClient) {
+  client = nextClient;
+}
+
+module.exports = { createClient, getStripe, setStripe };
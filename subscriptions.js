@@ -1,139 +1,318 @@
 const express = require('express');
-const stripe = require('stripe');
 const { authenticateToken } = require('./auth');
 const db = require('../database');
+const planCatalog = require('../planCatalog');
+const planChanges = require('../planChanges');
+const organizationMembership = require('../organizationMembership');
+const { getBilling } = require('../billing');
+const { ApiError, asyncHandler } = require('../errors');
+const { validate, rules } = require('../validation');
 
 const router = express.Router();
-const stripeClient = stripe(process.env.STRIPE_SECRET_KEY);
 
-// Get user subscription status
-router.get('/status', authenticateToken, async (req, res) => {
-  try {
-    const subscription = await db.getUserSubscription(req.user.userId);
-    
-    if (!subscription) {
-      return res.json({
-        status: 'free',
-        plan_type: 'free',
-        current_period_end: null,
-        stripe_customer_id: null
-      });
-    }
+// Length of the free trial on a customer's first subscription; 0 disables trials
+const TRIAL_DAYS = parseInt(process.env.TRIAL_DAYS || '7', 10);
+
+// Subscriptions that no longer bill, so the customer may check out again
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+// Look up an active promotion code by the code customers type in
+async function findPromotionCode(code) {
+  const promotion = await getBilling().findPromotionCode(code);
+  if (!promotion) {
+    throw new ApiError(400, 'Promotion code is invalid or expired', { code: 'INVALID_PROMOTION_CODE' });
+  }
+  return promotion;
+}
+
+function formatDiscount(discount) {
+  if (!discount) return null;
+  const { coupon } = discount;
+  return {
+    coupon: coupon.name || coupon.id,
+    percent_off: coupon.percent_off,
+    amount_off: coupon.amount_off,
+    currency: coupon.currency,
+    duration: coupon.duration,
+    duration_in_months: coupon.duration_in_months,
+    end: discount.end ? new Date(discount.end * 1000).toISOString() : null
+  };
+}
+
+const INVOICE_STATUSES = ['draft', 'open', 'paid', 'uncollectible', 'void'];
 
-    res.json({
-      status: subscription.status,
-      plan_type: subscription.plan_type,
-      current_period_start: subscription.current_period_start,
-      current_period_end: subscription.current_period_end,
-      payment_status: subscription.payment_status,
-      stripe_customer_id: subscription.stripe_customer_id
+function toPublicInvoice(invoice) {
+  return {
+    id: invoice.id,
+    stripe_invoice_id: invoice.stripe_invoice_id,
+    number: invoice.number,
+    status: invoice.status,
+    billing_reason: invoice.billing_reason,
+    currency: invoice.currency,
+    amount_due: invoice.amount_due,
+    amount_paid: invoice.amount_paid,
+    amount_remaining: invoice.amount_remaining,
+    hosted_invoice_url: invoice.hosted_invoice_url,
+    invoice_pdf: invoice.invoice_pdf,
+    period_start: invoice.period_start,
+    period_end: invoice.period_end,
+    attempt_count: invoice.attempt_count,
+    failure_reason: invoice.failure_reason,
+    next_payment_attempt: invoice.next_payment_attempt,
+    paid_at: invoice.paid_at,
+    created_at: invoice.invoice_created_at
+  };
+}
+
+// Get user subscription status
+router.get('/status', authenticateToken, asyncHandler(async (req, res) => {
+  const { plan, subscription, entitlement, organization } = await planCatalog.getUserPlan(req.user.userId);
+  
+  if (!subscription) {
+    return res.json({
+      status: 'free',
+      plan_type: plan.key,
+      plan_name: plan.name,
+      limits: plan.limits,
+      entitlement,
+      organization,
+      current_period_end: null,
+      stripe_customer_id: null
     });
-  } catch (error) {
-    console.error('Get subscription status error:', error);
-    res.status(500).json({ error: 'Internal server error' });
   }
-});
 
-// Create Stripe checkout session
-router.post('/create-checkout-session', authenticateToken, async (req, res) => {
-  try {
-    const { priceId, successUrl, cancelUrl } = req.body;
+  res.json({
+    status: subscription.status,
+    plan_type: plan.key,
+    plan_name: plan.name,
+    limits: plan.limits,
+    entitlement,
+    organization,
+    seat_quantity: subscription.seat_quantity,
+    current_period_start: subscription.current_period_start,
+    current_period_end: subscription.current_period_end,
+    trial_end: subscription.trial_end,
+    cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+    canceled_at: subscription.canceled_at,
+    pause_collection: subscription.pause_collection
+      ? { behavior: subscription.pause_collection, resumes_at: subscription.pause_resumes_at }
+      : null,
+    grace_period_ends_at: entitlement === 'grace' ? subscription.grace_period_ends_at : null,
+    scheduled_change: subscription.scheduled_plan_type
+      ? { plan_type: subscription.scheduled_plan_type, price_id: subscription.scheduled_price_id, effective_at: subscription.scheduled_change_at }
+      : null,
+    payment_status: subscription.payment_status,
+    stripe_customer_id: subscription.stripe_customer_id
+  });
+}));
 
-    if (!priceId) {
-      return res.status(400).json({ error: 'Price ID is required' });
-    }
+// Create checkout session
+router.post('/create-checkout-session', authenticateToken, validate({
+  body: {
+    priceId: { ...rules.priceId, required: true },
+    successUrl: rules.redirectUrl,
+    cancelUrl: rules.redirectUrl,
+    promotionCode: rules.promotionCode
+  }
+}), asyncHandler(async (req, res) => {
+  const { priceId, successUrl, cancelUrl, promotionCode } = req.body;
 
-    const user = await db.getUserById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  const user = await db.getUserById(req.user.userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
 
-    // Check if user already has a Stripe customer ID
-    let customerId;
-    const existingSubscription = await db.getUserSubscription(req.user.userId);
-    
-    if (existingSubscription && existingSubscription.stripe_customer_id) {
-      customerId = existingSubscription.stripe_customer_id;
-    } else {
-      // Create new Stripe customer
-      const customer = await stripeClient.customers.create({
-        email: user.email,
-        name: user.name,
-        metadata: {
-          userId: user.id
-        }
-      });
-      customerId = customer.id;
-    }
+  // Check if user already has a billing customer ID
+  let customerId;
+  const existingSubscription = await db.getUserSubscription(req.user.userId);
 
-    // Create checkout session
-    const session = await stripeClient.checkout.sessions.create({
-      customer: customerId,
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price: priceId,
-          quantity: 1,
-        },
-      ],
-      mode: 'subscription',
-      success_url: successUrl || `${process.env.FRONTEND_URL}/subscription?success=true`,
-      cancel_url: cancelUrl || `${process.env.FRONTEND_URL}/subscription?canceled=true`,
-      subscription_data: {
-        trial_period_days: 7, // 7-day free trial
-        metadata: {
-          userId: user.id
-        }
+  // A second checkout would create a second subscription; plan changes go through /change-plan
+  if (existingSubscription?.stripe_subscription_id && !ENDED_STATUSES.includes(existingSubscription.status)) {
+    throw new ApiError(409, 'You already have a subscription; change plans instead', { code: 'SUBSCRIPTION_EXISTS' });
+  }
+
+  // Team plans bill one seat per member of the organization the user owns
+  let quantity = 1;
+  if (await db.getOwnedOrganization(user.id)) {
+    const planKey = await planCatalog.resolvePlanKey(await getBilling().retrievePrice(priceId));
+    const plan = planKey && await db.getPlan(planKey);
+    if (plan) {
+      await organizationMembership.assertPlanCoversMembers(user.id, plan);
+      quantity = await organizationMembership.getSeatQuantity(user.id, plan.key);
+    }
+  }
+  
+  if (existingSubscription && existingSubscription.stripe_customer_id) {
+    customerId = existingSubscription.stripe_customer_id;
+  } else {
+    // Create new billing customer
+    const customer = await getBilling().createCustomer({
+      email: user.email,
+      name: user.name,
+      metadata: {
+        userId: user.id
       }
     });
+    customerId = customer.id;
+  }
+
+  // Create checkout session; only a customer's first subscription gets a trial
+  const session = await getBilling().createCheckoutSession({
+    customerId,
+    userId: user.id,
+    priceId,
+    quantity,
+    trialDays: existingSubscription?.trial_end ? 0 : TRIAL_DAYS,
+    promotionCodeId: promotionCode ? (await findPromotionCode(promotionCode)).id : null,
+    successUrl: successUrl || `${process.env.FRONTEND_URL}/subscription?success=true`,
+    cancelUrl: cancelUrl || `${process.env.FRONTEND_URL}/subscription?canceled=true`
+  });
+
+  res.json({ sessionId: session.id, url: session.url });
+}));
 
-    res.json({ sessionId: session.id, url: session.url });
-  } catch (error) {
-    console.error('Create checkout session error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// Preview the prorated invoice for moving to another price
+router.get('/preview-change', authenticateToken, validate({
+  query: { priceId: { ...rules.priceId, required: true } }
+}), asyncHandler(async (req, res) => {
+  const subscription = await db.getUserSubscription(req.user.userId);
+  const preview = await planChanges.previewChange(subscription, req.query.priceId);
+
+  res.json({ preview });
+}));
+
+// Upgrades apply now with proration; downgrades are scheduled for the end of the period
+router.post('/change-plan', authenticateToken, validate({
+  body: {
+    priceId: { ...rules.priceId, required: true },
+    prorationDate: { type: 'integer', min: 0 }
   }
-});
-
-// Create Stripe customer portal session
-router.post('/create-portal-session', authenticateToken, async (req, res) => {
-  try {
-    const subscription = await db.getUserSubscription(req.user.userId);
-    
-    if (!subscription || !subscription.stripe_customer_id) {
-      return res.status(400).json({ error: 'No active subscription found' });
-    }
+}), asyncHandler(async (req, res) => {
+  const { priceId, prorationDate } = req.body;
 
-    const portalSession = await stripeClient.billingPortal.sessions.create({
-      customer: subscription.stripe_customer_id,
-      return_url: `${process.env.FRONTEND_URL}/subscription`,
-    });
+  const subscription = await db.getUserSubscription(req.user.userId);
+  const change = await planChanges.changePlan(subscription, priceId, { prorationDate });
+
+  res.json({ change });
+}));
+
+// Apply a promotion code to the existing subscription
+router.post('/apply-promotion-code', authenticateToken, validate({
+  body: { code: { ...rules.promotionCode, required: true } }
+}), asyncHandler(async (req, res) => {
+  const subscription = await db.getUserSubscription(req.user.userId);
 
-    res.json({ url: portalSession.url });
-  } catch (error) {
-    console.error('Create portal session error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  if (!subscription || !subscription.stripe_subscription_id || ENDED_STATUSES.includes(subscription.status)) {
+    throw new ApiError(400, 'No active subscription found', { code: 'NO_SUBSCRIPTION' });
   }
-});
+
+  const promotion = await findPromotionCode(req.body.code);
+
+  const updated = await getBilling().applyPromotionCode(subscription.stripe_subscription_id, promotion.id);
+
+  res.json({ discount: formatDiscount(updated.discount) });
+}));
+
+// Drop a scheduled downgrade
+router.delete('/scheduled-change', authenticateToken, asyncHandler(async (req, res) => {
+  const subscription = await db.getUserSubscription(req.user.userId);
+  await planChanges.cancelScheduledChange(subscription);
+
+  res.json({ message: 'Scheduled plan change canceled' });
+}));
+
+// Billing history, newest first
+router.get('/invoices', authenticateToken, validate({
+  query: {
+    ...rules.pagination,
+    status: { type: 'string', enum: INVOICE_STATUSES },
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' }
+  }
+}), asyncHandler(async (req, res) => {
+  const { status, from, to, limit, offset } = req.query;
+
+  const invoices = await db.getInvoices({
+    userId: req.user.userId,
+    status,
+    from: from ? new Date(from).toISOString() : undefined,
+    to: to ? new Date(to).toISOString() : undefined,
+    limit,
+    offset
+  });
+
+  res.json({ invoices: invoices.map(toPublicInvoice), limit, offset });
+}));
+
+// A single invoice by our ID or the Stripe invoice ID
+router.get('/invoices/:invoiceId', authenticateToken, validate({
+  params: { invoiceId: { type: 'string', required: true, maxLength: 255, pattern: /^[A-Za-z0-9_-]+$/ } }
+}), asyncHandler(async (req, res) => {
+  const invoice = await db.getUserInvoice(req.user.userId, req.params.invoiceId);
+  if (!invoice) {
+    throw new ApiError(404, 'Invoice not found');
+  }
+
+  res.json({ invoice: toPublicInvoice(invoice) });
+}));
+
+// Create customer portal session
+router.post('/create-portal-session', authenticateToken, asyncHandler(async (req, res) => {
+  const subscription = await db.getUserSubscription(req.user.userId);
+  
+  if (!subscription || !subscription.stripe_customer_id) {
+    throw new ApiError(400, 'No active subscription found', { code: 'NO_SUBSCRIPTION' });
+  }
+
+  const portalSession = await getBilling().createPortalSession({
+    customerId: subscription.stripe_customer_id,
+    returnUrl: `${process.env.FRONTEND_URL}/subscription`
+  });
+
+  res.json({ url: portalSession.url });
+}));
 
 // Cancel subscription
-router.post('/cancel', authenticateToken, async (req, res) => {
-  try {
-    const subscription = await db.getUserSubscription(req.user.userId);
-    
-    if (!subscription || !subscription.stripe_subscription_id) {
-      return res.status(400).json({ error: 'No active subscription found' });
-    }
+router.post('/cancel', authenticateToken, asyncHandler(async (req, res) => {
+  const subscription = await db.getUserSubscription(req.user.userId);
+  
+  if (!subscription || !subscription.stripe_subscription_id) {
+    throw new ApiError(400, 'No active subscription found', { code: 'NO_SUBSCRIPTION' });
+  }
 
-    // Cancel at period end
-    await stripeClient.subscriptions.update(subscription.stripe_subscription_id, {
-      cancel_at_period_end: true
-    });
+  // Cancel at period end
+  await getBilling().setCancelAtPeriodEnd(subscription.stripe_subscription_id, true);
+
+  await db.updateUserSubscription(req.user.userId, {
+    cancel_at_period_end: 1,
+    updated_at: new Date().toISOString()
+  });
 
-    res.json({ message: 'Subscription will be canceled at the end of the current period' });
-  } catch (error) {
-    console.error('Cancel subscription error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  res.json({
+    message: 'Subscription will be canceled at the end of the current period',
+    cancel_at: subscription.current_period_end
+  });
+}));
+
+// Undo a scheduled cancellation
+router.post('/reactivate', authenticateToken, asyncHandler(async (req, res) => {
+  const subscription = await db.getUserSubscription(req.user.userId);
+
+  if (!subscription || !subscription.stripe_subscription_id) {
+    throw new ApiError(400, 'No active subscription found', { code: 'NO_SUBSCRIPTION' });
+  }
+  if (!subscription.cancel_at_period_end) {
+    throw new ApiError(409, 'Subscription is not scheduled to cancel', { code: 'NOT_CANCELING' });
   }
-});
+
+  await getBilling().setCancelAtPeriodEnd(subscription.stripe_subscription_id, false);
+
+  await db.updateUserSubscription(req.user.userId, {
+    cancel_at_period_end: 0,
+    updated_at: new Date().toISOString()
+  });
+
+  res.json({ message: 'Subscription will renew at the end of the current period' });
+}));
 
 module.exports = router;
\ No newline at end of file
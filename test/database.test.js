@@ -0,0 +1,287 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, databaseUrls, openDatabase, closeDatabase, createUser } = require('./helpers');
+const { Migrator, loadMigrations } = require('../migrator');
+
+const PERIOD = { start: '2024-01-01T00:00:00.000Z', end: '2024-02-01T00:00:00.000Z' };
+
+for (const url of databaseUrls()) {
+  describe(`database (${url.split(':')[0]})`, () => {
+    before(() => openDatabase(url));
+    after(() => closeDatabase());
+
+    describe('migrations', () => {
+      const migrator = () => new Migrator(db, { log: () => {} });
+
+      it('applies every migration on init', async () => {
+        const status = await migrator().status();
+        assert.equal(status.length, loadMigrations().length);
+        assert.ok(status.every(row => row.applied));
+      });
+
+      it('prints a dry run without applying it', async () => {
+        const lines = [];
+        const rolledBack = await new Migrator(db, { log: line => lines.push(line) }).down({ dryRun: true });
+
+        assert.equal(rolledBack.length, 1);
+        assert.match(lines[0], /\(down\)$/);
+        assert.ok((await migrator().status()).every(row => row.applied));
+      });
+
+      it('rolls every migration back and applies them again', async () => {
+        const [first] = loadMigrations();
+        const count = loadMigrations().length;
+
+        const rolledBack = await migrator().down({ steps: count });
+        assert.equal(rolledBack.length, count);
+        assert.ok((await migrator().status()).every(row => !row.applied));
+        await assert.rejects(db.get('SELECT COUNT(*) AS count FROM users'));
+
+        const entries = [];
+        const applied = await new Migrator(db, { log: (message, fields) => entries.push([message, fields]) }).up();
+        assert.equal(applied.length, count);
+        assert.equal(entries.length, count);
+        assert.deepEqual(entries[0], ['Migration applied', { migration: `${first.version}_${first.name} (up)` }]);
+        await db.seedDefaultPlans();
+        assert.equal((await db.get('SELECT COUNT(*) AS count FROM users')).count, 0);
+      });
+
+      it('stops at a target version', async () => {
+        const [first, second] = loadMigrations();
+        const count = loadMigrations().length;
+
+        await migrator().down({ steps: count });
+        assert.deepEqual(await migrator().up({ to: second.version }), [first.version, second.version]);
+        assert.equal((await migrator().up()).length, count - 2);
+        await db.seedDefaultPlans();
+      });
+
+      it('keeps one account per email address regardless of case', async () => {
+        const migrations = loadMigrations();
+        const emailIndex = migrations.findIndex(migration => migration.name === 'case_insensitive_emails');
+        await migrator().down({ steps: migrations.length - emailIndex });
+        const insert = (id, email, createdAt, verifiedAt = null) => db.run(
+          'INSERT INTO users (id, email, password_hash, name, created_at, email_verified_at) VALUES (?, ?, ?, ?, ?, ?)',
+          [id, email, 'hash', 'Twin', createdAt, verifiedAt]
+        );
+        await insert('twin-1', 'Twin@Example.com', '2024-01-01 00:00:00');
+        await insert('twin-2', 'twin@example.com', '2024-02-01 00:00:00', '2024-02-02T00:00:00.000Z');
+        await insert('twin-3', 'TWIN@example.com', '2024-03-01 00:00:00');
+
+        await migrator().up();
+
+        assert.equal((await db.getUserById('twin-2')).email, 'twin@example.com');
+        assert.equal((await db.getUserById('twin-1')).email, 'twin@example.com.duplicate-twin-1');
+        assert.equal((await db.getUserById('twin-3')).email, 'twin@example.com.duplicate-twin-3');
+        assert.equal((await db.getUserByEmail('Twin@Example.com')).id, 'twin-2');
+      });
+    });
+
+    describe('transactions', () => {
+      it('commits when the callback resolves', async () => {
+        const user = await db.transaction(tx => tx.createUser('commit@example.com', 'hash', 'Commit'));
+
+        assert.equal((await db.getUserById(user.id)).email, 'commit@example.com');
+      });
+
+      it('rolls back when the callback throws', async () => {
+        await assert.rejects(db.transaction(async (tx) => {
+          await tx.createUser('rollback@example.com', 'hash', 'Rollback');
+          throw new Error('abort');
+        }), /abort/);
+
+        assert.equal(await db.getUserByEmail('rollback@example.com'), undefined);
+      });
+
+      it('joins a transaction started inside another', async () => {
+        await assert.rejects(db.transaction(async (tx) => {
+          await tx.transaction(inner => inner.createUser('nested@example.com', 'hash', 'Nested'));
+          throw new Error('abort');
+        }), /abort/);
+
+        assert.equal(await db.getUserByEmail('nested@example.com'), undefined);
+      });
+
+      it('keeps statements from outside a transaction out of it', async () => {
+        let opened;
+        const isOpen = new Promise(resolve => { opened = resolve; });
+        let release;
+        const released = new Promise(resolve => { release = resolve; });
+
+        const failing = db.transaction(async (tx) => {
+          await tx.createUser('inside@example.com', 'hash', 'Inside');
+          opened();
+          await released;
+          throw new Error('abort');
+        });
+
+        await isOpen;
+        const outside = db.createUser('outside@example.com', 'hash', 'Outside');
+        release();
+
+        await assert.rejects(failing, /abort/);
+        await outside;
+        assert.equal(await db.getUserByEmail('inside@example.com'), undefined);
+        assert.ok(await db.getUserByEmail('outside@example.com'));
+      });
+
+      it('never lets concurrent usage overshoot the limit', async () => {
+        const user = await createUser();
+
+        const results = await Promise.all(
+          Array.from({ length: 5 }, () => db.consumeUsage(user.id, 'assessment', 3, PERIOD))
+        );
+
+        assert.equal(results.filter(result => result.allowed).length, 3);
+        assert.equal((await db.getFeatureUsage(user.id, 'assessment', PERIOD.start)).usage_count, 3);
+        assert.equal((await db.getUsageEvents(user.id)).length, 3);
+      });
+
+      it('counts concurrent requests with the same idempotency key once', async () => {
+        const user = await createUser();
+
+        const results = await Promise.all(
+          Array.from({ length: 5 }, () => db.consumeUsage(user.id, 'assessment', 3, PERIOD, { idempotencyKey: 'same' }))
+        );
+
+        assert.equal(results.filter(result => !result.duplicate).length, 1);
+        assert.ok(results.every(result => result.allowed && result.usage === 1));
+        assert.equal((await db.getUsageEvents(user.id)).length, 1);
+      });
+    });
+
+    describe('user methods', () => {
+      it('creates, finds and updates users', async () => {
+        const user = await db.createUser('finder@example.com', 'hash', 'Finder');
+
+        assert.equal((await db.getUserByEmail('finder@example.com')).id, user.id);
+        await db.updateUser(user.id, { name: 'Renamed' });
+        assert.equal((await db.getUserById(user.id)).name, 'Renamed');
+        assert.deepEqual((await db.searchUsers({ query: 'FINDER' })).map(row => row.id), [user.id]);
+      });
+
+      it('stores emails in lower case and finds them in any case', async () => {
+        const user = await db.createUser('Mixed.Case@Example.com', 'hash', 'Mixed');
+
+        assert.equal(user.email, 'mixed.case@example.com');
+        assert.equal((await db.getUserByEmail('MIXED.case@example.COM')).id, user.id);
+        await assert.rejects(db.run(
+          'INSERT INTO users (id, email, password_hash, name) VALUES (?, ?, ?, ?)',
+          ['mixed-twin', 'Mixed.Case@example.com', 'hash', 'Twin']
+        ));
+      });
+    });
+
+    describe('plan methods', () => {
+      it('seeds the default plans once', async () => {
+        await db.seedDefaultPlans();
+
+        assert.deepEqual((await db.getPlans()).map(plan => plan.key), ['free', 'pro', 'premium']);
+        const limits = await db.getPlanLimits('premium');
+        assert.ok(limits.every(limit => limit.limit_value === -1));
+      });
+
+      it('upserts plan limits', async () => {
+        await db.setPlanLimit('free', 'assessment', 4);
+        await db.setPlanLimit('free', 'assessment', 6);
+
+        const limit = (await db.getPlanLimits('free')).find(row => row.feature_type === 'assessment');
+        assert.equal(limit.limit_value, 6);
+        await db.setPlanLimit('free', 'assessment', 2);
+      });
+
+      it('finds plan prices by price ID or lookup key', async () => {
+        const price = await db.addPlanPrice('pro', { stripe_price_id: 'price_db_test', lookup_key: 'pro_db_test' });
+
+        assert.equal((await db.findPlanPrice({ priceId: 'price_db_test' })).id, price.id);
+        assert.equal((await db.findPlanPrice({ priceId: 'price_missing', lookupKey: 'pro_db_test' })).id, price.id);
+        assert.equal(await db.findPlanPrice({ priceId: 'price_missing' }), undefined);
+        await db.deletePlanPrice('pro', price.id);
+      });
+    });
+
+    describe('subscription methods', () => {
+      it('inserts a subscription and then updates it', async () => {
+        const user = await createUser();
+
+        await db.updateUserSubscription(user.id, { plan_type: 'pro', status: 'active', stripe_subscription_id: 'sub_db_test' });
+        await db.updateUserSubscription(user.id, { status: 'past_due' });
+
+        const row = await db.getSubscriptionByStripeId('sub_db_test');
+        assert.equal(row.user_id, user.id);
+        assert.equal(row.plan_type, 'pro');
+        assert.equal(row.status, 'past_due');
+      });
+
+      it('starts a grace period only once', async () => {
+        await db.startGracePeriod('sub_db_test', '2030-01-01T00:00:00.000Z');
+        await db.startGracePeriod('sub_db_test', '2031-01-01T00:00:00.000Z');
+
+        assert.equal((await db.getSubscriptionByStripeId('sub_db_test')).grace_period_ends_at, '2030-01-01T00:00:00.000Z');
+      });
+    });
+
+    describe('usage methods', () => {
+      it('counts an idempotency key once', async () => {
+        const user = await createUser();
+
+        const first = await db.consumeUsage(user.id, 'journal_entry', 5, PERIOD, { idempotencyKey: 'entry-1' });
+        const second = await db.consumeUsage(user.id, 'journal_entry', 5, PERIOD, { idempotencyKey: 'entry-1' });
+
+        assert.deepEqual(first, { allowed: true, duplicate: false, usage: 1 });
+        assert.deepEqual(second, { allowed: true, duplicate: true, usage: 1 });
+      });
+
+      it('lets a refused idempotency key be tried again', async () => {
+        const user = await createUser();
+
+        const refused = await db.consumeUsage(user.id, 'journal_entry', 0, PERIOD, { idempotencyKey: 'entry-1' });
+        const retried = await db.consumeUsage(user.id, 'journal_entry', 5, PERIOD, { idempotencyKey: 'entry-1' });
+
+        assert.deepEqual(refused, { allowed: false, duplicate: false, usage: 0 });
+        assert.deepEqual(retried, { allowed: true, duplicate: false, usage: 1 });
+        assert.equal((await db.getUsageEvents(user.id)).length, 1);
+      });
+
+      it('never adjusts a counter below zero', async () => {
+        const user = await createUser();
+        await db.consumeUsage(user.id, 'habit_tracking', 5, PERIOD, { quantity: 2 });
+
+        assert.equal(await db.adjustUsage(user.id, 'habit_tracking', PERIOD, -5, { reason: 'test' }), 0);
+        const events = await db.getUsageEvents(user.id);
+        assert.deepEqual(events.map(event => event.quantity).sort(), [-2, 2]);
+      });
+    });
+
+    describe('webhook event methods', () => {
+      const event = (id, created) => ({ id, type: 'customer.subscription.updated', created, data: { object: { id: 'sub_ledger' } } });
+
+      it('records each event once', async () => {
+        assert.equal(await db.recordWebhookEvent(event('evt_db_1', 100)), true);
+        assert.equal(await db.recordWebhookEvent(event('evt_db_1', 100)), false);
+        assert.equal((await db.getWebhookEvent('evt_db_1')).status, 'received');
+      });
+
+      it('tracks the newest processed event per object', async () => {
+        await db.recordWebhookEvent(event('evt_db_2', 200));
+        await db.updateWebhookEvent('evt_db_1', { status: 'processed' });
+
+        assert.equal(await db.getLastAppliedEventCreated('sub_ledger', 'customer.subscription.'), 100);
+        await db.updateWebhookEvent('evt_db_2', { status: 'processed' });
+        assert.equal(await db.getLastAppliedEventCreated('sub_ledger', 'customer.subscription.'), 200);
+      });
+    });
+
+    describe('rate limit methods', () => {
+      it('counts hits until the window expires', async () => {
+        assert.equal(await db.incrementRateLimit('test:key', 1000, 0), 1);
+        assert.equal(await db.incrementRateLimit('test:key', 1000, 500), 2);
+        assert.equal(await db.getRateLimit('test:key', 500), 2);
+        assert.equal(await db.incrementRateLimit('test:key', 1000, 1000), 1);
+
+        await db.pruneRateLimits(5000);
+        assert.equal(await db.getRateLimit('test:key', 1500), 0);
+      });
+    });
+  });
+}
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+
+const WEBHOOK_SECRET = 'whsec_test';
+const PERIOD_START = 1700000000;
+const PERIOD_END = PERIOD_START + 30 * 24 * 60 * 60;
+
+function missing(type, id) {
+  const error = new Error(`No such ${type}: '${id}'`);
+  error.type = 'StripeInvalidRequestError';
+  error.code = 'resource_missing';
+  error.statusCode = 404;
+  return error;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(payload).digest('hex');
+}
+
+// Shared by every fake so IDs stay unique across tests that use one database
+let sequence = 0;
+
+// A signed webhook delivery: the raw body and its Stripe-Signature header
+function deliver(event) {
+  const payload = Buffer.from(JSON.stringify(event));
+  return { payload, signature: sign(payload) };
+}
+
+// The part of the Stripe client the app calls, kept in memory. Every call is
+// recorded in `calls` as [method, ...args] so tests can check what was sent.
+function createFakeStripe() {
+  const prices = new Map();
+  const customers = new Map();
+  const subscriptions = new Map();
+  const schedules = new Map();
+  const paymentIntents = new Map();
+  const calls = [];
+
+  const record = (method, fn) => async (...args) => {
+    calls.push([method, ...args]);
+    return fn(...args);
+  };
+
+  const find = (map, type, id) => {
+    if (!map.has(id)) throw missing(type, id);
+    return map.get(id);
+  };
+
+  const fake = {
+    calls,
+    // Set to make the next upgrade's prorated invoice fail, leaving a pending_update
+    declineNextInvoice: false,
+
+    addPrice({ id, unitAmount, planKey }) {
+      const price = {
+        id,
+        object: 'price',
+        active: true,
+        currency: 'usd',
+        unit_amount: unitAmount,
+        recurring: { interval: 'month', interval_count: 1 },
+        lookup_key: null,
+        product: { id: `prod_${planKey}`, metadata: {} },
+        metadata: { plan_key: planKey }
+      };
+      prices.set(id, price);
+      return price;
+    },
+
+    addCustomer({ id, deleted = false }) {
+      const customer = { id, object: 'customer', deleted };
+      customers.set(id, customer);
+      return customer;
+    },
+
+    addSubscription({ id, customer, priceId, status = 'active', quantity = 1, trialEnd = null }) {
+      if (!customers.has(customer)) fake.addCustomer({ id: customer });
+      sequence += 1;
+      const subscriptionId = id || `sub_${sequence}`;
+      const subscription = {
+        id: subscriptionId,
+        object: 'subscription',
+        customer,
+        status,
+        schedule: null,
+        current_period_start: PERIOD_START,
+        current_period_end: PERIOD_END,
+        trial_end: trialEnd,
+        cancel_at_period_end: false,
+        canceled_at: null,
+        pause_collection: null,
+        pending_update: null,
+        items: { data: [{ id: `si_${subscriptionId}`, price: find(prices, 'price', priceId), quantity }] }
+      };
+      subscriptions.set(subscriptionId, subscription);
+      return subscription;
+    },
+
+    addPaymentIntent(paymentIntent) {
+      paymentIntents.set(paymentIntent.id, paymentIntent);
+    },
+
+    called(method) {
+      return calls.filter(([name]) => name === method).map(([, ...args]) => args);
+    },
+
+    customers: {
+      retrieve: record('customers.retrieve', id => find(customers, 'customer', id))
+    },
+
+    prices: {
+      retrieve: record('prices.retrieve', id => find(prices, 'price', id))
+    },
+
+    subscriptions: {
+      retrieve: record('subscriptions.retrieve', id => find(subscriptions, 'subscription', id)),
+
+      // Newest first, like Stripe
+      list: record('subscriptions.list', ({ customer, limit = 10 }) => {
+        const data = [...subscriptions.values()].filter(subscription => subscription.customer === customer).reverse();
+        return { object: 'list', data: data.slice(0, limit), has_more: data.length > limit };
+      }),
+
+      update: record('subscriptions.update', (id, params) => {
+        const subscription = find(subscriptions, 'subscription', id);
+
+        if (params.items) {
+          const [change] = params.items;
+          const item = subscription.items.data.find(existing => existing.id === change.id);
+          const next = {
+            ...item,
+            ...(change.price && { price: find(prices, 'price', change.price) }),
+            ...(change.quantity && { quantity: change.quantity })
+          };
+
+          if (change.price && params.payment_behavior === 'pending_if_incomplete' && fake.declineNextInvoice) {
+            fake.declineNextInvoice = false;
+            subscription.pending_update = { subscription_items: [next] };
+            return subscription;
+          }
+          Object.assign(item, next);
+        }
+
+        if (params.cancel_at_period_end !== undefined) {
+          subscription.cancel_at_period_end = params.cancel_at_period_end;
+        }
+        return subscription;
+      })
+    },
+
+    subscriptionSchedules: {
+      create: record('subscriptionSchedules.create', ({ from_subscription: subscriptionId }) => {
+        sequence += 1;
+        const schedule = { id: `sub_sched_${sequence}`, subscription: subscriptionId, phases: [], current_phase: { start_date: PERIOD_START } };
+        schedules.set(schedule.id, schedule);
+        find(subscriptions, 'subscription', subscriptionId).schedule = schedule.id;
+        return schedule;
+      }),
+
+      retrieve: record('subscriptionSchedules.retrieve', id => find(schedules, 'subscription_schedule', id)),
+
+      update: record('subscriptionSchedules.update', (id, params) => Object.assign(find(schedules, 'subscription_schedule', id), params)),
+
+      release: record('subscriptionSchedules.release', id => {
+        const schedule = find(schedules, 'subscription_schedule', id);
+        schedules.delete(id);
+        subscriptions.get(schedule.subscription).schedule = null;
+        return schedule;
+      })
+    },
+
+    invoices: {
+      // Proration lines only appear when the change is invoiced straight away
+      retrieveUpcoming: record('invoices.retrieveUpcoming', params => {
+        const subscription = find(subscriptions, 'subscription', params.subscription);
+        const current = subscription.items.data[0].price;
+        const next = find(prices, 'price', params.subscription_items[0].price);
+
+        const lines = [];
+        if (params.subscription_proration_behavior === 'always_invoice') {
+          lines.push(
+            { description: `Unused time on ${current.id}`, amount: -current.unit_amount / 2, proration: true },
+            { description: `Remaining time on ${next.id}`, amount: next.unit_amount / 2, proration: true }
+          );
+        }
+        lines.push({ description: `1 × ${next.id}`, amount: next.unit_amount, proration: false });
+
+        return { currency: 'usd', amount_due: lines.reduce((sum, line) => sum + line.amount, 0), lines: { data: lines } };
+      })
+    },
+
+    paymentIntents: {
+      retrieve: record('paymentIntents.retrieve', id => find(paymentIntents, 'payment_intent', id))
+    },
+
+    webhooks: {
+      constructEvent(payload, header, secret) {
+        if (secret !== WEBHOOK_SECRET || header !== sign(payload)) {
+          const error = new Error('No signatures found matching the expected signature for payload');
+          error.type = 'StripeSignatureVerificationError';
+          throw error;
+        }
+        return JSON.parse(payload.toString());
+      }
+    }
+  };
+
+  return fake;
+}
+
+module.exports = { createFakeStripe, deliver, WEBHOOK_SECRET, PERIOD_START, PERIOD_END };
@@ -0,0 +1,48 @@
+// Shared test setup. Require this before any app module so the environment below is
+// in place when those modules read it.
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const db = require('../database');
+const { createAdapter } = require('../db');
+
+// In-memory SQLite always; PostgreSQL too when TEST_POSTGRES_URL names a scratch
+// database, whose public schema is dropped before each run
+function databaseUrls() {
+  return ['sqlite::memory:', process.env.TEST_POSTGRES_URL].filter(Boolean);
+}
+
+// Point the shared database at an empty, migrated and seeded database
+async function openDatabase(url = 'sqlite::memory:') {
+  const adapter = createAdapter(url);
+
+  if (adapter.dialect === 'postgres') {
+    await adapter.connect();
+    await adapter.run('DROP SCHEMA public CASCADE');
+    await adapter.run('CREATE SCHEMA public');
+    await adapter.close();
+  }
+
+  db.setAdapter(adapter);
+  await db.init();
+  return db;
+}
+
+async function closeDatabase() {
+  await db.close();
+  db.setAdapter(null);
+}
+
+let userCount = 0;
+
+async function createUser({ email, name = 'Test User', verified = true } = {}) {
+  userCount += 1;
+  const user = await db.createUser(email || `user${userCount}@example.com`, 'not-a-real-hash', name);
+  if (verified) {
+    await db.updateUser(user.id, { email_verified_at: new Date().toISOString() });
+  }
+  return db.getUserById(user.id);
+}
+
+module.exports = { db, databaseUrls, openDatabase, closeDatabase, createUser };
@@ -0,0 +1,84 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+require('./helpers');
+const { checkWebhookUrl, getChannel } = require('../notificationChannels');
+
+const notification = { id: 'n1', type: 'usage_warning', title: 'Title', body: 'Body', data: null, created_at: '2024-01-01T00:00:00.000Z' };
+
+function recipient(url) {
+  return { email: 'user@example.com', webhook: { url, secret: 'whsec_test' } };
+}
+
+describe('webhook channel', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('requires https', async () => {
+    assert.equal(await checkWebhookUrl('http://93.184.216.34/hook'), 'must use https');
+    assert.equal(await checkWebhookUrl('https://93.184.216.34/hook'), null);
+  });
+
+  it('refuses loopback, private, link-local and unique-local addresses', async () => {
+    const urls = [
+      'https://127.0.0.1/hook',
+      'https://0.0.0.0/hook',
+      'https://10.1.2.3/hook',
+      'https://172.16.0.1/hook',
+      'https://192.168.1.10/hook',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]/hook',
+      'https://[::ffff:127.0.0.1]/hook',
+      'https://[fd00::1]/hook',
+      'https://[fe80::1]/hook',
+      'https://localhost/hook'
+    ];
+
+    for (const url of urls) {
+      assert.equal(await checkWebhookUrl(url), 'must not point at a private or local address', url);
+    }
+  });
+
+  it('allows http and local endpoints with the development flag, but not in production', async () => {
+    process.env.NOTIFICATION_WEBHOOK_ALLOW_INSECURE = 'true';
+    assert.equal(await checkWebhookUrl('http://127.0.0.1:3000/hook'), null);
+
+    process.env.NODE_ENV = 'production';
+    assert.equal(await checkWebhookUrl('http://127.0.0.1:3000/hook'), 'must use https');
+  });
+
+  it('checks the endpoint again before delivering', async () => {
+    const fetch = globalThis.fetch;
+    let fetched = false;
+    globalThis.fetch = async () => { fetched = true; };
+
+    try {
+      await assert.rejects(getChannel('webhook').send(notification, recipient('https://169.254.169.254/hook')), /Webhook endpoint must not point at a private or local address/);
+    } finally {
+      globalThis.fetch = fetch;
+    }
+    assert.equal(fetched, false);
+  });
+
+  it('does not follow redirects', async () => {
+    process.env.NOTIFICATION_WEBHOOK_ALLOW_INSECURE = 'true';
+    const paths = [];
+    const server = http.createServer((req, res) => {
+      paths.push(req.url);
+      res.writeHead(302, { location: '/elsewhere' });
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/hook`;
+      await assert.rejects(getChannel('webhook').send(notification, recipient(url)), /responded with 302/);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+    assert.deepEqual(paths, ['/hook']);
+  });
+});
@@ -0,0 +1,269 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { db, openDatabase, closeDatabase, createUser } = require('./helpers');
+const oauthProviders = require('../oauthProviders');
+const oidc = require('../oidc');
+
+const CLIENT_ID = 'mindquest-test';
+const CLIENT_SECRET = 'client-secret';
+
+// An OpenID provider on a local port: discovery, JWKS and a token endpoint that
+// checks the PKCE verifier. authorize() stands in for the user signing in.
+function createIssuer() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+  let server;
+  let issuer;
+
+  function send(res, status, body) {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  function tokenResponse(params) {
+    const grant = codes.get(params.get('code'));
+    codes.delete(params.get('code'));
+    if (!grant || params.get('client_id') !== CLIENT_ID || params.get('client_secret') !== CLIENT_SECRET) {
+      return [400, { error: 'invalid_grant' }];
+    }
+
+    const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+    if (challenge !== grant.codeChallenge || params.get('redirect_uri') !== grant.redirectUri) {
+      return [400, { error: 'invalid_grant', error_description: 'PKCE verification failed' }];
+    }
+
+    const idToken = jwt.sign({ nonce: grant.nonce, ...grant.claims }, grant.signingKey || privateKey, {
+      algorithm: 'RS256',
+      keyid: 'key-1',
+      issuer,
+      audience: CLIENT_ID,
+      expiresIn: '5m'
+    });
+    return [200, { access_token: 'access', token_type: 'Bearer', id_token: idToken }];
+  }
+
+  function handle(req, res) {
+    if (req.url === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    }
+    if (req.url === '/jwks') {
+      return send(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }] });
+    }
+    if (req.url === '/token' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => send(res, ...tokenResponse(new URLSearchParams(body))));
+      return undefined;
+    }
+    return send(res, 404, { error: 'not_found' });
+  }
+
+  return {
+    async start() {
+      server = http.createServer(handle);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      issuer = `http://127.0.0.1:${server.address().port}`;
+      return issuer;
+    },
+
+    stop() {
+      return new Promise(resolve => server.close(resolve));
+    },
+
+    // The user approves the request at the provider, which redirects back with a code.
+    // nonce and signingKey stand in for a misbehaving or forged ID token.
+    authorize(authorizationUrl, claims, { nonce, signingKey } = {}) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        claims,
+        nonce: nonce || params.get('nonce'),
+        signingKey,
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri')
+      });
+      return { code, state: params.get('state') };
+    }
+  };
+}
+
+const mockIssuer = createIssuer();
+let subjectCount = 0;
+
+function account(claims = {}) {
+  subjectCount += 1;
+  return { sub: `subject-${subjectCount}`, email: `oidc${subjectCount}@example.com`, email_verified: true, ...claims };
+}
+
+async function signInWith(claims, options) {
+  const { authorizationUrl } = await oidc.startAuthorization('mock');
+  const callback = mockIssuer.authorize(authorizationUrl, claims, options);
+  const { provider, claims: verified } = await oidc.completeAuthorization(callback, 'login');
+  return oidc.signIn(provider, verified);
+}
+
+describe('OIDC sign-in', () => {
+  before(async () => {
+    await openDatabase();
+    oauthProviders.registerProvider('mock', {
+      issuer: await mockIssuer.start(),
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      redirectUrl: 'http://localhost:5174/oauth/callback'
+    });
+  });
+  after(async () => {
+    await mockIssuer.stop();
+    await closeDatabase();
+  });
+
+  describe('authorize', () => {
+    it('sends state, nonce and an S256 PKCE challenge', async () => {
+      const { authorizationUrl } = await oidc.startAuthorization('mock');
+      const url = new URL(authorizationUrl);
+      const params = url.searchParams;
+
+      assert.equal(url.pathname, '/authorize');
+      assert.equal(params.get('response_type'), 'code');
+      assert.equal(params.get('client_id'), CLIENT_ID);
+      assert.equal(params.get('redirect_uri'), 'http://localhost:5174/oauth/callback');
+      assert.equal(params.get('scope'), 'openid email profile');
+      assert.equal(params.get('code_challenge_method'), 'S256');
+      assert.match(params.get('code_challenge'), /^[\w-]{43}$/);
+      assert.ok(params.get('state'));
+      assert.ok(params.get('nonce'));
+    });
+
+    it('refuses an unknown provider', async () => {
+      await assert.rejects(oidc.startAuthorization('nope'), { status: 404, code: 'UNKNOWN_PROVIDER' });
+    });
+  });
+
+  describe('callback', () => {
+    it('creates a verified user on first sign-in and finds them again later', async () => {
+      const claims = account({ name: 'New Person' });
+
+      const first = await signInWith(claims);
+      const second = await signInWith(claims);
+
+      assert.equal(first.created, true);
+      assert.equal(first.user.email, claims.email);
+      assert.equal(first.user.password_hash, null);
+      assert.ok(first.user.email_verified_at);
+      assert.equal(second.created, false);
+      assert.equal(second.user.id, first.user.id);
+    });
+
+    it('refuses an unknown state', async () => {
+      const { authorizationUrl } = await oidc.startAuthorization('mock');
+      const { code } = mockIssuer.authorize(authorizationUrl, account());
+
+      await assert.rejects(oidc.completeAuthorization({ code, state: 'forged' }, 'login'), { status: 400, code: 'INVALID_OAUTH_STATE' });
+    });
+
+    it('accepts a state only once', async () => {
+      const { authorizationUrl } = await oidc.startAuthorization('mock');
+      const callback = mockIssuer.authorize(authorizationUrl, account());
+      await oidc.completeAuthorization(callback, 'login');
+
+      await assert.rejects(oidc.completeAuthorization(callback, 'login'), { code: 'INVALID_OAUTH_STATE' });
+    });
+
+    it('refuses a state started for another purpose', async () => {
+      const user = await createUser();
+      const { authorizationUrl } = await oidc.startAuthorization('mock', { purpose: 'link', userId: user.id });
+      const callback = mockIssuer.authorize(authorizationUrl, account());
+
+      await assert.rejects(oidc.completeAuthorization(callback, 'login'), { code: 'INVALID_OAUTH_STATE' });
+    });
+
+    it('refuses an expired state', async () => {
+      const { authorizationUrl } = await oidc.startAuthorization('mock');
+      const callback = mockIssuer.authorize(authorizationUrl, account());
+      await db.run('UPDATE oauth_states SET expires_at = ?', ['2000-01-01T00:00:00.000Z']);
+
+      await assert.rejects(oidc.completeAuthorization(callback, 'login'), { code: 'INVALID_OAUTH_STATE' });
+    });
+
+    it('refuses an ID token with another nonce', async () => {
+      await assert.rejects(signInWith(account(), { nonce: 'replayed-nonce' }), { status: 401, code: 'INVALID_ID_TOKEN', message: /nonce/ });
+    });
+
+    it('refuses an ID token signed with another key', async () => {
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+      await assert.rejects(signInWith(account(), { signingKey: privateKey }), { status: 401, code: 'INVALID_ID_TOKEN' });
+    });
+
+    it('fails when the provider rejects the PKCE verifier', async () => {
+      const { authorizationUrl } = await oidc.startAuthorization('mock');
+      const url = new URL(authorizationUrl);
+      url.searchParams.set('code_challenge', crypto.createHash('sha256').update('other-verifier').digest('base64url'));
+      const callback = mockIssuer.authorize(url.toString(), account());
+
+      await assert.rejects(oidc.completeAuthorization(callback, 'login'), { status: 502, code: 'OAUTH_PROVIDER_ERROR', message: /PKCE/ });
+    });
+  });
+
+  describe('account linking', () => {
+    it('links a new provider account to the user with that verified email', async () => {
+      const user = await createUser();
+
+      const { user: signedIn, created } = await signInWith(account({ email: user.email }));
+
+      assert.equal(created, false);
+      assert.equal(signedIn.id, user.id);
+      assert.equal(signedIn.password_hash, user.password_hash);
+      assert.equal((await db.getLinkedIdentities(user.id)).length, 1);
+    });
+
+    it('clears the password of an unverified account with that email', async () => {
+      const user = await createUser({ verified: false });
+
+      const { user: signedIn } = await signInWith(account({ email: user.email }));
+
+      assert.equal(signedIn.id, user.id);
+      assert.equal(signedIn.password_hash, null);
+      assert.ok(signedIn.email_verified_at);
+    });
+
+    it('refuses an account without a verified email', async () => {
+      const user = await createUser();
+
+      await assert.rejects(signInWith(account({ email: user.email, email_verified: false })), { status: 400, code: 'EMAIL_REQUIRED' });
+      assert.equal((await db.getLinkedIdentities(user.id)).length, 0);
+    });
+
+    it('links a provider account to the signed-in user', async () => {
+      const user = await createUser();
+      const claims = account({ email: 'different@example.org' });
+
+      const { authorizationUrl } = await oidc.startAuthorization('mock', { purpose: 'link', userId: user.id });
+      const result = await oidc.completeAuthorization(mockIssuer.authorize(authorizationUrl, claims), 'link');
+      assert.equal(result.userId, user.id);
+      const identity = await oidc.linkIdentity(result.userId, result.provider, result.claims);
+
+      assert.equal(identity.user_id, user.id);
+      assert.equal((await signInWith(claims)).user.id, user.id);
+    });
+
+    it('refuses to link an account that belongs to another user', async () => {
+      const claims = account();
+      await signInWith(claims);
+      const other = await createUser();
+
+      const { authorizationUrl } = await oidc.startAuthorization('mock', { purpose: 'link', userId: other.id });
+      const result = await oidc.completeAuthorization(mockIssuer.authorize(authorizationUrl, claims), 'link');
+
+      await assert.rejects(oidc.linkIdentity(other.id, result.provider, result.claims), { status: 409, code: 'IDENTITY_IN_USE' });
+    });
+  });
+});
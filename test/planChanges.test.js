@@ -0,0 +1,223 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, openDatabase, closeDatabase, createUser } = require('./helpers');
+const { createFakeStripe, PERIOD_END } = require('./fakeStripe');
+const { setStripe } = require('../stripeClient');
+const { createProvider, setBilling } = require('../billing');
+const planChanges = require('../planChanges');
+
+let stripe;
+
+async function subscribe(priceId, planType, { status = 'active' } = {}) {
+  const user = await createUser();
+  const subscription = stripe.addSubscription({ customer: `cus_${user.id}`, priceId, status });
+  await db.updateUserSubscription(user.id, {
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    plan_type: planType,
+    status
+  });
+  return { user, subscription, row: await db.getUserSubscription(user.id) };
+}
+
+describe('plan changes', () => {
+  before(() => openDatabase());
+  after(() => closeDatabase());
+
+  beforeEach(() => {
+    stripe = createFakeStripe();
+    stripe.addPrice({ id: 'price_pro', unitAmount: 1000, planKey: 'pro' });
+    stripe.addPrice({ id: 'price_premium', unitAmount: 3000, planKey: 'premium' });
+    setStripe(stripe);
+    setBilling(createProvider('stripe'));
+  });
+
+  describe('preview', () => {
+    it('shows the prorated invoice for an upgrade', async () => {
+      const { row, subscription } = await subscribe('price_pro', 'pro');
+
+      const preview = await planChanges.previewChange(row, 'price_premium');
+
+      assert.equal(preview.direction, 'upgrade');
+      assert.equal(preview.planType, 'premium');
+      assert.equal(preview.prorationAmount, 1000);
+      assert.equal(preview.amountDue, 4000);
+      assert.equal(preview.effectiveAt, new Date(preview.prorationDate * 1000).toISOString());
+
+      const [[params]] = stripe.called('invoices.retrieveUpcoming');
+      assert.equal(params.subscription, subscription.id);
+      assert.equal(params.subscription_proration_behavior, 'always_invoice');
+      assert.deepEqual(params.subscription_items, [{ id: subscription.items.data[0].id, price: 'price_premium' }]);
+    });
+
+    it('shows a downgrade without proration, effective at the end of the period', async () => {
+      const { row } = await subscribe('price_premium', 'premium');
+
+      const preview = await planChanges.previewChange(row, 'price_pro');
+
+      assert.equal(preview.direction, 'downgrade');
+      assert.equal(preview.prorationAmount, 0);
+      assert.ok(preview.lines.every(line => !line.proration));
+      assert.equal(preview.effectiveAt, new Date(PERIOD_END * 1000).toISOString());
+      assert.equal(stripe.called('invoices.retrieveUpcoming')[0][0].subscription_proration_behavior, 'none');
+    });
+
+    it('refuses the price the subscription is already on', async () => {
+      const { row } = await subscribe('price_pro', 'pro');
+
+      await assert.rejects(planChanges.previewChange(row, 'price_pro'), { status: 409, code: 'NO_CHANGE' });
+    });
+
+    it('refuses an unknown price', async () => {
+      const { row } = await subscribe('price_pro', 'pro');
+
+      await assert.rejects(planChanges.previewChange(row, 'price_missing'), { status: 400, code: 'UNKNOWN_PRICE' });
+    });
+
+    it('refuses a subscription that is not in good standing', async () => {
+      const { row } = await subscribe('price_pro', 'pro', { status: 'past_due' });
+
+      await assert.rejects(planChanges.previewChange(row, 'price_premium'), { status: 409, code: 'SUBSCRIPTION_NOT_ACTIVE' });
+    });
+
+    it('refuses a user without a subscription', async () => {
+      const user = await createUser();
+
+      await assert.rejects(planChanges.previewChange(await db.getUserSubscription(user.id), 'price_premium'), { status: 400, code: 'NO_SUBSCRIPTION' });
+    });
+  });
+
+  describe('upgrade', () => {
+    it('swaps the price now and invoices the difference', async () => {
+      const { user, row, subscription } = await subscribe('price_pro', 'pro');
+
+      const result = await planChanges.changePlan(row, 'price_premium', { prorationDate: 1700000500 });
+
+      assert.equal(result.direction, 'upgrade');
+      const [[subscriptionId, params]] = stripe.called('subscriptions.update');
+      assert.equal(subscriptionId, subscription.id);
+      assert.deepEqual(params, {
+        items: [{ id: subscription.items.data[0].id, price: 'price_premium' }],
+        proration_behavior: 'always_invoice',
+        proration_date: 1700000500,
+        payment_behavior: 'pending_if_incomplete'
+      });
+
+      const updated = await db.getUserSubscription(user.id);
+      assert.equal(updated.plan_type, 'premium');
+      assert.equal(updated.status, 'active');
+    });
+
+    it('keeps the current plan when the prorated invoice cannot be paid', async () => {
+      const { user, row } = await subscribe('price_pro', 'pro');
+      stripe.declineNextInvoice = true;
+
+      await assert.rejects(planChanges.changePlan(row, 'price_premium'), { status: 402, code: 'PAYMENT_FAILED' });
+
+      assert.equal((await db.getUserSubscription(user.id)).plan_type, 'pro');
+    });
+
+    it('drops a scheduled downgrade when moving to a dearer price', async () => {
+      const { user, row } = await subscribe('price_premium', 'premium');
+      await planChanges.changePlan(row, 'price_pro');
+      stripe.addPrice({ id: 'price_premium_yearly', unitAmount: 30000, planKey: 'premium' });
+
+      await planChanges.changePlan(await db.getUserSubscription(user.id), 'price_premium_yearly');
+
+      assert.equal(stripe.called('subscriptionSchedules.release').length, 1);
+      const updated = await db.getUserSubscription(user.id);
+      assert.equal(updated.plan_type, 'premium');
+      assert.equal(updated.stripe_schedule_id, null);
+      assert.equal(updated.scheduled_plan_type, null);
+    });
+  });
+
+  describe('downgrade', () => {
+    it('schedules the new price for the end of the period', async () => {
+      const { user, row, subscription } = await subscribe('price_premium', 'premium');
+
+      const result = await planChanges.changePlan(row, 'price_pro');
+
+      assert.equal(result.direction, 'downgrade');
+      assert.equal(result.effectiveAt, new Date(PERIOD_END * 1000).toISOString());
+      assert.deepEqual(stripe.called('subscriptionSchedules.create'), [[{ from_subscription: subscription.id }]]);
+      assert.equal(stripe.called('subscriptions.update').length, 0);
+
+      const [[scheduleId, params]] = stripe.called('subscriptionSchedules.update');
+      assert.equal(params.end_behavior, 'release');
+      assert.deepEqual(params.phases.map(phase => phase.items[0].price), ['price_premium', 'price_pro']);
+      assert.equal(params.phases[0].end_date, PERIOD_END);
+      assert.ok(params.phases.every(phase => phase.proration_behavior === 'none'));
+
+      const updated = await db.getUserSubscription(user.id);
+      assert.equal(updated.plan_type, 'premium');
+      assert.equal(updated.stripe_schedule_id, scheduleId);
+      assert.equal(updated.scheduled_plan_type, 'pro');
+      assert.equal(updated.scheduled_price_id, 'price_pro');
+      assert.equal(updated.scheduled_change_at, result.effectiveAt);
+    });
+
+    it('cancels a scheduled downgrade', async () => {
+      const { user, row } = await subscribe('price_premium', 'premium');
+      await planChanges.changePlan(row, 'price_pro');
+      const scheduled = await db.getUserSubscription(user.id);
+
+      await planChanges.cancelScheduledChange(scheduled);
+
+      assert.deepEqual(stripe.called('subscriptionSchedules.release'), [[scheduled.stripe_schedule_id]]);
+      const updated = await db.getUserSubscription(user.id);
+      assert.equal(updated.stripe_schedule_id, null);
+      assert.equal(updated.scheduled_plan_type, null);
+    });
+
+    it('refuses to cancel when nothing is scheduled', async () => {
+      const { row } = await subscribe('price_premium', 'premium');
+
+      await assert.rejects(planChanges.cancelScheduledChange(row), { status: 404, code: 'NO_SCHEDULED_CHANGE' });
+    });
+  });
+
+  describe('seats', () => {
+    before(async () => {
+      await db.createPlan({ key: 'team', name: 'Team', sort_order: 3, max_seats: 10 });
+      await db.createPlan({ key: 'team_plus', name: 'Team Plus', sort_order: 4, max_seats: 20 });
+    });
+
+    beforeEach(() => {
+      stripe.addPrice({ id: 'price_team', unitAmount: 2000, planKey: 'team' });
+      stripe.addPrice({ id: 'price_team_plus', unitAmount: 4000, planKey: 'team_plus' });
+    });
+
+    async function organizationOwner(priceId, planType) {
+      const owner = await subscribe(priceId, planType);
+      const organization = await db.createOrganization({ name: 'Acme', ownerId: owner.user.id });
+      for (let i = 0; i < 2; i += 1) {
+        await db.addOrganizationMember(organization.id, (await createUser()).id);
+      }
+      return owner;
+    }
+
+    it('bills one seat per member after an upgrade', async () => {
+      const { user, row, subscription } = await organizationOwner('price_team', 'team');
+
+      await planChanges.changePlan(row, 'price_team_plus');
+
+      assert.equal(subscription.items.data[0].quantity, 3);
+      assert.equal((await db.getUserSubscription(user.id)).seat_quantity, 3);
+    });
+
+    it('bills one seat per member in a scheduled downgrade', async () => {
+      const { user, row } = await organizationOwner('price_team_plus', 'team_plus');
+
+      await planChanges.changePlan(row, 'price_team');
+
+      const updates = stripe.called('subscriptionSchedules.update');
+      const [, params] = updates[updates.length - 1];
+      assert.deepEqual(params.phases.map(phase => phase.items[0]), [
+        { price: 'price_team_plus', quantity: 3 },
+        { price: 'price_team', quantity: 3 }
+      ]);
+      assert.equal((await db.getUserSubscription(user.id)).seat_quantity, 3);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, openDatabase, closeDatabase, createUser } = require('./helpers');
+const { createFakeStripe, PERIOD_END } = require('./fakeStripe');
+const { setStripe } = require('../stripeClient');
+const { createProvider, setBilling } = require('../billing');
+const { runReconciliation } = require('../reconciliation');
+
+let stripe;
+
+// A local row that says active on pro while Stripe has the subscription past due
+async function driftedUser() {
+  const user = await createUser();
+  const subscription = stripe.addSubscription({ customer: `cus_${user.id}`, priceId: 'price_pro', status: 'past_due' });
+  await db.updateUserSubscription(user.id, {
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    plan_type: 'pro',
+    status: 'active'
+  });
+  return { user, subscription };
+}
+
+function changedFields(entry) {
+  return Object.fromEntries(entry.changes.map(change => [change.field, change.stripe]));
+}
+
+describe('reconciliation', () => {
+  before(() => openDatabase());
+  after(() => closeDatabase());
+
+  beforeEach(() => {
+    stripe = createFakeStripe();
+    stripe.addPrice({ id: 'price_pro', unitAmount: 1000, planKey: 'pro' });
+    setStripe(stripe);
+    setBilling(createProvider('stripe'));
+  });
+
+  it('reports drift without changing anything', async () => {
+    const { user } = await driftedUser();
+
+    const run = await runReconciliation({ userId: user.id });
+
+    assert.equal(run.mode, 'report');
+    assert.equal(run.status, 'completed');
+    assert.equal(run.checked, 1);
+    assert.equal(run.drifted, 1);
+    assert.equal(run.fixed, 0);
+    const [entry] = run.report.drift;
+    assert.equal(entry.userId, user.id);
+    assert.equal(entry.fixed, false);
+    assert.deepEqual(entry.changes.find(change => change.field === 'status'), { field: 'status', local: 'active', stripe: 'past_due' });
+    assert.equal((await db.getUserSubscription(user.id)).status, 'active');
+  });
+
+  it('updates a drifted row in fix mode', async () => {
+    const { user } = await driftedUser();
+
+    const run = await runReconciliation({ userId: user.id, fix: true });
+
+    assert.equal(run.mode, 'fix');
+    assert.equal(run.fixed, 1);
+    assert.equal(run.report.drift[0].fixed, true);
+    const row = await db.getUserSubscription(user.id);
+    assert.equal(row.status, 'past_due');
+    assert.equal(row.payment_status, 'failed');
+    assert.equal(row.current_period_end, new Date(PERIOD_END * 1000).toISOString());
+    assert.equal((await runReconciliation({ userId: user.id })).drifted, 0);
+  });
+
+  it('cancels a subscription that no longer exists in Stripe', async () => {
+    const user = await createUser();
+    stripe.addCustomer({ id: `cus_${user.id}` });
+    await db.updateUserSubscription(user.id, {
+      stripe_customer_id: `cus_${user.id}`,
+      stripe_subscription_id: `sub_gone_${user.id}`,
+      plan_type: 'pro',
+      status: 'active'
+    });
+
+    const run = await runReconciliation({ userId: user.id, fix: true });
+
+    const [entry] = run.report.drift;
+    assert.deepEqual(entry.notes, ['subscription not found in Stripe']);
+    assert.deepEqual(changedFields(entry), { status: 'canceled', plan_type: 'free' });
+    const row = await db.getUserSubscription(user.id);
+    assert.equal(row.status, 'canceled');
+    assert.equal(row.plan_type, 'free');
+  });
+
+  it('recovers a subscription whose checkout completion was missed', async () => {
+    const user = await createUser();
+    const subscription = stripe.addSubscription({ customer: `cus_${user.id}`, priceId: 'price_pro' });
+    await db.updateUserSubscription(user.id, { stripe_customer_id: subscription.customer });
+
+    const run = await runReconciliation({ userId: user.id, fix: true });
+
+    assert.deepEqual(stripe.called('subscriptions.list'), [[{ customer: subscription.customer, status: 'all', limit: 1 }]]);
+    assert.equal(changedFields(run.report.drift[0]).stripe_subscription_id, subscription.id);
+    const row = await db.getUserSubscription(user.id);
+    assert.equal(row.stripe_subscription_id, subscription.id);
+    assert.equal(row.status, 'active');
+    assert.equal(row.plan_type, 'pro');
+  });
+
+  it('leaves a customer without a subscription alone', async () => {
+    const user = await createUser();
+    stripe.addCustomer({ id: `cus_${user.id}` });
+    await db.updateUserSubscription(user.id, { stripe_customer_id: `cus_${user.id}`, plan_type: 'free', status: 'free' });
+
+    const run = await runReconciliation({ userId: user.id, fix: true });
+
+    assert.equal(run.checked, 1);
+    assert.equal(run.drifted, 0);
+    const row = await db.getUserSubscription(user.id);
+    assert.equal(row.status, 'free');
+    assert.equal(row.plan_type, 'free');
+  });
+
+  it('records an error for a row it could not check', async () => {
+    const { user } = await driftedUser();
+    stripe.subscriptions.retrieve = async () => { throw new Error('Stripe unavailable'); };
+
+    const run = await runReconciliation({ userId: user.id });
+
+    assert.equal(run.status, 'completed');
+    assert.equal(run.failed, 1);
+    assert.deepEqual(run.report.errors, [{ userId: user.id, error: 'Stripe unavailable' }]);
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { db, openDatabase, closeDatabase, createUser } = require('./helpers');
+const sessions = require('../sessions');
+
+const HOUR_AGO = () => new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+describe('recent sign-in', () => {
+  before(() => openDatabase());
+  after(() => closeDatabase());
+
+  it('stamps the sign-in time on new tokens', async () => {
+    const user = await createUser();
+    const { token } = await sessions.issueTokens(user, null);
+    const payload = jwt.decode(token);
+
+    assert.ok(Math.abs(payload.auth_time - Date.now() / 1000) < 5);
+    assert.doesNotThrow(() => sessions.assertRecentLogin(payload));
+  });
+
+  it('keeps the original sign-in time when tokens are refreshed', async () => {
+    const user = await createUser();
+    const { refreshToken } = await sessions.issueTokens(user, null);
+    const signedInAt = HOUR_AGO();
+    await db.run('UPDATE sessions SET authenticated_at = ? WHERE token_hash = ?', [signedInAt, sessions.hashToken(refreshToken)]);
+
+    const { tokens } = await sessions.rotateRefreshToken(refreshToken, null);
+    const payload = jwt.decode(tokens.token);
+
+    assert.equal(payload.auth_time, Math.floor(new Date(signedInAt).getTime() / 1000));
+    assert.throws(() => sessions.assertRecentLogin(payload), { status: 403, code: 'RECENT_LOGIN_REQUIRED' });
+  });
+
+  it('refuses tokens from sessions without a recorded sign-in time', async () => {
+    const user = await createUser();
+    const { refreshToken } = await sessions.issueTokens(user, null);
+    await db.run('UPDATE sessions SET authenticated_at = NULL WHERE token_hash = ?', [sessions.hashToken(refreshToken)]);
+
+    const { tokens } = await sessions.rotateRefreshToken(refreshToken, null);
+    const payload = jwt.decode(tokens.token);
+
+    assert.equal(payload.auth_time, undefined);
+    assert.throws(() => sessions.assertRecentLogin(payload), { status: 403, code: 'RECENT_LOGIN_REQUIRED' });
+  });
+});
@@ -0,0 +1,203 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, openDatabase, closeDatabase, createUser } = require('./helpers');
+const { createFakeStripe, deliver, WEBHOOK_SECRET } = require('./fakeStripe');
+const { setStripe } = require('../stripeClient');
+const { createProvider, getBilling, setBilling } = require('../billing');
+const eventBus = require('../eventBus');
+const webhooks = require('../webhooks');
+
+let stripe;
+let eventCount = 0;
+
+function subscriptionEvent(subscription, { type = 'customer.subscription.updated', created, ...changes } = {}) {
+  eventCount += 1;
+  return {
+    id: `evt_${eventCount}`,
+    type,
+    created: created || 1700000000 + eventCount,
+    data: { object: { ...subscription, ...changes } }
+  };
+}
+
+// What the webhook route does with a delivery: verify the signature, then process
+function receive(event) {
+  const { payload, signature } = deliver(event);
+  return webhooks.processEvent(getBilling().constructEvent(payload, signature));
+}
+
+async function subscribedUser() {
+  const user = await createUser();
+  const subscription = stripe.addSubscription({ customer: `cus_${user.id}`, priceId: 'price_pro' });
+  await db.updateUserSubscription(user.id, {
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    plan_type: 'pro',
+    status: 'active'
+  });
+  return { user, subscription };
+}
+
+describe('webhook ledger', () => {
+  before(async () => {
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    await openDatabase();
+  });
+  after(() => closeDatabase());
+
+  beforeEach(() => {
+    stripe = createFakeStripe();
+    stripe.addPrice({ id: 'price_pro', unitAmount: 1000, planKey: 'pro' });
+    stripe.addPrice({ id: 'price_premium', unitAmount: 3000, planKey: 'premium' });
+    setStripe(stripe);
+    setBilling(createProvider('stripe'));
+  });
+
+  it('rejects a delivery with a bad signature', () => {
+    const { payload } = deliver(subscriptionEvent({ id: 'sub_forged' }));
+
+    assert.throws(() => getBilling().constructEvent(payload, 'forged'), { type: 'StripeSignatureVerificationError' });
+  });
+
+  it('applies a redelivered event once', async () => {
+    const { user, subscription } = await subscribedUser();
+    const event = subscriptionEvent(subscription, { status: 'past_due' });
+
+    assert.equal(await receive(event), 'processed');
+    assert.equal(await receive(event), 'duplicate');
+
+    const record = await db.getWebhookEvent(event.id);
+    assert.equal(record.status, 'processed');
+    assert.equal(record.attempts, 1);
+    assert.equal((await db.getUserSubscription(user.id)).status, 'past_due');
+  });
+
+  it('notifies about a failed payment once however often it is delivered', async () => {
+    const { user, subscription } = await subscribedUser();
+    stripe.addPaymentIntent({ id: 'pi_declined', last_payment_error: { message: 'Your card was declined.' } });
+    const published = [];
+    const unsubscribe = eventBus.subscribe('billing.payment_failed', payload => published.push(payload));
+
+    const event = {
+      id: 'evt_payment_failed',
+      type: 'invoice.payment_failed',
+      created: 1700000100,
+      data: {
+        object: {
+          id: 'in_failed',
+          customer: subscription.customer,
+          subscription: subscription.id,
+          status: 'open',
+          currency: 'usd',
+          amount_due: 1000,
+          attempt_count: 1,
+          payment_intent: 'pi_declined'
+        }
+      }
+    };
+
+    try {
+      await receive(event);
+      await receive(event);
+    } finally {
+      unsubscribe();
+    }
+
+    assert.equal(published.length, 1);
+    assert.equal(published[0].userId, user.id);
+    assert.equal(published[0].data.failureReason, 'Your card was declined.');
+    assert.deepEqual(stripe.called('paymentIntents.retrieve'), [['pi_declined']]);
+    assert.equal((await db.getUserSubscription(user.id)).payment_status, 'failed');
+  });
+
+  it('keeps a trial when checkout completes after the subscription was created', async () => {
+    const user = await createUser();
+    const trialEnd = 1700000000 + 7 * 24 * 60 * 60;
+    const subscription = stripe.addSubscription({ customer: `cus_${user.id}`, priceId: 'price_pro', status: 'trialing', trialEnd });
+    await db.updateUserSubscription(user.id, { stripe_customer_id: subscription.customer });
+
+    await receive(subscriptionEvent(subscription, { type: 'customer.subscription.created' }));
+    await receive({
+      id: `evt_checkout_${user.id}`,
+      type: 'checkout.session.completed',
+      created: 1700000050,
+      data: { object: { id: `cs_${user.id}`, customer: subscription.customer, client_reference_id: user.id, subscription: subscription.id } }
+    });
+
+    const row = await db.getUserSubscription(user.id);
+    assert.equal(row.stripe_subscription_id, subscription.id);
+    assert.equal(row.status, 'trialing');
+    assert.equal(row.plan_type, 'pro');
+    assert.equal(row.trial_end, new Date(trialEnd * 1000).toISOString());
+  });
+
+  it('ignores a subscription event older than one already applied', async () => {
+    const { user, subscription } = await subscribedUser();
+    const older = subscriptionEvent(subscription, { status: 'active', created: 1700000200 });
+    const newer = subscriptionEvent(subscription, { status: 'canceled', created: 1700000300 });
+
+    assert.equal(await receive(newer), 'processed');
+    assert.equal(await receive(older), 'ignored');
+
+    assert.equal((await db.getUserSubscription(user.id)).status, 'canceled');
+    assert.equal((await db.getWebhookEvent(older.id)).status, 'ignored');
+  });
+
+  it('applies events for different subscriptions independently', async () => {
+    const first = await subscribedUser();
+    const second = await subscribedUser();
+
+    await receive(subscriptionEvent(first.subscription, { status: 'past_due', created: 1700000500 }));
+    assert.equal(await receive(subscriptionEvent(second.subscription, { status: 'past_due', created: 1700000400 })), 'processed');
+
+    assert.equal((await db.getUserSubscription(second.user.id)).status, 'past_due');
+  });
+
+  it('replays a stored event from its payload', async () => {
+    const { user, subscription } = await subscribedUser();
+    const premium = await stripe.prices.retrieve('price_premium');
+    const event = subscriptionEvent(subscription, { items: { data: [{ ...subscription.items.data[0], price: premium }] } });
+
+    await receive(event);
+    await db.updateUserSubscription(user.id, { plan_type: 'free' });
+
+    assert.equal(await webhooks.replayEvent(event.id), 'processed');
+
+    assert.equal((await db.getUserSubscription(user.id)).plan_type, 'premium');
+    assert.equal((await db.getWebhookEvent(event.id)).attempts, 2);
+  });
+
+  it('does not let a replay undo a newer event', async () => {
+    const { user, subscription } = await subscribedUser();
+    const older = subscriptionEvent(subscription, { status: 'past_due', created: 1700000600 });
+    const newer = subscriptionEvent(subscription, { status: 'active', created: 1700000700 });
+
+    await receive(older);
+    await receive(newer);
+
+    assert.equal(await webhooks.replayEvent(older.id), 'ignored');
+    assert.equal((await db.getUserSubscription(user.id)).status, 'active');
+  });
+
+  it('returns null when replaying an unknown event', async () => {
+    assert.equal(await webhooks.replayEvent('evt_missing'), null);
+  });
+
+  it('retries a failed event when Stripe redelivers it', async () => {
+    const { user, subscription } = await subscribedUser();
+    const event = subscriptionEvent(subscription, { status: 'past_due' });
+    const updateSubscription = db.updateSubscriptionByStripeId;
+    db.updateSubscriptionByStripeId = async () => { throw new Error('database unavailable'); };
+
+    try {
+      await assert.rejects(receive(event), /database unavailable/);
+    } finally {
+      db.updateSubscriptionByStripeId = updateSubscription;
+    }
+    assert.equal((await db.getWebhookEvent(event.id)).status, 'failed');
+
+    assert.equal(await receive(event), 'processed');
+    assert.equal((await db.getWebhookEvent(event.id)).attempts, 2);
+    assert.equal((await db.getUserSubscription(user.id)).status, 'past_due');
+  });
+});
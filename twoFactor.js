@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./database');
+const { JWT_SECRET, hashToken } = require('./sessions');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'MindQuest';
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted to allow for clock drift
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Challenge tokens are signed with their own key so they never pass as access tokens
+const CHALLENGE_KEY = crypto.createHmac('sha256', JWT_SECRET).update('two-factor-challenge').digest();
+
+let encryptionKey = null;
+
+// TWO_FACTOR_ENCRYPTION_KEY is 32 bytes as hex or base64. Without it the key is
+// derived from JWT_SECRET, so rotating that secret would make enrolled secrets unreadable.
+function getEncryptionKey() {
+  if (!encryptionKey) {
+    const configured = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    if (configured) {
+      encryptionKey = /^[0-9a-f]{64}$/i.test(configured) ? Buffer.from(configured, 'hex') : Buffer.from(configured, 'base64');
+      if (encryptionKey.length !== 32) {
+        throw new Error('TWO_FACTOR_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+      }
+    } else {
+      if (process.env.NODE_ENV === 'production') {
+        logger.warn('TWO_FACTOR_ENCRYPTION_KEY is not set; deriving it from JWT_SECRET');
+      }
+      encryptionKey = crypto.createHash('sha256').update(`${JWT_SECRET}:two-factor`).digest();
+    }
+  }
+  return encryptionKey;
+}
+
+// Stored as v1:<iv>:<auth tag>:<ciphertext>, all base64url
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part)).join(':');
+}
+
+function decryptSecret(stored) {
+  const [version, iv, tag, ciphertext] = stored.split(':');
+  if (version !== 'v1') {
+    throw new Error(`Unknown two-factor secret format: ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  return bits.match(/.{1,5}/g).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+function base32Decode(text) {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+}
+
+// RFC 4226 HOTP with HMAC-SHA1, which is what authenticator apps expect
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+}
+
+// The time step a code belongs to, or null when it matches none in the window
+function matchTotp(secret, code) {
+  const key = base32Decode(secret);
+  const step = currentStep();
+
+  for (let offset = -WINDOW; offset <= WINDOW; offset += 1) {
+    const expected = hotp(key, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step + offset;
+    }
+  }
+  return null;
+}
+
+function provisioningUri(user, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return code.replace(/[\s-]/g, '').toUpperCase();
+}
+
+function invalidCode() {
+  return new ApiError(403, 'Invalid two-factor code', { code: 'INVALID_2FA_CODE' });
+}
+
+async function verifyTotp(user, code) {
+  if (!/^\d{6}$/.test(code) || !user.totp_secret) {
+    throw invalidCode();
+  }
+
+  const step = matchTotp(decryptSecret(user.totp_secret), code);
+  if (step === null) {
+    throw invalidCode();
+  }
+
+  const result = await db.claimTotpStep(user.id, step);
+  if (result.changes === 0) {
+    throw invalidCode();
+  }
+}
+
+// Check a TOTP code, or a recovery code, which then can't be used again
+async function verifyCode(user, code) {
+  if (/^\d{6}$/.test(code)) {
+    await verifyTotp(user, code);
+    return { method: 'totp' };
+  }
+
+  const result = await db.useRecoveryCode(user.id, hashToken(normalizeRecoveryCode(code)));
+  if (result.changes === 0) {
+    throw invalidCode();
+  }
+  return { method: 'recovery_code', recoveryCodesRemaining: await db.countRecoveryCodes(user.id) };
+}
+
+// Replace the user's recovery codes; the plain codes are only ever shown once
+async function generateRecoveryCodes(user) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = Array.from(crypto.randomBytes(10), byte => BASE32_ALPHABET[byte % 32]).join('');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.replaceRecoveryCodes(user.id, codes.map(code => hashToken(normalizeRecoveryCode(code))));
+  return codes;
+}
+
+// Store a new secret; it only protects the account once enable() confirms a code
+async function beginSetup(user) {
+  if (user.totp_enabled_at) {
+    throw new ApiError(409, 'Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ENABLED' });
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await db.updateUser(user.id, {
+    totp_secret: encryptSecret(secret),
+    totp_last_used_step: null,
+    updated_at: new Date().toISOString()
+  });
+
+  return { secret, otpauthUrl: provisioningUri(user, secret) };
+}
+
+async function enable(user, code) {
+  if (user.totp_enabled_at) {
+    throw new ApiError(409, 'Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ENABLED' });
+  }
+  if (!user.totp_secret) {
+    throw new ApiError(409, 'Start two-factor setup first', { code: 'TWO_FACTOR_NOT_SET_UP' });
+  }
+
+  await verifyTotp(user, code);
+  await db.updateUser(user.id, { totp_enabled_at: new Date().toISOString(), updated_at: new Date().toISOString() });
+
+  logger.info('Two-factor authentication enabled', { userId: user.id });
+  return generateRecoveryCodes(user);
+}
+
+async function disable(user) {
+  await db.updateUser(user.id, {
+    totp_secret: null,
+    totp_enabled_at: null,
+    totp_last_used_step: null,
+    updated_at: new Date().toISOString()
+  });
+  await db.replaceRecoveryCodes(user.id, []);
+
+  logger.info('Two-factor authentication disabled', { userId: user.id });
+}
+
+function createChallenge(user) {
+  return jwt.sign({ userId: user.id, purpose: 'two_factor' }, CHALLENGE_KEY, { expiresIn: CHALLENGE_TTL });
+}
+
+function verifyChallenge(token) {
+  try {
+    const payload = jwt.verify(token, CHALLENGE_KEY);
+    if (payload.purpose === 'two_factor') {
+      return payload;
+    }
+  } catch (error) {
+    // Falls through to the error below
+  }
+  throw new ApiError(401, 'Login challenge is invalid or has expired', { code: 'INVALID_CHALLENGE' });
+}
+
+module.exports = {
+  CHALLENGE_TTL,
+  encryptSecret,
+  decryptSecret,
+  provisioningUri,
+  verifyCode,
+  generateRecoveryCodes,
+  beginSetup,
+  enable,
+  disable,
+  createChallenge,
+  verifyChallenge
+};
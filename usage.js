@@ -1,154 +1,232 @@
 const express = require('express');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, authenticateTokenOrApiKey, requireRole } = require('./auth');
 const db = require('../database');
+const planCatalog = require('../planCatalog');
+const usagePeriods = require('../usagePeriods');
+const { recordAdminAction } = require('../auditLog');
+const eventBus = require('../eventBus');
+const metrics = require('../metrics');
+const { ApiError, asyncHandler } = require('../errors');
+const { validate, rules } = require('../validation');
 
 const router = express.Router();
 
-// Plan limits configuration
-const PLAN_LIMITS = {
-  free: {
-    assessment: 2,
-    journal_entry: 5,
-    habit_tracking: 3,
-    ai_insights: 1
-  },
-  pro: {
-    assessment: 10,
-    journal_entry: 50,
-    habit_tracking: 20,
-    ai_insights: 10
-  },
-  premium: {
-    assessment: -1, // unlimited
-    journal_entry: -1,
-    habit_tracking: -1,
-    ai_insights: -1
-  }
-};
+function percentage(used, limit) {
+  if (limit === -1) return 0;
+  if (limit === 0) return 100;
+  return Math.min(100, (used / limit) * 100);
+}
 
-// Get user usage statistics
-router.get('/stats', authenticateToken, async (req, res) => {
-  try {
-    const usage = await db.getUserUsage(req.user.userId);
-    const subscription = await db.getUserSubscription(req.user.userId);
-    
-    const planType = subscription ? subscription.plan_type : 'free';
-    const limits = PLAN_LIMITS[planType];
-
-    const usageStats = {};
-    
-    // Initialize all feature types
-    Object.keys(PLAN_LIMITS.free).forEach(feature => {
-      const userUsage = usage.find(u => u.feature_type === feature);
-      usageStats[feature] = {
-        used: userUsage ? userUsage.usage_count : 0,
-        limit: limits[feature],
-        unlimited: limits[feature] === -1,
-        percentage: limits[feature] === -1 ? 0 : Math.min(100, ((userUsage ? userUsage.usage_count : 0) / limits[feature]) * 100)
-      };
-    });
+// Percentages of a limit at which the user is told about their usage
+const USAGE_THRESHOLDS = [100, 80];
 
-    res.json({
-      planType,
-      usage: usageStats,
-      lastResetDate: usage.length > 0 ? usage[0].last_reset_date : null
-    });
-  } catch (error) {
-    console.error('Get usage stats error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// Publish the highest threshold an increment from previous to current crossed
+async function publishUsageThreshold(userId, feature, previous, current, limit, period) {
+  if (limit <= 0) return;
+
+  const threshold = USAGE_THRESHOLDS.find(percent => {
+    const mark = Math.ceil((limit * percent) / 100);
+    return previous < mark && current >= mark;
+  });
+  if (!threshold) return;
+
+  await eventBus.publish('usage.threshold_reached', {
+    userId,
+    dedupeKey: `${feature}:${period.start}:${threshold}`,
+    data: { feature, threshold, used: current, limit, periodEnd: period.end }
+  });
+}
+
+async function assertKnownFeature(feature) {
+  const features = await planCatalog.getFeatures();
+  if (!features.includes(feature)) {
+    throw new ApiError(400, 'Invalid feature type', { code: 'UNKNOWN_FEATURE' });
   }
-});
+}
 
-// Check if user can use a feature
-router.get('/can-use/:feature', authenticateToken, async (req, res) => {
-  try {
-    const { feature } = req.params;
-    
-    if (!PLAN_LIMITS.free[feature]) {
-      return res.status(400).json({ error: 'Invalid feature type' });
-    }
-
-    const usage = await db.getUserUsage(req.user.userId);
-    const subscription = await db.getUserSubscription(req.user.userId);
-    
-    const planType = subscription ? subscription.plan_type : 'free';
-    const limits = PLAN_LIMITS[planType];
-    
-    const userUsage = usage.find(u => u.feature_type === feature);
-    const currentUsage = userUsage ? userUsage.usage_count : 0;
-    const limit = limits[feature];
-    
-    const canUse = limit === -1 || currentUsage < limit;
-    
-    res.json({
-      canUse,
-      currentUsage,
+const featureParams = { feature: rules.feature };
+
+// API key scope for a feature route, e.g. usage:increment:ai_insights
+const featureScope = scope => req => `${scope}:${req.params.feature}`;
+
+// Get user usage statistics
+router.get('/stats', authenticateTokenOrApiKey('usage:read'), validate({
+  query: { periods: { type: 'integer', min: 1, max: 24, default: 6 } }
+}), asyncHandler(async (req, res) => {
+  const userPlan = await planCatalog.getUserPlan(req.user.userId);
+  const { plan, organization } = userPlan;
+  const period = await usagePeriods.getCurrentPeriod(req.user.userId, userPlan.periodSubscription);
+  const usage = await db.getUserUsage(req.user.userId, period.start);
+  const pooledUsage = organization?.pooling === 'pooled' ? await db.getOrganizationUsage(organization.id, period.start) : [];
+  const features = await planCatalog.getFeatures();
+  const periodCount = req.query.periods;
+
+  const usageStats = {};
+  
+  // Initialize all feature types
+  features.forEach(feature => {
+    const { limit, organizationId } = planCatalog.getUsageLimit(userPlan, feature);
+    const userUsage = (organizationId ? pooledUsage : usage).find(u => u.feature_type === feature);
+    const used = userUsage ? userUsage.usage_count : 0;
+    usageStats[feature] = {
+      used,
       limit,
       unlimited: limit === -1,
-      planType
+      pooled: Boolean(organizationId),
+      percentage: percentage(used, limit)
+    };
+  });
+
+  // Earlier periods, newest first
+  const history = [];
+  const pastRows = await db.getUsageHistory(req.user.userId, periodCount + 1);
+  pastRows
+    .filter(row => row.period_start !== period.start)
+    .forEach(row => {
+      let entry = history.find(h => h.periodStart === row.period_start);
+      if (!entry) {
+        entry = { periodStart: row.period_start, periodEnd: row.period_end, usage: {} };
+        history.push(entry);
+      }
+      entry.usage[row.feature_type] = row.usage_count;
     });
-  } catch (error) {
-    console.error('Check feature usage error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+
+  res.json({
+    planType: plan.key,
+    planName: plan.name,
+    organization,
+    usage: usageStats,
+    period: {
+      start: period.start,
+      end: period.end,
+      source: period.source
+    },
+    lastResetDate: usage.length > 0 ? usage[0].last_reset_date : period.start,
+    history: history.slice(0, periodCount)
+  });
+}));
+
+// Check if user can use a feature
+router.get('/can-use/:feature', authenticateTokenOrApiKey(featureScope('usage:read')), validate({ params: featureParams }), asyncHandler(async (req, res) => {
+  const { feature } = req.params;
+  await assertKnownFeature(feature);
+
+  const userPlan = await planCatalog.getUserPlan(req.user.userId);
+  const planType = userPlan.plan.key;
+  const period = await usagePeriods.getCurrentPeriod(req.user.userId, userPlan.periodSubscription);
+  const { limit, organizationId } = planCatalog.getUsageLimit(userPlan, feature);
+  
+  const userUsage = organizationId
+    ? await db.getOrganizationFeatureUsage(organizationId, feature, period.start)
+    : await db.getFeatureUsage(req.user.userId, feature, period.start);
+  const currentUsage = userUsage ? userUsage.usage_count : 0;
+  
+  const canUse = limit === -1 || currentUsage < limit;
+  
+  res.json({
+    canUse,
+    currentUsage,
+    limit,
+    unlimited: limit === -1,
+    pooled: Boolean(organizationId),
+    planType,
+    periodEnd: period.end
+  });
+}));
 
 // Increment usage for a feature
-router.post('/increment/:feature', authenticateToken, async (req, res) => {
-  try {
-    const { feature } = req.params;
-    
-    if (!PLAN_LIMITS.free[feature]) {
-      return res.status(400).json({ error: 'Invalid feature type' });
-    }
-
-    // Check if user can use this feature
-    const usage = await db.getUserUsage(req.user.userId);
-    const subscription = await db.getUserSubscription(req.user.userId);
-    
-    const planType = subscription ? subscription.plan_type : 'free';
-    const limits = PLAN_LIMITS[planType];
-    
-    const userUsage = usage.find(u => u.feature_type === feature);
-    const currentUsage = userUsage ? userUsage.usage_count : 0;
-    const limit = limits[feature];
-    
-    if (limit !== -1 && currentUsage >= limit) {
-      return res.status(403).json({ 
-        error: 'Usage limit exceeded',
-        currentUsage,
-        limit,
-        planType
-      });
-    }
-
-    // Increment usage
-    const newUsage = await db.incrementUsage(req.user.userId, feature);
-    
-    res.json({
-      success: true,
-      newUsage,
-      limit,
-      unlimited: limit === -1,
-      planType
+router.post('/increment/:feature', authenticateTokenOrApiKey(featureScope('usage:increment')), validate({
+  params: featureParams,
+  body: {
+    idempotencyKey: { type: 'string', maxLength: 255 },
+    metadata: rules.metadata
+  }
+}), asyncHandler(async (req, res) => {
+  const { feature } = req.params;
+  await assertKnownFeature(feature);
+
+  const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey || null;
+  const { metadata } = req.body;
+
+  if (idempotencyKey && idempotencyKey.length > 255) {
+    throw new ApiError(400, 'Idempotency-Key must be at most 255 characters', { code: 'VALIDATION_ERROR' });
+  }
+
+  const userPlan = await planCatalog.getUserPlan(req.user.userId);
+  const planType = userPlan.plan.key;
+  const { limit, organizationId } = planCatalog.getUsageLimit(userPlan, feature);
+  const period = await usagePeriods.getCurrentPeriod(req.user.userId, userPlan.periodSubscription);
+
+  // Check the limit and increment atomically
+  const result = await db.consumeUsage(req.user.userId, feature, limit, period, { idempotencyKey, metadata, organizationId });
+  
+  if (!result.allowed) {
+    metrics.usageDenials.inc({ feature });
+    throw new ApiError(403, 'Usage limit exceeded', {
+      code: 'USAGE_LIMIT_EXCEEDED',
+      details: { currentUsage: result.usage, limit, pooled: Boolean(organizationId), planType, periodEnd: period.end }
     });
-  } catch (error) {
-    console.error('Increment usage error:', error);
-    res.status(500).json({ error: 'Internal server error' });
   }
-});
-
-// Reset usage (admin endpoint)
-router.post('/reset', authenticateToken, async (req, res) => {
-  try {
-    // In a real app, you'd want to check if user is admin
-    await db.resetUserUsage(req.user.userId);
-    
-    res.json({ message: 'Usage reset successfully' });
-  } catch (error) {
-    console.error('Reset usage error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+
+  if (!result.duplicate) {
+    metrics.usageIncrements.inc({ feature });
+    await publishUsageThreshold(req.user.userId, feature, result.usage - 1, result.usage, limit, period);
+  }
+  
+  res.json({
+    success: true,
+    newUsage: result.usage,
+    duplicate: result.duplicate,
+    limit,
+    unlimited: limit === -1,
+    pooled: Boolean(organizationId),
+    planType,
+    periodEnd: period.end
+  });
+}));
+
+// List the usage ledger for the current user
+router.get('/events', authenticateTokenOrApiKey('usage:read'), validate({
+  query: { ...rules.pagination, feature: { ...rules.feature, required: false } }
+}), asyncHandler(async (req, res) => {
+  const { limit, offset } = req.query;
+
+  const events = await db.getUsageEvents(req.user.userId, {
+    featureType: req.query.feature,
+    limit,
+    offset
+  });
+
+  res.json({
+    events: events.map(event => ({
+      ...event,
+      metadata: event.metadata ? JSON.parse(event.metadata) : null
+    })),
+    limit,
+    offset
+  });
+}));
+
+// Reset a user's current-period usage (admin); defaults to the caller
+router.post('/reset', authenticateToken, requireRole('admin'), validate({
+  body: { userId: { ...rules.uuid, required: false } }
+}), asyncHandler(async (req, res) => {
+  const userId = req.body.userId || req.user.userId;
+
+  if (!await db.getUserById(userId)) {
+    throw new ApiError(404, 'User not found');
   }
-});
+
+  const period = await usagePeriods.getCurrentPeriod(userId);
+  await db.resetUserUsage(userId, period.start);
+
+  await recordAdminAction(req, 'usage.reset', {
+    targetType: 'user',
+    targetId: userId,
+    details: { periodStart: period.start }
+  });
+
+  res.json({ message: 'Usage reset successfully' });
+}));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,91 @@
+const db = require('./database');
+const planCatalog = require('./planCatalog');
+
+// Subscription statuses whose Stripe billing period defines the usage window
+const PAID_STATUSES = ['active', 'trialing', 'past_due'];
+
+// 'calendar' resets free users on the 1st of each month, 'signup' on their signup day
+const FREE_PERIOD_ANCHOR = process.env.USAGE_PERIOD_ANCHOR || 'calendar';
+
+// CURRENT_TIMESTAMP defaults are stored as UTC without a zone marker
+function parseTimestamp(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+  }
+  return new Date(value);
+}
+
+// Same day-of-month in another month, clamped to that month's length (UTC)
+function monthAnchor(year, month, day, timeSource) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(day, lastDay),
+    timeSource.getUTCHours(),
+    timeSource.getUTCMinutes(),
+    timeSource.getUTCSeconds()
+  ));
+}
+
+function freePeriod(user, now) {
+  if (FREE_PERIOD_ANCHOR === 'signup' && user?.created_at) {
+    const signup = parseTimestamp(user.created_at);
+    const day = signup.getUTCDate();
+
+    let start = monthAnchor(now.getUTCFullYear(), now.getUTCMonth(), day, signup);
+    if (start > now) {
+      start = monthAnchor(now.getUTCFullYear(), now.getUTCMonth() - 1, day, signup);
+    }
+    const end = monthAnchor(start.getUTCFullYear(), start.getUTCMonth() + 1, day, signup);
+
+    return { start, end, source: 'signup' };
+  }
+
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return { start, end, source: 'calendar' };
+}
+
+// Stripe's current period; if the renewal webhook has not arrived yet the period
+// is rolled forward by its own length
+function subscriptionPeriod(subscription, now) {
+  if (!subscription || !PAID_STATUSES.includes(subscription.status)) {
+    return null;
+  }
+  if (!subscription.current_period_start || !subscription.current_period_end) {
+    return null;
+  }
+
+  let start = parseTimestamp(subscription.current_period_start);
+  let end = parseTimestamp(subscription.current_period_end);
+  const length = end - start;
+  if (!(length > 0)) {
+    return null;
+  }
+
+  while (now >= end) {
+    start = end;
+    end = new Date(start.getTime() + length);
+  }
+
+  return start <= now ? { start, end, source: 'subscription' } : null;
+}
+
+// Usage window the user is currently counting against
+async function getCurrentPeriod(userId, subscription, now = new Date()) {
+  // Members on an organization's plan count in the organization's billing period
+  if (subscription === undefined) {
+    subscription = (await planCatalog.getUserPlan(userId)).periodSubscription;
+  }
+
+  const period = subscriptionPeriod(subscription, now) || freePeriod(await db.getUserById(userId), now);
+
+  return {
+    start: period.start.toISOString(),
+    end: period.end.toISOString(),
+    source: period.source
+  };
+}
+
+module.exports = { getCurrentPeriod, parseTimestamp };
@@ -0,0 +1,218 @@
+const { ApiError } = require('./errors');
+
+// A schema maps each request part (body, params, query) to { field: rule }.
+// Rules support: type (string, integer, number, boolean, object, array, any),
+// required, nullable, default, trim, lowercase, minLength, maxLength, pattern, enum, min, max,
+// format (email, uuid, url, date), items (rule for array elements), values (rule
+// for every value of an object) and check(value) returning an error message.
+// Unknown fields are dropped and query/params strings are coerced to the rule's type.
+
+const FORMATS = {
+  email: {
+    test: value => value.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: 'must be a valid email address'
+  },
+  uuid: {
+    test: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    message: 'must be a UUID'
+  },
+  url: {
+    test: value => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (error) {
+        return false;
+      }
+    },
+    message: 'must be an http(s) URL'
+  },
+  date: {
+    test: value => !Number.isNaN(Date.parse(value)),
+    message: 'must be a date'
+  }
+};
+
+function coerce(value, type) {
+  if (typeof value !== 'string') return value;
+  if (type === 'integer' || type === 'number') {
+    return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+  }
+  if (type === 'boolean') {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+  }
+  return value;
+}
+
+function typeMatches(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    default: return true;
+  }
+}
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array'
+};
+
+// Validate one value, pushing { field, location, message } entries onto errors
+function checkValue(value, rule, field, location, errors, { coerceStrings }) {
+  const fail = message => {
+    errors.push({ field, location, message });
+    return undefined;
+  };
+
+  if (coerceStrings) {
+    value = coerce(value, rule.type);
+  }
+  if (rule.type === 'string' && typeof value === 'string' && rule.trim !== false) {
+    value = value.trim();
+  }
+  if (rule.lowercase && typeof value === 'string') {
+    value = value.toLowerCase();
+  }
+
+  if (value === undefined || value === '') {
+    if (rule.required) return fail('is required');
+    return rule.default;
+  }
+  if (value === null) {
+    return rule.nullable ? null : fail(rule.required ? 'is required' : 'must not be null');
+  }
+
+  if (rule.type && !typeMatches(value, rule.type)) {
+    return fail(`must be ${TYPE_NAMES[rule.type]}`);
+  }
+
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return fail(`must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return fail(`must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return fail(rule.patternMessage || 'has an invalid format');
+    }
+    if (rule.format && !FORMATS[rule.format].test(value)) {
+      return fail(FORMATS[rule.format].message);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (rule.items && Array.isArray(value)) {
+    value = value.map((item, index) => checkValue(item, rule.items, `${field}[${index}]`, location, errors, {}));
+  }
+
+  if (rule.values && rule.type === 'object') {
+    const checked = {};
+    Object.entries(value).forEach(([key, item]) => {
+      checked[key] = checkValue(item, rule.values, `${field}.${key}`, location, errors, {});
+    });
+    value = checked;
+  }
+
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) return fail(message);
+  }
+
+  return value;
+}
+
+function checkPart(input, fields, location, errors) {
+  const output = {};
+  const source = input && typeof input === 'object' ? input : {};
+
+  Object.entries(fields).forEach(([field, rule]) => {
+    const value = checkValue(source[field], rule, field, location, errors, {
+      coerceStrings: location !== 'body'
+    });
+    if (value !== undefined) {
+      output[field] = value;
+    }
+  });
+
+  return output;
+}
+
+// Middleware that validates and normalizes req.body, req.params and req.query
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    const validated = {};
+
+    ['params', 'query', 'body'].forEach(location => {
+      if (schema[location]) {
+        validated[location] = checkPart(req[location], schema[location], location, errors);
+      }
+    });
+
+    if (errors.length > 0) {
+      const summary = errors.map(error => `${error.field} ${error.message}`).join('; ');
+      return next(new ApiError(400, `Invalid request: ${summary}`, { code: 'VALIDATION_ERROR', details: errors }));
+    }
+
+    Object.assign(req, validated);
+    next();
+  };
+}
+
+// Absolute URLs on the same origin as FRONTEND_URL, so redirects cannot leave our site
+function sameOriginAsFrontend(value) {
+  const frontend = new URL(process.env.FRONTEND_URL || 'http://localhost:5174');
+  return new URL(value).origin === frontend.origin ? null : `must be on ${frontend.origin}`;
+}
+
+// Rules shared across routes
+const rules = {
+  email: { type: 'string', required: true, format: 'email', lowercase: true },
+  password: { type: 'string', required: true, trim: false, maxLength: 1024 },
+  newPassword: {
+    type: 'string',
+    required: true,
+    trim: false,
+    minLength: 8,
+    maxLength: 72,
+    check: value => (/[A-Za-z]/.test(value) && /\d/.test(value) ? null : 'must contain a letter and a number')
+  },
+  name: { type: 'string', maxLength: 100 },
+  token: { type: 'string', required: true, maxLength: 512 },
+  uuid: { type: 'string', required: true, format: 'uuid' },
+  priceId: { type: 'string', pattern: /^price_[A-Za-z0-9]+$/, patternMessage: 'must be a Stripe price ID (price_...)' },
+  redirectUrl: { type: 'string', format: 'url', maxLength: 2048, check: sameOriginAsFrontend },
+  feature: { type: 'string', required: true, pattern: /^[a-z0-9_]+$/, patternMessage: 'must be a feature key' },
+  planKey: {
+    type: 'string',
+    pattern: /^[a-z0-9_-]+$/,
+    patternMessage: 'may only contain lowercase letters, numbers, dashes and underscores'
+  },
+  promotionCode: { type: 'string', maxLength: 100, pattern: /^[A-Za-z0-9_-]+$/, patternMessage: 'must be a promotion code' },
+  referralCode: { type: 'string', maxLength: 32, pattern: /^[A-Za-z0-9]+$/, patternMessage: 'must be a referral code' },
+  limit: { type: 'integer', min: -1 },
+  metadata: { type: 'object' },
+  pagination: {
+    limit: { type: 'integer', min: 1, max: 200, default: 50 },
+    offset: { type: 'integer', min: 0, default: 0 }
+  }
+};
+
+module.exports = { validate, rules };
@@ -0,0 +1,395 @@
+const db = require('./database');
+const planCatalog = require('./planCatalog');
+const referralProgram = require('./referralProgram');
+const eventBus = require('./eventBus');
+const { getBilling } = require('./billing');
+const { logger } = require('./logger');
+const requestContext = require('./requestContext');
+const metrics = require('./metrics');
+
+// Subscription events are applied in the order Stripe created them
+const SUBSCRIPTION_EVENT_PREFIX = 'customer.subscription.';
+
+// Match a checkout session to a user by the ID we attached, then by the Stripe
+// customer, and only then by email, which must be verified
+async function findCheckoutUser(session) {
+  const userId = session.client_reference_id || session.metadata?.userId;
+  if (userId) {
+    const user = await db.getUserById(userId);
+    if (user) return user;
+  }
+
+  if (session.customer) {
+    const subscription = await db.getSubscriptionByCustomerId(session.customer);
+    if (subscription) return db.getUserById(subscription.user_id);
+  }
+
+  const customerEmail = session.customer_details?.email;
+  if (customerEmail) {
+    const user = await db.getUserByEmail(customerEmail);
+    if (user && user.email_verified_at) return user;
+    if (user) logger.warn('Refusing to match checkout to an unverified email', { sessionId: session.id, userId: user.id });
+  }
+
+  return null;
+}
+
+// Webhook event handlers
+async function handleCheckoutCompleted(session) {
+  logger.info('Checkout completed', { sessionId: session.id });
+
+  const subscriptionId = session.subscription;
+
+  const user = await findCheckoutUser(session);
+  if (!user) {
+    logger.error('No matching user for checkout session', { sessionId: session.id, customerId: session.customer });
+    return;
+  }
+
+  // Status, plan and trial come from the subscription itself: checkout usually starts
+  // a trial, and customer.subscription.* events may already have been applied
+  const subscription = await getBilling().retrieveSubscription(subscriptionId);
+  await db.updateUserSubscription(user.id, {
+    ...await subscriptionFields(subscription),
+    stripe_customer_id: session.customer,
+    stripe_subscription_id: subscriptionId,
+    updated_at: new Date().toISOString()
+  });
+
+  logger.info('Subscription updated for user', { userId: user.id, subscriptionId });
+}
+
+// Stripe timestamps are seconds since the epoch
+function toTimestamp(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Local subscription columns for a Stripe subscription; plan_type is left out when
+// none of its prices map to a plan
+async function subscriptionFields(subscription) {
+  const fields = {
+    status: subscription.status,
+    current_period_start: toTimestamp(subscription.current_period_start),
+    current_period_end: toTimestamp(subscription.current_period_end),
+    trial_end: toTimestamp(subscription.trial_end),
+    cancel_at_period_end: subscription.cancel_at_period_end ? 1 : 0,
+    canceled_at: toTimestamp(subscription.canceled_at),
+    pause_collection: subscription.pause_collection?.behavior || null,
+    pause_resumes_at: toTimestamp(subscription.pause_collection?.resumes_at),
+    seat_quantity: subscription.items?.data?.[0]?.quantity || 1
+  };
+
+  // Determine plan type from the plan catalog
+  const prices = (subscription.items?.data || []).map(item => item.price);
+  let planType = null;
+  for (const price of prices) {
+    planType = await planCatalog.resolvePlanKey(price);
+    if (planType) break;
+  }
+
+  if (planType) {
+    fields.plan_type = planType;
+  } else if (prices.length > 0) {
+    // Keep the current plan rather than silently downgrading a paying user
+    logger.error('No plan mapped for subscription prices', { subscriptionId: subscription.id, priceIds: prices.map(price => price.id) });
+  }
+
+  return fields;
+}
+
+// Start the grace period when a subscription falls behind on payment and end it
+// once the subscription is back in good standing
+async function syncGracePeriod(stripeSubscriptionId, status) {
+  if (planCatalog.DUNNING_STATUSES.includes(status)) {
+    await db.startGracePeriod(stripeSubscriptionId, planCatalog.gracePeriodEnd());
+  } else {
+    await db.updateSubscriptionByStripeId(stripeSubscriptionId, { grace_period_ends_at: null });
+  }
+}
+
+// Also handles paused and resumed, which carry the updated subscription
+async function handleSubscriptionChange(subscription) {
+  logger.info('Subscription changed', { subscriptionId: subscription.id, status: subscription.status });
+
+  const subscriptionData = await subscriptionFields(subscription);
+  subscriptionData.updated_at = new Date().toISOString();
+
+  // A scheduled plan change is over once its price is live or its schedule was released
+  const existing = await db.getSubscriptionByStripeId(subscription.id);
+  if (existing?.scheduled_price_id) {
+    const priceIds = (subscription.items?.data || []).map(item => item.price.id);
+    if (!subscription.schedule || priceIds.includes(existing.scheduled_price_id)) {
+      Object.assign(subscriptionData, {
+        stripe_schedule_id: null,
+        scheduled_plan_type: null,
+        scheduled_price_id: null,
+        scheduled_change_at: null
+      });
+    }
+  }
+
+  await db.updateSubscriptionByStripeId(subscription.id, subscriptionData);
+  await syncGracePeriod(subscription.id, subscription.status);
+}
+
+async function handleSubscriptionDeleted(subscription) {
+  logger.info('Subscription deleted', { subscriptionId: subscription.id });
+
+  await db.updateSubscriptionByStripeId(subscription.id, {
+    status: 'canceled',
+    plan_type: planCatalog.DEFAULT_PLAN_KEY,
+    cancel_at_period_end: 0,
+    canceled_at: toTimestamp(subscription.canceled_at) || new Date().toISOString(),
+    grace_period_ends_at: null,
+    updated_at: new Date().toISOString()
+  });
+}
+
+// Sent three days before a trial ends
+async function handleTrialWillEnd(subscription) {
+  logger.info('Trial ending soon', { subscriptionId: subscription.id, trialEnd: toTimestamp(subscription.trial_end) });
+
+  await handleSubscriptionChange(subscription);
+
+  const row = await db.getSubscriptionByStripeId(subscription.id);
+  if (row && subscription.trial_end) {
+    await eventBus.publish('billing.trial_ending', {
+      userId: row.user_id,
+      dedupeKey: `${subscription.id}:${subscription.trial_end}`,
+      data: { trialEnd: toTimestamp(subscription.trial_end) }
+    });
+  }
+}
+
+// Sent ahead of a renewal; the upcoming invoice has no ID yet
+async function handleInvoiceUpcoming(invoice) {
+  const renewsAt = toTimestamp(invoice.next_payment_attempt || invoice.period_end);
+  logger.info('Upcoming invoice', { subscriptionId: invoice.subscription, amountDue: invoice.amount_due, currency: invoice.currency, renewsAt });
+
+  const row = invoice.customer ? await db.getSubscriptionByCustomerId(invoice.customer) : null;
+  if (row && renewsAt) {
+    await eventBus.publish('billing.renewal_upcoming', {
+      userId: row.user_id,
+      dedupeKey: `${invoice.subscription}:${renewsAt}`,
+      data: { amount: invoice.amount_due, currency: invoice.currency, renewsAt }
+    });
+  }
+}
+
+// Why the latest payment attempt failed, from the invoice's payment intent
+async function paymentFailureReason(invoice) {
+  if (!invoice.payment_intent) {
+    return invoice.last_finalization_error?.message || null;
+  }
+
+  try {
+    return typeof invoice.payment_intent === 'string'
+      ? await getBilling().getPaymentFailureReason(invoice.payment_intent)
+      : invoice.payment_intent.last_payment_error?.message || null;
+  } catch (error) {
+    // The reason is only informational, so the invoice is still recorded
+    logger.warn('Could not load payment failure reason', { invoiceId: invoice.id, error });
+    return null;
+  }
+}
+
+// Copy an invoice into the local billing history
+async function recordInvoice(invoice, extra = {}) {
+  const subscription = invoice.customer ? await db.getSubscriptionByCustomerId(invoice.customer) : null;
+  const period = invoice.lines?.data?.find(line => line.type === 'subscription')?.period
+    || { start: invoice.period_start, end: invoice.period_end };
+
+  return db.upsertInvoice({
+    stripe_invoice_id: invoice.id,
+    user_id: subscription ? subscription.user_id : null,
+    stripe_customer_id: invoice.customer,
+    stripe_subscription_id: invoice.subscription || null,
+    number: invoice.number || null,
+    status: invoice.status,
+    billing_reason: invoice.billing_reason || null,
+    currency: invoice.currency,
+    amount_due: invoice.amount_due || 0,
+    amount_paid: invoice.amount_paid || 0,
+    amount_remaining: invoice.amount_remaining || 0,
+    hosted_invoice_url: invoice.hosted_invoice_url || null,
+    invoice_pdf: invoice.invoice_pdf || null,
+    period_start: toTimestamp(period.start),
+    period_end: toTimestamp(period.end),
+    attempt_count: invoice.attempt_count || 0,
+    next_payment_attempt: toTimestamp(invoice.next_payment_attempt),
+    paid_at: toTimestamp(invoice.status_transitions?.paid_at),
+    invoice_created_at: toTimestamp(invoice.created) || new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    ...extra
+  });
+}
+
+// Finalized, paid, voided and uncollectible invoices only change the billing history
+async function handleInvoiceChange(invoice) {
+  logger.info('Invoice updated', { invoiceId: invoice.id, status: invoice.status });
+
+  await recordInvoice(invoice);
+}
+
+async function handlePaymentSucceeded(invoice) {
+  logger.info('Payment succeeded', { invoiceId: invoice.id });
+
+  await recordInvoice(invoice);
+
+  // Usage rolls over with the subscription period, so nothing is reset here
+  await db.updateSubscriptionByStripeId(invoice.subscription, {
+    last_payment_date: new Date().toISOString(),
+    payment_status: 'active',
+    grace_period_ends_at: null,
+    updated_at: new Date().toISOString()
+  });
+
+  // The first paid invoice of a referred user rewards the referral; trial invoices are free
+  if (invoice.amount_paid > 0) {
+    const subscription = await db.getSubscriptionByStripeId(invoice.subscription);
+    if (subscription) {
+      await referralProgram.rewardReferral(subscription.user_id, invoice.id);
+    }
+  }
+}
+
+async function handlePaymentFailed(invoice) {
+  logger.info('Payment failed', { invoiceId: invoice.id });
+
+  const record = await recordInvoice(invoice, { failure_reason: await paymentFailureReason(invoice) });
+
+  await db.updateSubscriptionByStripeId(invoice.subscription, {
+    payment_status: 'failed',
+    updated_at: new Date().toISOString()
+  });
+  await db.startGracePeriod(invoice.subscription, planCatalog.gracePeriodEnd());
+
+  // One notification per payment attempt
+  if (record.user_id) {
+    await eventBus.publish('billing.payment_failed', {
+      userId: record.user_id,
+      dedupeKey: `${invoice.id}:${invoice.attempt_count || 1}`,
+      data: {
+        amount: invoice.amount_due,
+        currency: invoice.currency,
+        failureReason: record.failure_reason,
+        invoiceUrl: invoice.hosted_invoice_url || null
+      }
+    });
+  }
+}
+
+const handlers = {
+  'checkout.session.completed': handleCheckoutCompleted,
+  'customer.subscription.created': handleSubscriptionChange,
+  'customer.subscription.updated': handleSubscriptionChange,
+  'customer.subscription.deleted': handleSubscriptionDeleted,
+  'customer.subscription.paused': handleSubscriptionChange,
+  'customer.subscription.resumed': handleSubscriptionChange,
+  'customer.subscription.trial_will_end': handleTrialWillEnd,
+  'invoice.upcoming': handleInvoiceUpcoming,
+  'invoice.finalized': handleInvoiceChange,
+  'invoice.paid': handleInvoiceChange,
+  'invoice.voided': handleInvoiceChange,
+  'invoice.marked_uncollectible': handleInvoiceChange,
+  'invoice.payment_succeeded': handlePaymentSucceeded,
+  'invoice.payment_failed': handlePaymentFailed
+};
+
+// Apply a stored event, skipping subscription events older than the last one applied
+async function applyEvent(event) {
+  const objectId = event.data?.object?.id;
+
+  if (objectId && event.type.startsWith(SUBSCRIPTION_EVENT_PREFIX)) {
+    const lastApplied = await db.getLastAppliedEventCreated(objectId, SUBSCRIPTION_EVENT_PREFIX);
+    if (lastApplied && event.created < lastApplied) {
+      logger.info('Ignoring out-of-order event', { objectId });
+      await db.updateWebhookEvent(event.id, {
+        status: 'ignored',
+        processed_at: new Date().toISOString()
+      });
+      return 'ignored';
+    }
+  }
+
+  await db.markWebhookEventProcessing(event.id);
+
+  try {
+    const handler = handlers[event.type];
+    if (handler) {
+      await handler(event.data.object);
+    } else {
+      logger.info('Unhandled event type', { eventType: event.type });
+    }
+  } catch (error) {
+    logger.error('Webhook event handler failed', { eventType: event.type, error });
+    await db.updateWebhookEvent(event.id, { status: 'failed', error: error.message });
+    throw error;
+  }
+
+  await db.updateWebhookEvent(event.id, {
+    status: 'processed',
+    processed_at: new Date().toISOString()
+  });
+  return 'processed';
+}
+
+// Events being handled right now, so shutdown can wait for them
+const inFlight = new Set();
+
+// Run fn with the event ID on every log line, counting how it ended
+function observeEvent(event, fn) {
+  const work = requestContext.run({ webhookEventId: event.id }, async () => {
+    const stopTimer = metrics.webhookEventDuration.startTimer({ type: event.type });
+    try {
+      const outcome = await fn();
+      metrics.webhookEvents.inc({ type: event.type, outcome });
+      return outcome;
+    } catch (error) {
+      metrics.webhookEvents.inc({ type: event.type, outcome: 'failed' });
+      throw error;
+    } finally {
+      stopTimer();
+    }
+  });
+
+  inFlight.add(work);
+  const settle = () => inFlight.delete(work);
+  work.then(settle, settle);
+  return work;
+}
+
+// Resolves once every event currently being handled has finished
+function drain() {
+  return Promise.allSettled([...inFlight]);
+}
+
+// Record a verified event in the ledger and apply it unless it was already handled
+function processEvent(event) {
+  return observeEvent(event, async () => {
+    const isNew = await db.recordWebhookEvent(event);
+
+    if (!isNew) {
+      const existing = await db.getWebhookEvent(event.id);
+      if (existing.status !== 'failed' && existing.status !== 'received') {
+        logger.info('Skipping duplicate event', { status: existing.status });
+        return 'duplicate';
+      }
+    }
+
+    return applyEvent(event);
+  });
+}
+
+// Re-run a stored event from its original payload
+async function replayEvent(eventId) {
+  const record = await db.getWebhookEvent(eventId);
+  if (!record) {
+    return null;
+  }
+
+  const event = JSON.parse(record.payload);
+  return observeEvent(event, () => applyEvent(event));
+}
+
+module.exports = { processEvent, replayEvent, drain, subscriptionFields, syncGracePeriod };